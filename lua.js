@@ -0,0 +1,3615 @@
+// Lua lexer, parser, interpreter and the simulated Roblox server behind the docs' Run buttons.
+// Loaded by docs.html after script.js.
+
+// The one Lua/Luau lexer. scan() reads a single token; lex() turns a chunk into parser tokens, and
+// tokenize() classifies the same tokens into non-overlapping highlight tokens.
+class LuaTokenizer {
+    constructor(code) {
+        this.code = code;
+        this.position = 0;
+        this.tokens = [];
+    }
+
+    // Reserved words. Luau's continue only acts as a keyword where a statement starts, so lex leaves it a name.
+    static get KEYWORDS() {
+        return new Set(['and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then', 'true', 'until', 'while']);
+    }
+
+    // Roblox and Luau globals, plus services commonly bound to locals of the same name
+    static get GLOBALS() {
+        return new Set([
+            'game', 'workspace', 'script', 'plugin', 'shared', '_G', 'Enum',
+            'task', 'math', 'string', 'table', 'os', 'coroutine', 'debug', 'utf8', 'bit32', 'buffer',
+            'Instance', 'Vector2', 'Vector3', 'CFrame', 'Color3', 'BrickColor', 'UDim', 'UDim2', 'TweenInfo', 'Ray', 'Random', 'DateTime',
+            'print', 'warn', 'error', 'assert', 'pcall', 'xpcall', 'require', 'tostring', 'tonumber', 'type', 'typeof',
+            'pairs', 'ipairs', 'next', 'select', 'unpack', 'setmetatable', 'getmetatable', 'rawget', 'rawset', 'rawequal',
+            'tick', 'time', 'wait', 'delay', 'spawn',
+            'Players', 'ReplicatedStorage', 'ServerScriptService', 'ServerStorage', 'HttpService', 'DataStoreService',
+            'RunService', 'MessagingService', 'MarketplaceService', 'TeleportService', 'Lighting', 'Workspace'
+        ]);
+    }
+
+    static get NUMBER_PATTERN() {
+        return /0[xX][\da-fA-F_]+|0[bB][01_]+|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d+)?/y;
+    }
+
+    static get SYMBOL_PATTERN() {
+        return /\.\.\.|\.\.|==|~=|<=|>=|\/\/|::|->|[-+*/%^#<>=(){}[\];:,.?|&]/y;
+    }
+
+    // The token at position as { type, text }: space, comment, string, number, name, symbol or invalid.
+    // Strings and long comments missing their closing quote or bracket are marked unfinished; they run to the
+    // end of the line (or of the code, for backtick strings and long brackets) so highlighting can still show them.
+    static scan(code, position) {
+        const match = pattern => {
+            pattern.lastIndex = position;
+            const found = pattern.exec(code);
+            return found ? found[0] : null;
+        };
+        const char = code[position];
+        let text;
+
+        if ((text = match(/\s+/y))) return { type: 'space', text };
+        if (code.startsWith('--', position)) {
+            const long = LuaTokenizer.scanLongBracket(code, position + 2);
+            if (long) return { type: 'comment', text: code.slice(position, long.end), unfinished: long.unfinished };
+            return { type: 'comment', text: match(/--[^\n]*/y) };
+        }
+        if (char === '"' || char === '\'' || char === '`') return LuaTokenizer.scanQuoted(code, position);
+        if (char === '[') {
+            const long = LuaTokenizer.scanLongBracket(code, position);
+            if (long) return { type: 'string', text: code.slice(position, long.end), unfinished: long.unfinished };
+        }
+        if ((text = match(LuaTokenizer.NUMBER_PATTERN))) return { type: 'number', text };
+        if ((text = match(/[A-Za-z_]\w*/y))) return { type: 'name', text };
+        if ((text = match(LuaTokenizer.SYMBOL_PATTERN))) return { type: 'symbol', text };
+        return { type: 'invalid', text: char };
+    }
+
+    // [[...]] / [==[...]==] starting at position: where it ends, or null when there is no long bracket
+    static scanLongBracket(code, position) {
+        const open = code.slice(position).match(/^\[(=*)\[/);
+        if (!open) return null;
+
+        const close = ']' + open[1] + ']';
+        const end = code.indexOf(close, position + open[0].length);
+        return end === -1 ? { end: code.length, unfinished: true } : { end: end + close.length, unfinished: false };
+    }
+
+    static scanQuoted(code, position) {
+        const quote = code[position];
+        let i = position + 1;
+        while (i < code.length) {
+            const char = code[i];
+            if (char === '\\') {
+                i += 2;
+                continue;
+            }
+            if (char === quote) return { type: 'string', text: code.slice(position, i + 1) };
+            // Backtick strings may span lines
+            if (char === '\n' && quote !== '`') break;
+            i++;
+        }
+        return { type: 'string', text: code.slice(position, Math.min(i, code.length)), unfinished: true };
+    }
+
+    // Tokens for LuaChunkParser: no whitespace or comments, reserved words typed as keywords, each with its line
+    static lex(code) {
+        const tokens = [];
+        let line = 1;
+        let position = 0;
+
+        while (position < code.length) {
+            const token = LuaTokenizer.scan(code, position);
+            if (token.type === 'invalid') {
+                throw new SyntaxError('Line ' + line + ': unexpected character "' + token.text + '"');
+            }
+            if (token.unfinished) {
+                throw new SyntaxError('Line ' + line + ': unfinished ' + (token.type === 'comment' ? 'long comment' : 'string'));
+            }
+
+            if (token.type !== 'space' && token.type !== 'comment') {
+                const type = token.type === 'name' && LuaTokenizer.KEYWORDS.has(token.text) ? 'keyword' : token.type;
+                tokens.push({ type, text: token.text, line, start: position, end: position + token.text.length });
+            }
+            line += (token.text.match(/\n/g) || []).length;
+            position += token.text.length;
+        }
+
+        tokens.push({ type: 'eof', text: '', line, start: code.length, end: code.length });
+        return tokens;
+    }
+
+    static decodeString(text) {
+        const long = text.match(/^\[(=*)\[\n?([\s\S]*)\]\1\]$/);
+        if (long) return long[2];
+
+        const escapes = { a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '\\': '\\', '"': '"', '\'': '\'', '\n': '\n' };
+        return text.slice(1, -1).replace(/\\(?:(\d{1,3})|x([\da-fA-F]{2})|u\{([\da-fA-F]+)\}|z\s*|([\s\S]))/g, (match, decimal, hex, unicode, other) => {
+            if (decimal) return String.fromCharCode(parseInt(decimal, 10));
+            if (hex) return String.fromCharCode(parseInt(hex, 16));
+            if (unicode) return String.fromCodePoint(parseInt(unicode, 16));
+            if (other === undefined) return '';
+            return escapes[other] !== undefined ? escapes[other] : other;
+        });
+    }
+
+    static decodeNumber(text) {
+        const digits = text.replace(/_/g, '');
+        if (/^0[xX]/.test(digits)) return parseInt(digits.slice(2), 16);
+        if (/^0[bB]/.test(digits)) return parseInt(digits.slice(2), 2);
+        return parseFloat(digits);
+    }
+
+    // Highlighting shows continue as a keyword wherever it appears
+    isKeyword(name) {
+        return LuaTokenizer.KEYWORDS.has(name) || name === 'continue';
+    }
+
+    rest() {
+        return this.code.slice(this.position);
+    }
+
+    push(type, value) {
+        const last = this.tokens[this.tokens.length - 1];
+        if (last && last.type === type && type === 'plain') {
+            last.value += value;
+        } else {
+            this.tokens.push({ type, value });
+        }
+        this.position += value.length;
+    }
+
+    // Last token that is not whitespace
+    previousSignificant() {
+        for (let i = this.tokens.length - 1; i >= 0; i--) {
+            if (this.tokens[i].type !== 'plain' || this.tokens[i].value.trim()) {
+                const value = this.tokens[i].value.trimEnd();
+                return { type: this.tokens[i].type, value, char: value[value.length - 1] };
+            }
+        }
+        return null;
+    }
+
+    tokenize() {
+        while (this.position < this.code.length) {
+            const token = LuaTokenizer.scan(this.code, this.position);
+
+            if (token.type === 'comment' || token.type === 'string' || token.type === 'number') {
+                this.push(token.type, token.text);
+            } else if (token.type === 'name') {
+                this.readIdentifier(token.text);
+            } else if (token.text === '::') {
+                this.push('plain', '::');
+                this.readTypeAnnotation();
+            } else if (token.text === ':') {
+                this.readColon();
+            } else {
+                this.push('plain', token.text);
+            }
+        }
+        return this.tokens;
+    }
+
+    readIdentifier(name) {
+        const previous = this.previousSignificant();
+        const afterDot = previous && previous.type === 'plain' && previous.char === '.' && !previous.value.endsWith('..');
+        const following = this.code.slice(this.position + name.length).match(/^\s*(.)/);
+        const next = following ? following[1] : '';
+
+        if (this.isKeyword(name) && !afterDot) {
+            this.push('keyword', name);
+        } else if ((name === 'type' || name === 'export') && !afterDot && this.isTypeDeclaration(name)) {
+            this.push('keyword', name);
+        } else if (previous && previous.type === 'keyword' && previous.value === 'function') {
+            this.push('function', name);
+        } else if (!afterDot && LuaTokenizer.GLOBALS.has(name)) {
+            this.push('builtin', name);
+        } else if (next === '(' || next === '"' || next === '\'' || next === '{') {
+            this.push('function', name);
+        } else {
+            this.push('plain', name);
+        }
+    }
+
+    // "type Name =" and "export type Name =" declarations
+    isTypeDeclaration(name) {
+        const after = this.code.slice(this.position + name.length);
+        return name === 'export'
+            ? /^\s+type\s+[A-Za-z_]/.test(after)
+            : /^\s+[A-Za-z_]\w*\s*(?:<[^>]*>)?\s*=/.test(after);
+    }
+
+    // ":" is a method call (obj:Method(...)) or the start of a type annotation (x: number)
+    readColon() {
+        const after = this.code.slice(this.position + 1);
+        const method = after.match(/^([A-Za-z_]\w*)(\s*)(?=[("'{[])/);
+        this.push('plain', ':');
+
+        if (method) {
+            this.push('method', method[1]);
+        } else if (/^\s*[A-Za-z_({]/.test(after)) {
+            this.readTypeAnnotation();
+        }
+    }
+
+    // Identifiers in a type expression: Player?, {string}, Map<K, V>, (number) -> boolean, A | B
+    readTypeAnnotation() {
+        let depth = 0;
+        while (this.position < this.code.length) {
+            const rest = this.rest();
+            let match;
+
+            if ((match = rest.match(/^[ \t]+/))) {
+                this.push('plain', match[0]);
+            } else if ((match = rest.match(/^[A-Za-z_][\w.]*/))) {
+                if (this.isKeyword(match[0]) && match[0] !== 'nil') break;
+                this.push('type', match[0]);
+            } else if ((match = rest.match(/^(?:->|[?|&])/)) || (depth > 0 && rest[0] === ',' && (match = [',']))) {
+                this.push('plain', match[0]);
+            } else if ('<({'.includes(rest[0])) {
+                depth++;
+                this.push('plain', rest[0]);
+            } else if ('>)}'.includes(rest[0]) && depth > 0) {
+                depth--;
+                this.push('plain', rest[0]);
+            } else if (rest[0] === '"' || rest[0] === '\'') {
+                this.push('string', LuaTokenizer.scanQuoted(this.code, this.position).text);
+            } else {
+                break;
+            }
+        }
+    }
+}
+
+// Lua table value: array part plus string/number keyed hash part, in source order
+class LuaTable {
+    constructor() {
+        this.array = [];
+        this.hash = new Map();
+        this.metatable = null;
+    }
+
+    get(key) {
+        if (typeof key === 'number' && Number.isInteger(key) && key >= 1 && key <= this.array.length) {
+            return this.array[key - 1];
+        }
+        return this.hash.has(key) ? this.hash.get(key) : null;
+    }
+
+    set(key, value) {
+        if (typeof key === 'number' && Number.isInteger(key) && key >= 1 && key <= this.array.length + 1) {
+            if (key === this.array.length + 1) {
+                this.array.push(value);
+                // Keys set before the array reached them move over, so length stays Lua's border
+                while (this.hash.has(this.array.length + 1)) {
+                    this.array.push(this.hash.get(this.array.length + 1));
+                    this.hash.delete(this.array.length);
+                }
+            } else {
+                this.array[key - 1] = value;
+                if (value === null && key === this.array.length) {
+                    while (this.array.length && this.array[this.array.length - 1] === null) this.array.pop();
+                }
+            }
+        } else if (value === null) {
+            this.hash.delete(key);
+        } else {
+            this.hash.set(key, value);
+        }
+    }
+
+    get length() {
+        return this.array.length;
+    }
+}
+
+// A Lua function value: a closure over parsed code, or a native JavaScript function. Natives are
+// called with (args, interpreter) and return one value or an array of values; natives marked
+// yields are generator functions that can yield { wait: seconds } to the scheduler.
+class LuaFunction {
+    constructor(name, { params = [], isVararg = false, body = null, scope = null, native = null, yields = false } = {}) {
+        this.name = name;
+        this.params = params;
+        this.isVararg = isVararg;
+        this.body = body;
+        this.scope = scope;
+        this.native = native;
+        this.yields = yields;
+    }
+}
+
+// Raised by error() and by runtime faults. value is the Lua error value; fatal errors stop the
+// whole run and are not caught by pcall.
+class LuaError extends Error {
+    constructor(value, fatal = false) {
+        super(typeof value === 'string' ? value : LuaInterpreter.plainString(value));
+        this.name = 'LuaError';
+        this.value = value;
+        this.fatal = fatal;
+    }
+}
+
+// Parses a Lua or Luau chunk into a syntax tree for LuaInterpreter. Type annotations, :: casts, generic
+// parameter lists and type aliases are skipped, and Luau's continue, compound assignment, if-expressions and
+// interpolated strings are supported.
+class LuaChunkParser {
+    constructor(code, lineOffset = 0) {
+        this.code = code;
+        this.tokens = LuaTokenizer.lex(code);
+        this.position = 0;
+        if (lineOffset) {
+            this.tokens.forEach(token => {
+                token.line += lineOffset;
+            });
+        }
+    }
+
+    static get COMPOUND_OPERATORS() {
+        return new Set(['+', '-', '*', '/', '//', '%', '^', '..']);
+    }
+
+    // [left, right] binding power; right-associative operators bind less tightly on the right
+    static get BINARY_PRECEDENCE() {
+        return {
+            'or': [1, 1], 'and': [2, 2],
+            '<': [3, 3], '>': [3, 3], '<=': [3, 3], '>=': [3, 3], '~=': [3, 3], '==': [3, 3],
+            '..': [5, 4],
+            '+': [6, 6], '-': [6, 6],
+            '*': [7, 7], '/': [7, 7], '//': [7, 7], '%': [7, 7],
+            '^': [10, 9]
+        };
+    }
+
+    static get UNARY_PRECEDENCE() { return 8; }
+
+    static get BLOCK_END() {
+        return ['end', 'else', 'elseif', 'until', 'eof'];
+    }
+
+    parse() {
+        const body = this.parseBlock();
+        if (!this.check('eof')) this.fail('unexpected keyword');
+        return body;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+    }
+
+    check(text) {
+        const token = this.peek();
+        return text === 'eof' ? token.type === 'eof' : (token.type === 'symbol' || token.type === 'keyword') && token.text === text;
+    }
+
+    accept(text) {
+        if (this.check(text)) {
+            return this.tokens[this.position++];
+        }
+        return null;
+    }
+
+    expect(text) {
+        const token = this.accept(text);
+        if (!token) this.fail('expected "' + text + '"');
+        return token;
+    }
+
+    expectName() {
+        const token = this.peek();
+        if (token.type !== 'name') this.fail('expected a name');
+        this.position++;
+        return token.text;
+    }
+
+    fail(message, token = this.peek()) {
+        const near = token.type === 'eof' ? 'end of input' : '"' + token.text + '"';
+        throw new SyntaxError('Line ' + token.line + ': ' + message + ' near ' + near);
+    }
+
+    isBlockEnd() {
+        return LuaChunkParser.BLOCK_END.some(text => this.check(text));
+    }
+
+    parseBlock() {
+        const body = [];
+        while (!this.isBlockEnd()) {
+            if (this.accept(';')) continue;
+            const statement = this.parseStatement();
+            body.push(statement);
+            // return has to be the last statement of its block
+            if (statement.type === 'Return') {
+                this.accept(';');
+                break;
+            }
+        }
+        return body;
+    }
+
+    parseStatement() {
+        const token = this.peek();
+        const line = token.line;
+
+        if (this.accept('return')) {
+            const values = this.isBlockEnd() || this.check(';') ? [] : this.parseExpressionList();
+            return { type: 'Return', values, line };
+        }
+
+        if (this.accept('break')) return { type: 'Break', line };
+
+        // continue is only a keyword when it stands alone
+        if (token.type === 'name' && token.text === 'continue' && !/^[.:(\[{=,"'+\-*\/%^]/.test(this.peek(1).text) && this.peek(1).type !== 'string') {
+            this.position++;
+            return { type: 'Continue', line };
+        }
+
+        if (this.accept('if')) {
+            const clauses = [];
+            do {
+                const condition = this.parseExpression();
+                this.expect('then');
+                clauses.push({ condition, body: this.parseBlock() });
+            } while (this.accept('elseif'));
+            const orElse = this.accept('else') ? this.parseBlock() : null;
+            this.expect('end');
+            return { type: 'If', clauses, orElse, line };
+        }
+
+        if (this.accept('while')) {
+            const condition = this.parseExpression();
+            this.expect('do');
+            const body = this.parseBlock();
+            this.expect('end');
+            return { type: 'While', condition, body, line };
+        }
+
+        if (this.accept('do')) {
+            const body = this.parseBlock();
+            this.expect('end');
+            return { type: 'Do', body, line };
+        }
+
+        if (this.accept('repeat')) {
+            const body = this.parseBlock();
+            this.expect('until');
+            return { type: 'Repeat', body, condition: this.parseExpression(), line };
+        }
+
+        if (this.accept('for')) {
+            const names = [this.expectName()];
+            this.skipTypeAnnotation();
+
+            if (this.accept('=')) {
+                const start = this.parseExpression();
+                this.expect(',');
+                const limit = this.parseExpression();
+                const step = this.accept(',') ? this.parseExpression() : null;
+                this.expect('do');
+                const body = this.parseBlock();
+                this.expect('end');
+                return { type: 'NumericFor', name: names[0], start, limit, step, body, line };
+            }
+
+            while (this.accept(',')) {
+                names.push(this.expectName());
+                this.skipTypeAnnotation();
+            }
+            this.expect('in');
+            const values = this.parseExpressionList();
+            this.expect('do');
+            const body = this.parseBlock();
+            this.expect('end');
+            return { type: 'GenericFor', names, values, body, line };
+        }
+
+        if (this.accept('function')) {
+            const path = [this.expectName()];
+            while (this.accept('.')) path.push(this.expectName());
+            const method = this.accept(':') ? this.expectName() : null;
+            const func = this.parseFunctionBody(method !== null, path.join('.') + (method ? ':' + method : ''));
+            return { type: 'FunctionStatement', path, method, func, line };
+        }
+
+        if (this.accept('local')) {
+            if (this.accept('function')) {
+                const name = this.expectName();
+                return { type: 'LocalFunction', name, func: this.parseFunctionBody(false, name), line };
+            }
+
+            const names = [];
+            do {
+                names.push(this.expectName());
+                // Lua 5.4 attributes such as <const>
+                if (this.accept('<')) {
+                    this.expectName();
+                    this.expect('>');
+                }
+                this.skipTypeAnnotation();
+            } while (this.accept(','));
+            const values = this.accept('=') ? this.parseExpressionList() : [];
+            return { type: 'Local', names, values, line };
+        }
+
+        // type Name<T> = ... and export type ...; types only matter to Luau's type checker
+        const declaration = token.text === 'export' ? this.peek(1) : token;
+        if (token.type === 'name' && declaration.text === 'type' && (token === declaration || declaration.type === 'name')) {
+            const offset = token === declaration ? 1 : 2;
+            if (this.peek(offset).type === 'name' && (this.peek(offset + 1).text === '=' || this.peek(offset + 1).text === '<')) {
+                this.position += offset;
+                this.expectName();
+                if (this.check('<')) this.skipBalanced();
+                this.expect('=');
+                this.skipType();
+                return { type: 'TypeAlias', line };
+            }
+        }
+
+        if (token.type === 'keyword' && !this.check('function')) {
+            this.fail('unexpected keyword', token);
+        }
+
+        const target = this.parseSuffixedExpression();
+
+        const operator = this.peek();
+        const equals = this.peek(1);
+        if (operator.type === 'symbol' && LuaChunkParser.COMPOUND_OPERATORS.has(operator.text) && equals.text === '=' && equals.start === operator.end) {
+            this.assertAssignable(target, token);
+            this.position += 2;
+            return { type: 'CompoundAssign', target, operator: operator.text, value: this.parseExpression(), line };
+        }
+
+        if (this.check('=') || this.check(',')) {
+            const targets = [target];
+            while (this.accept(',')) targets.push(this.parseSuffixedExpression());
+            targets.forEach(assignable => this.assertAssignable(assignable, token));
+            this.expect('=');
+            return { type: 'Assign', targets, values: this.parseExpressionList(), line };
+        }
+
+        if (target.type !== 'Call' && target.type !== 'MethodCall') this.fail('expected "="');
+        return { type: 'CallStatement', call: target, line };
+    }
+
+    assertAssignable(target, token) {
+        if (target.type !== 'Name' && target.type !== 'Index') this.fail('cannot assign to this expression', token);
+    }
+
+    // Skips a Luau type annotation such as ": number?" or ": (string) -> boolean"
+    skipTypeAnnotation() {
+        if (this.accept(':')) this.skipType();
+    }
+
+    // Skips a Luau type: a union (A | B) or intersection (A & B) of simple types, each optionally followed by ?
+    skipType() {
+        if (!this.accept('|')) this.accept('&');
+        do {
+            this.skipSimpleType();
+            while (this.accept('?'));
+        } while (this.accept('|') || this.accept('&'));
+    }
+
+    // Names with generic arguments (Map<K, V>), nil, true, false, singleton strings, typeof(...), variadics (...T),
+    // table types, and parenthesised types or packs, which become function types when followed by ->
+    skipSimpleType() {
+        const token = this.peek();
+        if (this.accept('...')) {
+            this.skipType();
+        } else if (token.type === 'string' || this.check('nil') || this.check('true') || this.check('false')) {
+            this.position++;
+        } else if (this.check('{')) {
+            this.skipBalanced();
+        } else if (this.check('(') || this.check('<')) {
+            if (this.check('<')) this.skipBalanced();
+            if (!this.check('(')) this.fail('expected "("');
+            this.skipBalanced();
+            if (this.accept('->')) this.skipType();
+        } else if (token.type === 'name' && token.text === 'typeof' && this.peek(1).text === '(') {
+            this.position++;
+            this.skipBalanced();
+        } else {
+            if (token.type !== 'name') this.fail('expected a type');
+            this.position++;
+            while (this.accept('.')) this.expectName();
+            if (this.check('<')) this.skipBalanced();
+        }
+    }
+
+    // Skips from the bracket at the current token past its matching close
+    skipBalanced() {
+        const open = this.peek().text;
+        const close = { '(': ')', '{': '}', '[': ']', '<': '>' }[open];
+        let depth = 0;
+        do {
+            const token = this.peek();
+            if (token.type === 'eof') this.fail('expected "' + close + '"');
+            if (token.type === 'symbol' && token.text === open) depth++;
+            if (token.type === 'symbol' && token.text === close) depth--;
+            this.position++;
+        } while (depth > 0);
+    }
+
+    parseFunctionBody(isMethod, name = null) {
+        const line = this.peek().line;
+        const params = isMethod ? ['self'] : [];
+        let isVararg = false;
+
+        // Generic parameters: function map<T, U>(...)
+        if (this.check('<')) this.skipBalanced();
+        this.expect('(');
+        while (!this.check(')')) {
+            if (this.accept('...')) {
+                isVararg = true;
+                this.skipTypeAnnotation();
+                break;
+            }
+            params.push(this.expectName());
+            this.skipTypeAnnotation();
+            if (!this.accept(',')) break;
+        }
+        this.expect(')');
+        this.skipTypeAnnotation();
+
+        const body = this.parseBlock();
+        this.expect('end');
+        return { type: 'Function', name, params, isVararg, body, line };
+    }
+
+    parseExpressionList() {
+        const values = [this.parseExpression()];
+        while (this.accept(',')) values.push(this.parseExpression());
+        return values;
+    }
+
+    parseExpression(limit = 0) {
+        const token = this.peek();
+        let left;
+
+        if (this.check('not') || this.check('-') || this.check('#')) {
+            this.position++;
+            left = { type: 'Unary', operator: token.text, operand: this.parseExpression(LuaChunkParser.UNARY_PRECEDENCE), line: token.line };
+        } else {
+            left = this.parseSimpleExpression();
+            // value :: type asserts a type and leaves the value alone
+            while (this.accept('::')) this.skipType();
+        }
+
+        let operator = this.peek();
+        let precedence = LuaChunkParser.BINARY_PRECEDENCE[operator.text];
+        while ((operator.type === 'symbol' || operator.type === 'keyword') && precedence && precedence[0] > limit) {
+            // a += b is an assignment, not an addition
+            if (this.peek(1).text === '=' && this.peek(1).start === operator.end && LuaChunkParser.COMPOUND_OPERATORS.has(operator.text)) break;
+            this.position++;
+            const right = this.parseExpression(precedence[1]);
+            left = { type: 'Binary', operator: operator.text, left, right, line: operator.line };
+            operator = this.peek();
+            precedence = LuaChunkParser.BINARY_PRECEDENCE[operator.text];
+        }
+
+        return left;
+    }
+
+    parseSimpleExpression() {
+        const token = this.peek();
+        const line = token.line;
+
+        if (token.type === 'number') {
+            this.position++;
+            return { type: 'Literal', value: LuaTokenizer.decodeNumber(token.text), line };
+        }
+
+        if (token.type === 'string') {
+            this.position++;
+            if (token.text[0] === '`') return this.parseInterpolatedString(token);
+            return { type: 'Literal', value: LuaTokenizer.decodeString(token.text), line };
+        }
+
+        if (this.accept('...')) return { type: 'Vararg', line };
+        if (this.accept('nil')) return { type: 'Literal', value: null, line };
+        if (this.accept('true')) return { type: 'Literal', value: true, line };
+        if (this.accept('false')) return { type: 'Literal', value: false, line };
+        if (this.check('{')) return this.parseTable();
+
+        if (this.accept('function')) return this.parseFunctionBody(false);
+
+        if (this.accept('if')) {
+            const clauses = [];
+            do {
+                const condition = this.parseExpression();
+                this.expect('then');
+                clauses.push({ condition, value: this.parseExpression() });
+            } while (this.accept('elseif'));
+            this.expect('else');
+            return { type: 'IfExpression', clauses, orElse: this.parseExpression(), line };
+        }
+
+        return this.parseSuffixedExpression();
+    }
+
+    // `Hello {name}!` becomes literal parts and parsed expressions
+    parseInterpolatedString(token) {
+        const text = token.text.slice(1, -1);
+        const parts = [];
+        let literal = '';
+        let index = 0;
+
+        while (index < text.length) {
+            const char = text[index];
+            if (char === '\\') {
+                literal += text.slice(index, index + 2);
+                index += 2;
+            } else if (char === '{') {
+                let depth = 1;
+                let end = index + 1;
+                while (end < text.length && depth > 0) {
+                    if (text[end] === '{') depth++;
+                    if (text[end] === '}') depth--;
+                    end++;
+                }
+                if (depth > 0) this.fail('unterminated expression in interpolated string', token);
+
+                if (literal) parts.push({ type: 'Literal', value: LuaTokenizer.decodeString('"' + literal + '"'), line: token.line });
+                literal = '';
+
+                const source = text.slice(index + 1, end - 1);
+                const lineOffset = token.line - 1 + (text.slice(0, index).match(/\n/g) || []).length;
+                const parser = new LuaChunkParser(source, lineOffset);
+                const expression = parser.parseExpression();
+                if (!parser.check('eof')) parser.fail('unexpected text in interpolated string');
+                parts.push(expression);
+                index = end;
+            } else {
+                literal += char;
+                index++;
+            }
+        }
+
+        if (literal) parts.push({ type: 'Literal', value: LuaTokenizer.decodeString('"' + literal + '"'), line: token.line });
+        return { type: 'Interpolated', parts, line: token.line };
+    }
+
+    parseTable() {
+        const line = this.expect('{').line;
+        const items = [];
+
+        while (!this.check('}')) {
+            if (this.accept('[')) {
+                const key = this.parseExpression();
+                this.expect(']');
+                this.expect('=');
+                items.push({ key, value: this.parseExpression() });
+            } else if (this.peek().type === 'name' && this.peek(1).text === '=' && this.peek(1).type === 'symbol') {
+                const key = { type: 'Literal', value: this.expectName(), line: this.peek().line };
+                this.expect('=');
+                items.push({ key, value: this.parseExpression() });
+            } else {
+                items.push({ key: null, value: this.parseExpression() });
+            }
+
+            if (!this.accept(',') && !this.accept(';')) break;
+        }
+
+        this.expect('}');
+        return { type: 'Table', items, line };
+    }
+
+    parseSuffixedExpression() {
+        const token = this.peek();
+        let expression;
+
+        if (this.accept('(')) {
+            expression = { type: 'Paren', expression: this.parseExpression(), line: token.line };
+            this.expect(')');
+        } else {
+            expression = { type: 'Name', name: this.expectName(), line: token.line };
+        }
+
+        for (;;) {
+            const line = this.peek().line;
+            if (this.accept('.')) {
+                expression = { type: 'Index', object: expression, key: { type: 'Literal', value: this.expectName(), line }, line };
+            } else if (this.accept('[')) {
+                const key = this.parseExpression();
+                this.expect(']');
+                expression = { type: 'Index', object: expression, key, line };
+            } else if (this.check(':') && this.peek(1).type === 'name' && (this.peek(2).text === '(' || this.peek(2).text === '{' || this.peek(2).type === 'string')) {
+                this.position++;
+                const name = this.expectName();
+                expression = { type: 'MethodCall', object: expression, name, args: this.parseCallArguments(), line };
+            } else if (this.check('(') || this.check('{') || (this.peek().type === 'string' && this.peek().text[0] !== '`')) {
+                expression = { type: 'Call', callee: expression, args: this.parseCallArguments(), line };
+            } else {
+                break;
+            }
+        }
+
+        return expression;
+    }
+
+    parseCallArguments() {
+        const token = this.peek();
+        if (token.type === 'string') {
+            this.position++;
+            return [{ type: 'Literal', value: LuaTokenizer.decodeString(token.text), line: token.line }];
+        }
+        if (this.check('{')) return [this.parseTable()];
+
+        this.expect('(');
+        const args = this.check(')') ? [] : this.parseExpressionList();
+        this.expect(')');
+        return args;
+    }
+}
+
+// Lua pattern matching as in string.find, match, gmatch and gsub, ported from Lua's lstrlib.
+// Captures are substrings, or 1-based positions for ().
+class LuaPattern {
+    constructor(source, pattern, interpreter) {
+        this.source = source;
+        this.pattern = pattern;
+        this.interpreter = interpreter;
+        this.anchored = pattern[0] === '^';
+        this.start = this.anchored ? 1 : 0;
+        this.captures = [];
+        this.depth = 0;
+    }
+
+    static get CAPTURE_UNFINISHED() { return -1; }
+    static get CAPTURE_POSITION() { return -2; }
+
+    static hasSpecials(pattern) {
+        return /[\^$*+?.()[\]%-]/.test(pattern);
+    }
+
+    static matchClass(char, letter) {
+        const code = char.charCodeAt(0);
+        let result;
+        switch (letter.toLowerCase()) {
+            case 'a': result = /[A-Za-z]/.test(char); break;
+            case 'c': result = code < 32 || code === 127; break;
+            case 'd': result = code >= 48 && code <= 57; break;
+            case 'g': result = code > 32 && code < 127; break;
+            case 'l': result = code >= 97 && code <= 122; break;
+            case 'p': result = /[!-\/:-@[-`{-~]/.test(char); break;
+            case 's': result = /[ \t\n\r\f\v]/.test(char); break;
+            case 'u': result = code >= 65 && code <= 90; break;
+            case 'w': result = /[A-Za-z0-9]/.test(char); break;
+            case 'x': result = /[\dA-Fa-f]/.test(char); break;
+            default: return letter === char;
+        }
+        return /[A-Z]/.test(letter) ? !result : result;
+    }
+
+    fail(message) {
+        throw this.interpreter.error(message);
+    }
+
+    // Index just past the single-character class starting at p
+    classEnd(p) {
+        const pattern = this.pattern;
+        const char = pattern[p++];
+        if (char === '%') {
+            if (p >= pattern.length) this.fail('malformed pattern (ends with \'%\')');
+            return p + 1;
+        }
+        if (char === '[') {
+            if (pattern[p] === '^') p++;
+            do {
+                if (p >= pattern.length) this.fail('malformed pattern (missing \']\')');
+                if (pattern[p++] === '%' && p < pattern.length) p++;
+            } while (pattern[p] !== ']');
+            return p + 1;
+        }
+        return p;
+    }
+
+    // p is the "[" of the set and end its "]"
+    matchBracketClass(char, p, end) {
+        const pattern = this.pattern;
+        let matches = true;
+        if (pattern[p + 1] === '^') {
+            matches = false;
+            p++;
+        }
+        while (++p < end) {
+            if (pattern[p] === '%') {
+                p++;
+                if (LuaPattern.matchClass(char, pattern[p])) return matches;
+            } else if (pattern[p + 1] === '-' && p + 2 < end) {
+                p += 2;
+                if (pattern[p - 2] <= char && char <= pattern[p]) return matches;
+            } else if (pattern[p] === char) {
+                return matches;
+            }
+        }
+        return !matches;
+    }
+
+    singleMatch(s, p, end) {
+        if (s >= this.source.length) return false;
+        const char = this.source[s];
+        switch (this.pattern[p]) {
+            case '.': return true;
+            case '%': return LuaPattern.matchClass(char, this.pattern[p + 1]);
+            case '[': return this.matchBracketClass(char, p, end - 1);
+            default: return this.pattern[p] === char;
+        }
+    }
+
+    // Position where a match of the pattern from p, starting at s, ends; -1 when there is none
+    match(s, p) {
+        if (++this.depth > 200) this.fail('pattern too complex');
+        try {
+            return this.doMatch(s, p);
+        } finally {
+            this.depth--;
+        }
+    }
+
+    doMatch(s, p) {
+        const pattern = this.pattern;
+        const source = this.source;
+
+        for (;;) {
+            if (p >= pattern.length) return s;
+
+            switch (pattern[p]) {
+                case '(':
+                    return pattern[p + 1] === ')'
+                        ? this.startCapture(s, p + 2, LuaPattern.CAPTURE_POSITION)
+                        : this.startCapture(s, p + 1, LuaPattern.CAPTURE_UNFINISHED);
+                case ')':
+                    return this.endCapture(s, p + 1);
+                case '$':
+                    if (p + 1 === pattern.length) return s === source.length ? s : -1;
+                    break;
+                case '%': {
+                    const next = pattern[p + 1];
+                    if (next === 'b') {
+                        s = this.matchBalance(s, p + 2);
+                        if (s === -1) return -1;
+                        p += 4;
+                        continue;
+                    }
+                    if (next === 'f') {
+                        p += 2;
+                        if (pattern[p] !== '[') this.fail('missing \'[\' after \'%f\' in pattern');
+                        const end = this.classEnd(p);
+                        const previous = s === 0 ? '\0' : source[s - 1];
+                        const current = s < source.length ? source[s] : '\0';
+                        if (this.matchBracketClass(previous, p, end - 1) || !this.matchBracketClass(current, p, end - 1)) return -1;
+                        p = end;
+                        continue;
+                    }
+                    if (/\d/.test(next)) {
+                        s = this.matchCapture(s, next);
+                        if (s === -1) return -1;
+                        p += 2;
+                        continue;
+                    }
+                    break;
+                }
+            }
+
+            const end = this.classEnd(p);
+            const modifier = pattern[end];
+
+            if (!this.singleMatch(s, p, end)) {
+                if (modifier === '*' || modifier === '?' || modifier === '-') {
+                    p = end + 1;
+                    continue;
+                }
+                return -1;
+            }
+
+            if (modifier === '?') {
+                const result = this.match(s + 1, end + 1);
+                if (result !== -1) return result;
+                p = end + 1;
+                continue;
+            }
+            if (modifier === '+') return this.maxExpand(s + 1, p, end);
+            if (modifier === '*') return this.maxExpand(s, p, end);
+            if (modifier === '-') return this.minExpand(s, p, end);
+
+            s++;
+            p = end;
+        }
+    }
+
+    maxExpand(s, p, end) {
+        let count = 0;
+        while (this.singleMatch(s + count, p, end)) count++;
+        while (count >= 0) {
+            const result = this.match(s + count, end + 1);
+            if (result !== -1) return result;
+            count--;
+        }
+        return -1;
+    }
+
+    minExpand(s, p, end) {
+        for (;;) {
+            const result = this.match(s, end + 1);
+            if (result !== -1) return result;
+            if (!this.singleMatch(s, p, end)) return -1;
+            s++;
+        }
+    }
+
+    startCapture(s, p, length) {
+        this.captures.push({ start: s, length });
+        const result = this.match(s, p);
+        if (result === -1) this.captures.pop();
+        return result;
+    }
+
+    endCapture(s, p) {
+        let open = -1;
+        for (let index = this.captures.length - 1; index >= 0; index--) {
+            if (this.captures[index].length === LuaPattern.CAPTURE_UNFINISHED) {
+                open = index;
+                break;
+            }
+        }
+        if (open === -1) this.fail('invalid pattern capture');
+
+        this.captures[open].length = s - this.captures[open].start;
+        const result = this.match(s, p);
+        if (result === -1) this.captures[open].length = LuaPattern.CAPTURE_UNFINISHED;
+        return result;
+    }
+
+    matchBalance(s, p) {
+        if (p + 1 >= this.pattern.length) this.fail('missing arguments to \'%b\'');
+        if (this.source[s] !== this.pattern[p]) return -1;
+
+        const open = this.pattern[p];
+        const close = this.pattern[p + 1];
+        let depth = 1;
+        while (++s < this.source.length) {
+            if (this.source[s] === close) {
+                if (--depth === 0) return s + 1;
+            } else if (this.source[s] === open) {
+                depth++;
+            }
+        }
+        return -1;
+    }
+
+    matchCapture(s, digit) {
+        const index = parseInt(digit, 10) - 1;
+        const capture = this.captures[index];
+        if (!capture || capture.length === LuaPattern.CAPTURE_UNFINISHED) this.fail('invalid capture index %' + digit);
+
+        const text = this.source.substr(capture.start, capture.length);
+        return this.source.startsWith(text, s) ? s + text.length : -1;
+    }
+
+    // Tries the pattern at source index s; returns the end index or -1
+    matchAt(s) {
+        this.captures = [];
+        return this.match(s, this.start);
+    }
+
+    // Captured values of the last match, or the whole match when the pattern has no captures
+    getCaptures(s, end, wholeIfNone = true) {
+        if (this.captures.length === 0) return wholeIfNone ? [this.source.slice(s, end)] : [];
+        return this.captures.map(capture => {
+            if (capture.length === LuaPattern.CAPTURE_UNFINISHED) this.fail('unfinished capture');
+            return capture.length === LuaPattern.CAPTURE_POSITION ? capture.start + 1 : this.source.substr(capture.start, capture.length);
+        });
+    }
+}
+
+// Tree-walking interpreter for the Lua that docs examples use. Every Lua call runs as a generator so
+// task.wait can suspend a thread; the scheduler then resumes threads in order of a virtual clock, so a
+// minute of game time passes instantly. Strings are JavaScript strings, so lengths count UTF-16 units.
+class LuaInterpreter {
+    constructor({ maxSteps = 200000, output = () => {} } = {}) {
+        this.maxSteps = maxSteps;
+        this.output = output;
+        this.steps = 0;
+        this.line = 0;
+        this.clock = 0;
+        this.threads = [];
+        this.threadCount = 0;
+        this.currentThread = null;
+        this.currentCoroutine = null;
+        this.addresses = new WeakMap();
+        this.addressCount = 0;
+        this.randomState = 0x2545F491;
+        this.globals = new LuaTable();
+        this.stringLibrary = new LuaTable();
+        this.installLibraries();
+    }
+
+    static get MAX_CALL_DEPTH() { return 180; }
+
+    // Longest string a snippet may build, well below the browser's own limit
+    static get MAX_STRING_LENGTH() { return 1e7; }
+
+    static get ARITHMETIC() {
+        return { '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '//': 'idiv', '%': 'mod', '^': 'pow' };
+    }
+
+    static toValues(result) {
+        if (result === undefined) return [];
+        return Array.isArray(result) ? result : [result];
+    }
+
+    // The value at index of an argument or result list, nil when missing
+    static value(values, index = 0) {
+        return index < values.length && values[index] !== undefined ? values[index] : null;
+    }
+
+    static type(value) {
+        if (value === null || value === undefined) return 'nil';
+        if (typeof value === 'boolean') return 'boolean';
+        if (typeof value === 'number') return 'number';
+        if (typeof value === 'string') return 'string';
+        if (value instanceof LuaFunction) return 'function';
+        if (value instanceof LuaTable && value.coroutine) return 'thread';
+        return 'table';
+    }
+
+    // Lua's string-to-number coercion: decimal, hex and exponent forms, surrounding spaces allowed
+    static toNumber(value, base = 10) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return null;
+
+        const text = value.trim().toLowerCase();
+        if (base !== 10) {
+            const digits = '0123456789abcdefghijklmnopqrstuvwxyz'.slice(0, base);
+            const unsigned = text.replace(/^-/, '');
+            if (!unsigned || [...unsigned].some(char => !digits.includes(char))) return null;
+            return parseInt(text, base);
+        }
+        if (/^-?0x[\da-f]+$/.test(text)) return (text[0] === '-' ? -1 : 1) * parseInt(text.replace(/^-?0x/, ''), 16);
+        if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(text)) return parseFloat(text);
+        if (/^[-+]?(inf|nan)$/.test(text)) return null;
+        return null;
+    }
+
+    static numberToString(value) {
+        if (Number.isNaN(value)) return 'nan';
+        if (value === Infinity) return 'inf';
+        if (value === -Infinity) return '-inf';
+        return Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(14)));
+    }
+
+    static isTruthy(value) {
+        return value !== null && value !== false;
+    }
+
+    // tostring without metamethods or table addresses, for error values and JSON keys
+    static plainString(value) {
+        if (value === null) return 'nil';
+        if (typeof value === 'number') return LuaInterpreter.numberToString(value);
+        if (value instanceof LuaTable) return 'table';
+        return String(value);
+    }
+
+    // Parses a chunk into the function that runs it; spawn it to start
+    load(code) {
+        const body = new LuaChunkParser(code).parse();
+        const main = new LuaFunction('main chunk', { body, isVararg: true, scope: { vars: new Map(), parent: null } });
+        return main;
+    }
+
+    spawn(fn, args = [], delay = 0, name = null) {
+        const thread = {
+            id: ++this.threadCount,
+            name: name || (fn instanceof LuaFunction ? fn.name : null),
+            generator: fn instanceof LuaFunction ? this.call(fn, args) : fn,
+            wakeAt: this.clock + delay,
+            depth: 0,
+            done: false
+        };
+        this.threads.push(thread);
+        return thread;
+    }
+
+    // Runs a thread until it waits or finishes. Uncaught errors end only that thread, as in Roblox.
+    // A coroutine that waited is resumed here too; when it yields, it goes back to being suspended.
+    resume(thread) {
+        const previous = this.currentThread;
+        const previousCoroutine = this.currentCoroutine;
+        const coroutine = thread.coroutine || null;
+        this.currentThread = coroutine || thread;
+        this.currentCoroutine = coroutine;
+        if (coroutine) coroutine.status = 'running';
+        thread.wakeAt = null;
+
+        try {
+            const step = thread.generator.next();
+            if (step.done) {
+                thread.done = true;
+                if (coroutine) coroutine.status = 'dead';
+            } else if (coroutine && step.value && step.value.coroutineYield) {
+                thread.done = true;
+                coroutine.status = 'suspended';
+                coroutine.thread = null;
+            } else {
+                thread.wakeAt = this.clock + Math.max(0, step.value && step.value.wait || 0);
+                if (coroutine) coroutine.status = 'suspended';
+            }
+        } catch (error) {
+            thread.done = true;
+            if (coroutine) coroutine.status = 'dead';
+            if (!(error instanceof LuaError) || error.fatal) throw error;
+            this.output('error', LuaInterpreter.describeError(error.value, this));
+        } finally {
+            this.currentThread = previous;
+            this.currentCoroutine = previousCoroutine;
+        }
+
+        this.threads = this.threads.filter(item => !item.done);
+    }
+
+    static describeError(value, interpreter) {
+        return typeof value === 'string' ? value : interpreter.toString(value);
+    }
+
+    nextThread() {
+        let next = null;
+        this.threads.forEach(thread => {
+            if (!thread.done && thread.wakeAt !== null && (!next || thread.wakeAt < next.wakeAt)) next = thread;
+        });
+        return next;
+    }
+
+    // Resumes waiting threads in wake order until none are left or the next one wakes after until
+    runUntil(until) {
+        for (;;) {
+            const next = this.nextThread();
+            if (!next || next.wakeAt > until) break;
+            this.clock = Math.max(this.clock, next.wakeAt);
+            this.resume(next);
+        }
+        // Time only passes while something is waiting for it
+        if (until !== Infinity && this.threads.length) this.clock = Math.max(this.clock, until);
+    }
+
+    // Luau-style error with the current line, as error() would raise it
+    error(message, fatal = false) {
+        return new LuaError('Line ' + this.line + ': ' + message, fatal);
+    }
+
+    step(line) {
+        this.line = line;
+        if (++this.steps > this.maxSteps) {
+            throw this.error('stopped after ' + this.maxSteps.toLocaleString() + ' steps; a loop may be missing task.wait', true);
+        }
+    }
+
+    address(value) {
+        if (!this.addresses.has(value)) this.addresses.set(value, ++this.addressCount);
+        return '0x' + (0x10000000 + this.addresses.get(value) * 0x40).toString(16).padStart(16, '0');
+    }
+
+    toString(value) {
+        if (value instanceof LuaTable) {
+            const handler = this.getMetamethod(value, '__tostring');
+            if (handler !== null) return this.toString(this.callSync(handler, [value])[0]);
+            const name = this.getMetamethod(value, '__name');
+            return (typeof name === 'string' ? name : LuaInterpreter.type(value)) + ': ' + this.address(value);
+        }
+        if (value instanceof LuaFunction) return 'function: ' + this.address(value);
+        if (typeof value === 'number') return LuaInterpreter.numberToString(value);
+        return LuaInterpreter.plainString(value);
+    }
+
+    getMetamethod(value, name) {
+        if (value instanceof LuaTable && value.metatable) return value.metatable.get(name);
+        if (typeof value === 'string' && name === '__index') return this.stringLibrary;
+        return null;
+    }
+
+    lookup(name, scope) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.vars.has(name)) return current.vars.get(name);
+        }
+        return this.globals.get(name);
+    }
+
+    assignName(name, value, scope) {
+        for (let current = scope; current; current = current.parent) {
+            if (current.vars.has(name)) {
+                current.vars.set(name, value);
+                return;
+            }
+        }
+        this.globals.set(name, value);
+    }
+
+    describeKey(key) {
+        return typeof key === 'string' ? '\'' + key + '\'' : LuaInterpreter.type(key);
+    }
+
+    *index(object, key) {
+        for (let depth = 0; depth < 100; depth++) {
+            if (object instanceof LuaTable) {
+                const value = object.get(key);
+                if (value !== null) return value;
+                const handler = this.getMetamethod(object, '__index');
+                if (handler === null) return null;
+                if (handler instanceof LuaFunction) {
+                    return LuaInterpreter.value(yield* this.call(handler, [object, key]));
+                }
+                object = handler;
+            } else if (typeof object === 'string') {
+                return this.stringLibrary.get(key);
+            } else {
+                throw this.error('attempt to index ' + LuaInterpreter.type(object) + ' with ' + this.describeKey(key));
+            }
+        }
+        throw this.error('\'__index\' chain too long; possible loop');
+    }
+
+    *setIndex(object, key, value) {
+        for (let depth = 0; depth < 100; depth++) {
+            if (!(object instanceof LuaTable)) {
+                throw this.error('attempt to index ' + LuaInterpreter.type(object) + ' with ' + this.describeKey(key));
+            }
+
+            const handler = object.get(key) === null ? this.getMetamethod(object, '__newindex') : null;
+            if (handler === null) {
+                if (key === null) throw this.error('table index is nil');
+                if (Number.isNaN(key)) throw this.error('table index is NaN');
+                if (object.frozen) throw this.error('attempt to modify a readonly table');
+                object.set(key, value);
+                return;
+            }
+            if (handler instanceof LuaFunction) {
+                yield* this.call(handler, [object, key, value]);
+                return;
+            }
+            object = handler;
+        }
+        throw this.error('\'__newindex\' chain too long; possible loop');
+    }
+
+    *call(fn, args, description = null) {
+        if (fn instanceof LuaTable) {
+            const handler = this.getMetamethod(fn, '__call');
+            if (handler !== null) return yield* this.call(handler, [fn].concat(args), description);
+        }
+        if (!(fn instanceof LuaFunction)) {
+            throw this.error('attempt to call a ' + LuaInterpreter.type(fn) + ' value' + (description ? ' (' + description + ')' : ''));
+        }
+
+        const thread = this.currentThread || { depth: 0 };
+        if (++thread.depth > LuaInterpreter.MAX_CALL_DEPTH) {
+            thread.depth = 0;
+            throw this.error('stack overflow');
+        }
+
+        const line = this.line;
+        try {
+            if (fn.native) {
+                const result = fn.yields ? yield* fn.native(args, this) : fn.native(args, this);
+                return LuaInterpreter.toValues(result);
+            }
+
+            const scope = { vars: new Map(), parent: fn.scope };
+            fn.params.forEach((name, index) => scope.vars.set(name, index < args.length ? args[index] : null));
+            if (fn.isVararg) scope.vars.set('...', args.slice(fn.params.length));
+
+            const signal = yield* this.execBlock(fn.body, scope);
+            return signal && signal.type === 'return' ? signal.values : [];
+        } finally {
+            thread.depth = Math.max(0, thread.depth - 1);
+            this.line = line;
+        }
+    }
+
+    // Calls from natives that cannot wait, such as table.sort comparators and gsub replacements
+    callSync(fn, args) {
+        const generator = this.call(fn, args);
+        const step = generator.next();
+        if (!step.done) {
+            generator.return();
+            throw this.error('attempt to yield across a C-call boundary');
+        }
+        return step.value;
+    }
+
+    *execBlock(body, scope) {
+        let current = scope;
+        for (const statement of body) {
+            if (statement.type === 'Local' || statement.type === 'LocalFunction') {
+                current = { vars: new Map(), parent: current };
+            }
+            const signal = yield* this.execStatement(statement, current);
+            if (signal) {
+                this.blockScope = current;
+                return signal;
+            }
+        }
+        this.blockScope = current;
+        return null;
+    }
+
+    *execLoopBody(body, scope) {
+        const signal = yield* this.execBlock(body, scope);
+        if (!signal || signal.type === 'continue') return null;
+        return signal;
+    }
+
+    *execStatement(node, scope) {
+        this.step(node.line);
+
+        switch (node.type) {
+            case 'Local': {
+                const values = yield* this.evaluateList(node.values, scope);
+                node.names.forEach((name, index) => scope.vars.set(name, index < values.length ? values[index] : null));
+                return null;
+            }
+
+            case 'LocalFunction':
+                scope.vars.set(node.name, null);
+                scope.vars.set(node.name, this.makeFunction(node.func, scope));
+                return null;
+
+            case 'Assign': {
+                const targets = [];
+                for (const target of node.targets) {
+                    targets.push(target.type === 'Index'
+                        ? { object: yield* this.evaluate(target.object, scope), key: yield* this.evaluate(target.key, scope) }
+                        : { name: target.name });
+                }
+                const values = yield* this.evaluateList(node.values, scope);
+                for (let index = 0; index < targets.length; index++) {
+                    yield* this.assign(targets[index], index < values.length ? values[index] : null, scope);
+                }
+                return null;
+            }
+
+            case 'CompoundAssign': {
+                const target = node.target.type === 'Index'
+                    ? { object: yield* this.evaluate(node.target.object, scope), key: yield* this.evaluate(node.target.key, scope) }
+                    : { name: node.target.name };
+                const current = target.name !== undefined ? this.lookup(target.name, scope) : yield* this.index(target.object, target.key);
+                const value = yield* this.evaluate(node.value, scope);
+                const result = node.operator === '..' ? yield* this.concat(current, value) : yield* this.arithmetic(node.operator, current, value);
+                yield* this.assign(target, result, scope);
+                return null;
+            }
+
+            case 'CallStatement':
+                yield* this.evaluateCall(node.call, scope);
+                return null;
+
+            case 'Do':
+                return yield* this.execBlock(node.body, { vars: new Map(), parent: scope });
+
+            case 'TypeAlias':
+                return null;
+
+            case 'If':
+                for (const clause of node.clauses) {
+                    if (LuaInterpreter.isTruthy(yield* this.evaluate(clause.condition, scope))) {
+                        return yield* this.execBlock(clause.body, { vars: new Map(), parent: scope });
+                    }
+                }
+                return node.orElse ? yield* this.execBlock(node.orElse, { vars: new Map(), parent: scope }) : null;
+
+            case 'While':
+                while (LuaInterpreter.isTruthy(yield* this.evaluate(node.condition, scope))) {
+                    const signal = yield* this.execLoopBody(node.body, { vars: new Map(), parent: scope });
+                    if (signal) return signal.type === 'break' ? null : signal;
+                    this.step(node.line);
+                }
+                return null;
+
+            case 'Repeat':
+                for (;;) {
+                    const signal = yield* this.execLoopBody(node.body, { vars: new Map(), parent: scope });
+                    if (signal) return signal.type === 'break' ? null : signal;
+                    // until can see the body's locals
+                    if (LuaInterpreter.isTruthy(yield* this.evaluate(node.condition, this.blockScope))) return null;
+                    this.step(node.line);
+                }
+
+            case 'NumericFor': {
+                const number = (value, what) => {
+                    const result = LuaInterpreter.toNumber(value);
+                    if (result === null) throw this.error('invalid \'for\' ' + what + ' (number expected, got ' + LuaInterpreter.type(value) + ')');
+                    return result;
+                };
+                const start = number(yield* this.evaluate(node.start, scope), 'initial value');
+                const limit = number(yield* this.evaluate(node.limit, scope), 'limit');
+                const step = node.step ? number(yield* this.evaluate(node.step, scope), 'step') : 1;
+                if (step === 0) throw this.error('\'for\' step is zero');
+
+                for (let value = start; step > 0 ? value <= limit : value >= limit; value += step) {
+                    const signal = yield* this.execLoopBody(node.body, { vars: new Map([[node.name, value]]), parent: scope });
+                    if (signal) return signal.type === 'break' ? null : signal;
+                    this.step(node.line);
+                }
+                return null;
+            }
+
+            case 'GenericFor': {
+                let [iterator, state, control] = yield* this.evaluateList(node.values, scope);
+                // Luau iterates tables directly: for key, value in t do
+                if (iterator instanceof LuaTable && this.getMetamethod(iterator, '__call') === null) {
+                    state = iterator;
+                    iterator = this.globals.get('next');
+                    control = null;
+                }
+
+                for (;;) {
+                    const values = yield* this.call(iterator, [(state === undefined ? null : state), (control === undefined ? null : control)], 'for iterator');
+                    if (values.length === 0 || values[0] === null) return null;
+                    control = values[0];
+
+                    const vars = new Map(node.names.map((name, index) => [name, index < values.length ? values[index] : null]));
+                    const signal = yield* this.execLoopBody(node.body, { vars, parent: scope });
+                    if (signal) return signal.type === 'break' ? null : signal;
+                    this.step(node.line);
+                }
+            }
+
+            case 'FunctionStatement': {
+                const fn = this.makeFunction(node.func, scope);
+                if (node.path.length === 1 && node.method === null) {
+                    this.assignName(node.path[0], fn, scope);
+                    return null;
+                }
+
+                let object = this.lookup(node.path[0], scope);
+                const keys = node.path.slice(1).concat(node.method !== null ? [node.method] : []);
+                for (const key of keys.slice(0, -1)) object = yield* this.index(object, key);
+                yield* this.setIndex(object, keys[keys.length - 1], fn);
+                return null;
+            }
+
+            case 'Return':
+                return { type: 'return', values: yield* this.evaluateList(node.values, scope) };
+
+            case 'Break':
+                return { type: 'break' };
+
+            case 'Continue':
+                return { type: 'continue' };
+        }
+
+        throw this.error('cannot run ' + node.type);
+    }
+
+    *assign(target, value, scope) {
+        if (target.name !== undefined) {
+            this.assignName(target.name, value, scope);
+        } else {
+            yield* this.setIndex(target.object, target.key, value);
+        }
+    }
+
+    makeFunction(node, scope) {
+        return new LuaFunction(node.name, { params: node.params, isVararg: node.isVararg, body: node.body, scope });
+    }
+
+    // Every value of the list; only the last expression can expand to several values
+    *evaluateList(nodes, scope) {
+        const values = [];
+        for (let index = 0; index < nodes.length; index++) {
+            const node = nodes[index];
+            if (index === nodes.length - 1 && (node.type === 'Call' || node.type === 'MethodCall' || node.type === 'Vararg')) {
+                values.push(...(yield* this.evaluateMulti(node, scope)));
+            } else {
+                values.push(yield* this.evaluate(node, scope));
+            }
+        }
+        return values;
+    }
+
+    *evaluateMulti(node, scope) {
+        if (node.type === 'Vararg') return this.lookup('...', scope) || [];
+        return yield* this.evaluateCall(node, scope);
+    }
+
+    describeCallee(node) {
+        if (node.type === 'Name') return 'global \'' + node.name + '\'';
+        if (node.type === 'Index' && node.key.type === 'Literal' && typeof node.key.value === 'string') return 'field \'' + node.key.value + '\'';
+        return null;
+    }
+
+    *evaluateCall(node, scope) {
+        if (node.type === 'MethodCall') {
+            const object = yield* this.evaluate(node.object, scope);
+            this.line = node.line;
+            const fn = yield* this.index(object, node.name);
+            const args = [object].concat(yield* this.evaluateList(node.args, scope));
+            this.line = node.line;
+            return yield* this.call(fn, args, 'method \'' + node.name + '\'');
+        }
+
+        const fn = yield* this.evaluate(node.callee, scope);
+        const args = yield* this.evaluateList(node.args, scope);
+        this.line = node.line;
+        return yield* this.call(fn, args, this.describeCallee(node.callee));
+    }
+
+    *evaluate(node, scope) {
+        switch (node.type) {
+            case 'Literal':
+                return node.value;
+
+            case 'Name':
+                return this.lookup(node.name, scope);
+
+            case 'Vararg': {
+                const values = this.lookup('...', scope) || [];
+                return values.length ? values[0] : null;
+            }
+
+            case 'Function':
+                return this.makeFunction(node, scope);
+
+            case 'Index': {
+                const object = yield* this.evaluate(node.object, scope);
+                const key = yield* this.evaluate(node.key, scope);
+                this.line = node.line;
+                return yield* this.index(object, key);
+            }
+
+            case 'Call':
+            case 'MethodCall': {
+                const values = yield* this.evaluateCall(node, scope);
+                return values.length ? values[0] : null;
+            }
+
+            case 'Paren':
+                return yield* this.evaluate(node.expression, scope);
+
+            case 'Table': {
+                const table = new LuaTable();
+                let position = 1;
+                for (let index = 0; index < node.items.length; index++) {
+                    const item = node.items[index];
+                    if (item.key) {
+                        const key = yield* this.evaluate(item.key, scope);
+                        if (key === null) throw this.error('table index is nil');
+                        table.set(key, yield* this.evaluate(item.value, scope));
+                    } else if (index === node.items.length - 1 && ['Call', 'MethodCall', 'Vararg'].includes(item.value.type)) {
+                        for (const value of yield* this.evaluateMulti(item.value, scope)) table.set(position++, value);
+                    } else {
+                        table.set(position++, yield* this.evaluate(item.value, scope));
+                    }
+                }
+                return table;
+            }
+
+            case 'Unary': {
+                const operand = yield* this.evaluate(node.operand, scope);
+                this.line = node.line;
+                return yield* this.unary(node.operator, operand);
+            }
+
+            case 'Binary': {
+                const left = yield* this.evaluate(node.left, scope);
+                if (node.operator === 'and') return LuaInterpreter.isTruthy(left) ? yield* this.evaluate(node.right, scope) : left;
+                if (node.operator === 'or') return LuaInterpreter.isTruthy(left) ? left : yield* this.evaluate(node.right, scope);
+
+                const right = yield* this.evaluate(node.right, scope);
+                this.line = node.line;
+                return yield* this.binary(node.operator, left, right);
+            }
+
+            case 'IfExpression':
+                for (const clause of node.clauses) {
+                    if (LuaInterpreter.isTruthy(yield* this.evaluate(clause.condition, scope))) return yield* this.evaluate(clause.value, scope);
+                }
+                return yield* this.evaluate(node.orElse, scope);
+
+            case 'Interpolated': {
+                let text = '';
+                for (const part of node.parts) text += this.toString(yield* this.evaluate(part, scope));
+                return text;
+            }
+        }
+
+        throw this.error('cannot evaluate ' + node.type);
+    }
+
+    *unary(operator, operand) {
+        if (operator === 'not') return !LuaInterpreter.isTruthy(operand);
+
+        if (operator === '-') {
+            const number = LuaInterpreter.toNumber(operand);
+            if (number !== null) return -number;
+            const handler = this.getMetamethod(operand, '__unm');
+            if (handler !== null) return LuaInterpreter.value(yield* this.call(handler, [operand, operand]));
+            throw this.error('attempt to perform arithmetic (unm) on ' + LuaInterpreter.type(operand));
+        }
+
+        if (typeof operand === 'string') return operand.length;
+        const handler = this.getMetamethod(operand, '__len');
+        if (handler !== null) return LuaInterpreter.value(yield* this.call(handler, [operand]));
+        if (operand instanceof LuaTable) return operand.length;
+        throw this.error('attempt to get length of a ' + LuaInterpreter.type(operand) + ' value');
+    }
+
+    *binary(operator, left, right) {
+        if (LuaInterpreter.ARITHMETIC[operator]) return yield* this.arithmetic(operator, left, right);
+        if (operator === '..') return yield* this.concat(left, right);
+        if (operator === '==') return yield* this.equals(left, right);
+        if (operator === '~=') return !(yield* this.equals(left, right));
+        if (operator === '<') return yield* this.compare('__lt', left, right, '<');
+        if (operator === '<=') return yield* this.compare('__le', left, right, '<=');
+        if (operator === '>') return yield* this.compare('__lt', right, left, '<');
+        if (operator === '>=') return yield* this.compare('__le', right, left, '<=');
+        throw this.error('unknown operator ' + operator);
+    }
+
+    *arithmetic(operator, left, right) {
+        const a = LuaInterpreter.toNumber(left);
+        const b = LuaInterpreter.toNumber(right);
+
+        if (a !== null && b !== null) {
+            switch (operator) {
+                case '+': return a + b;
+                case '-': return a - b;
+                case '*': return a * b;
+                case '/': return a / b;
+                case '//': return Math.floor(a / b);
+                case '%': return b === Infinity ? (a >= 0 ? a : b) : b === -Infinity ? (a <= 0 ? a : b) : a - Math.floor(a / b) * b;
+                case '^': return Math.pow(a, b);
+            }
+        }
+
+        const event = '__' + LuaInterpreter.ARITHMETIC[operator];
+        const handler = this.getMetamethod(left, event) || this.getMetamethod(right, event);
+        if (handler !== null && handler !== undefined) return LuaInterpreter.value(yield* this.call(handler, [left, right]));
+
+        throw this.error('attempt to perform arithmetic (' + LuaInterpreter.ARITHMETIC[operator] + ') on ' +
+            LuaInterpreter.type(left) + (left === right || LuaInterpreter.type(left) === LuaInterpreter.type(right) ? '' : ' and ' + LuaInterpreter.type(right)));
+    }
+
+    *concat(left, right) {
+        const isText = value => typeof value === 'string' || typeof value === 'number';
+        if (isText(left) && isText(right)) {
+            const text = this.toString(left);
+            const other = this.toString(right);
+            if (text.length + other.length > LuaInterpreter.MAX_STRING_LENGTH) throw this.error('string too large');
+            return text + other;
+        }
+
+        const handler = this.getMetamethod(left, '__concat') || this.getMetamethod(right, '__concat');
+        if (handler !== null && handler !== undefined) return LuaInterpreter.value(yield* this.call(handler, [left, right]));
+
+        throw this.error('attempt to concatenate ' + LuaInterpreter.type(left) + ' with ' + LuaInterpreter.type(right));
+    }
+
+    *equals(left, right) {
+        if (left === right) return true;
+        if (left instanceof LuaTable && right instanceof LuaTable) {
+            const handler = this.getMetamethod(left, '__eq') || this.getMetamethod(right, '__eq');
+            if (handler !== null && handler !== undefined) return LuaInterpreter.isTruthy(LuaInterpreter.value(yield* this.call(handler, [left, right])));
+        }
+        return false;
+    }
+
+    *compare(event, left, right, symbol) {
+        if ((typeof left === 'number' && typeof right === 'number') || (typeof left === 'string' && typeof right === 'string')) {
+            return symbol === '<' ? left < right : left <= right;
+        }
+
+        const handler = this.getMetamethod(left, event) || this.getMetamethod(right, event);
+        if (handler !== null && handler !== undefined) return LuaInterpreter.isTruthy(LuaInterpreter.value(yield* this.call(handler, [left, right])));
+
+        throw this.error('attempt to compare ' + LuaInterpreter.type(left) + ' ' + symbol + ' ' + LuaInterpreter.type(right));
+    }
+
+    // Iteration order for pairs and next: the array part, then keys in insertion order
+    static keys(table) {
+        const keys = [];
+        table.array.forEach((value, index) => {
+            if (value !== null) keys.push(index + 1);
+        });
+        table.hash.forEach((value, key) => keys.push(key));
+        return keys;
+    }
+
+    native(name, fn, yields = false) {
+        return new LuaFunction(name, { native: fn, yields });
+    }
+
+    // Builds a table of natives from { name: fn }; names starting with * are generator natives that may wait
+    library(prefix, functions) {
+        const table = new LuaTable();
+        Object.keys(functions).forEach(key => {
+            const yields = key[0] === '*';
+            const name = yields ? key.slice(1) : key;
+            table.set(name, this.native(prefix ? prefix + '.' + name : name, functions[key], yields));
+        });
+        return table;
+    }
+
+    argument(args, index, type, name, optional = false) {
+        const value = index < args.length ? args[index] : null;
+        if (value === null && optional) return null;
+
+        if (type === 'number') {
+            const number = LuaInterpreter.toNumber(value);
+            if (number !== null) return number;
+        } else if (type === 'string') {
+            if (typeof value === 'string') return value;
+            if (typeof value === 'number') return LuaInterpreter.numberToString(value);
+        } else if (LuaInterpreter.type(value) === type) {
+            return value;
+        }
+
+        const got = index < args.length ? LuaInterpreter.type(value) : 'no value';
+        throw this.error('bad argument #' + (index + 1) + ' to \'' + name + '\' (' + type + ' expected, got ' + got + ')');
+    }
+
+    random() {
+        // mulberry32, seeded so runs are repeatable
+        let state = this.randomState = (this.randomState + 0x6D2B79F5) | 0;
+        state = Math.imul(state ^ (state >>> 15), state | 1);
+        state ^= state + Math.imul(state ^ (state >>> 7), state | 61);
+        return ((state ^ (state >>> 14)) >>> 0) / 4294967296;
+    }
+
+    installLibraries() {
+        const globals = this.globals;
+        const interpreter = this;
+        const print = kind => (args) => {
+            this.output(kind, args.map(value => this.toString(value)).join(' '));
+        };
+
+        globals.set('_G', globals);
+        globals.set('_VERSION', 'Luau');
+
+        const base = this.library(null, {
+            print: print('print'),
+            warn: print('warn'),
+            type: args => LuaInterpreter.type(LuaInterpreter.value(args, 0)),
+            typeof: args => {
+                const value = LuaInterpreter.value(args, 0);
+                return value instanceof LuaTable && value.robloxClass ? 'Instance' : LuaInterpreter.type(value);
+            },
+            tostring: args => this.toString(LuaInterpreter.value(args, 0)),
+            tonumber: args => {
+                const base = args.length > 1 && args[1] !== null ? this.argument(args, 1, 'number', 'tonumber') : 10;
+                return LuaInterpreter.toNumber(LuaInterpreter.value(args, 0), base);
+            },
+            error: args => {
+                const value = LuaInterpreter.value(args, 0);
+                const level = args.length > 1 ? LuaInterpreter.toNumber(args[1]) : 1;
+                throw new LuaError(typeof value === 'string' && level !== 0 ? 'Line ' + this.line + ': ' + value : value);
+            },
+            assert: args => {
+                if (!LuaInterpreter.isTruthy(LuaInterpreter.value(args, 0))) {
+                    const message = args.length > 1 ? args[1] : 'assertion failed!';
+                    throw new LuaError(typeof message === 'string' ? 'Line ' + this.line + ': ' + message : message);
+                }
+                return args;
+            },
+            '*pcall': function* (args) {
+                const fn = LuaInterpreter.value(args, 0);
+                try {
+                    return [true].concat(yield* interpreter.call(fn, args.slice(1)));
+                } catch (error) {
+                    if (!(error instanceof LuaError) || error.fatal) throw error;
+                    return [false, error.value];
+                }
+            },
+            '*xpcall': function* (args) {
+                try {
+                    return [true].concat(yield* interpreter.call(LuaInterpreter.value(args, 0), args.slice(2)));
+                } catch (error) {
+                    if (!(error instanceof LuaError) || error.fatal) throw error;
+                    return [false].concat(yield* interpreter.call(LuaInterpreter.value(args, 1), [error.value]));
+                }
+            },
+            select: args => {
+                const count = args.length - 1;
+                if (args[0] === '#') return count;
+                let index = this.argument(args, 0, 'number', 'select');
+                if (index < 0) index = count + index + 1;
+                if (index < 1) throw this.error('bad argument #1 to \'select\' (index out of range)');
+                return args.slice(index);
+            },
+            next: args => {
+                const table = this.argument(args, 0, 'table', 'next');
+                const keys = LuaInterpreter.keys(table);
+                const key = args.length > 1 ? args[1] : null;
+                let position = 0;
+                if (key !== null) {
+                    position = keys.indexOf(key);
+                    if (position === -1) throw this.error('invalid key to \'next\'');
+                    position++;
+                }
+                for (; position < keys.length; position++) {
+                    const value = table.get(keys[position]);
+                    if (value !== null) return [keys[position], value];
+                }
+                return null;
+            },
+            pairs: args => {
+                const table = this.argument(args, 0, 'table', 'pairs');
+                return [globals.get('next'), table, null];
+            },
+            ipairs: args => {
+                const table = this.argument(args, 0, 'table', 'ipairs');
+                const iterator = this.native('ipairs iterator', ([target, index]) => {
+                    const value = target.get(index + 1);
+                    return value === null ? null : [index + 1, value];
+                });
+                return [iterator, table, 0];
+            },
+            unpack: args => this.unpack(args, 'unpack'),
+            rawget: args => this.argument(args, 0, 'table', 'rawget').get(LuaInterpreter.value(args, 1)),
+            rawset: args => {
+                this.argument(args, 0, 'table', 'rawset').set(LuaInterpreter.value(args, 1), LuaInterpreter.value(args, 2));
+                return args[0];
+            },
+            rawequal: args => args[0] === args[1],
+            rawlen: args => {
+                const value = LuaInterpreter.value(args, 0);
+                if (typeof value === 'string' || value instanceof LuaTable) return value.length;
+                throw this.error('table or string expected');
+            },
+            setmetatable: args => {
+                const table = this.argument(args, 0, 'table', 'setmetatable');
+                const metatable = args.length > 1 ? args[1] : null;
+                if (metatable !== null && !(metatable instanceof LuaTable)) throw this.error('bad argument #2 to \'setmetatable\' (nil or table expected)');
+                if (table.metatable && table.metatable.get('__metatable') !== null) throw this.error('cannot change a protected metatable');
+                table.metatable = metatable;
+                return table;
+            },
+            getmetatable: args => {
+                const value = LuaInterpreter.value(args, 0);
+                if (typeof value === 'string') return null;
+                if (!(value instanceof LuaTable) || !value.metatable) return null;
+                const protectedValue = value.metatable.get('__metatable');
+                return protectedValue !== null ? protectedValue : value.metatable;
+            }
+        });
+        base.hash.forEach((value, key) => globals.set(key, value));
+
+        globals.set('string', this.createStringLibrary());
+        globals.set('table', this.createTableLibrary());
+        globals.set('math', this.createMathLibrary());
+        globals.set('coroutine', this.createCoroutineLibrary());
+    }
+
+    unpack(args, name) {
+        const table = this.argument(args, 0, 'table', name);
+        const first = args.length > 1 && args[1] !== null ? this.argument(args, 1, 'number', name) : 1;
+        const last = args.length > 2 && args[2] !== null ? this.argument(args, 2, 'number', name) : table.length;
+        if (last - first >= 8000) throw this.error('too many results to unpack');
+        const values = [];
+        for (let index = first; index <= last; index++) values.push(table.get(index));
+        return values;
+    }
+
+    createStringLibrary() {
+        const string = (args, index, name) => this.argument(args, index, 'string', name);
+        const number = (args, index, name, fallback) => args.length > index && args[index] !== null ? Math.trunc(this.argument(args, index, 'number', name)) : fallback;
+        // Lua's 1-based, negative-from-the-end positions as a 0-based start
+        const position = (value, length) => value >= 0 ? value : Math.max(length + value + 1, 0);
+
+        const find = (args, name, isFind) => {
+            const source = string(args, 0, name);
+            const pattern = string(args, 1, name);
+            let init = position(number(args, 2, name, 1), source.length);
+            if (init < 1) init = 1;
+            if (init > source.length + 1) return null;
+
+            if (isFind && (LuaInterpreter.isTruthy(LuaInterpreter.value(args, 3)) || !LuaPattern.hasSpecials(pattern))) {
+                const index = source.indexOf(pattern, init - 1);
+                return index === -1 ? null : [index + 1, index + pattern.length];
+            }
+
+            const matcher = new LuaPattern(source, pattern, this);
+            for (let s = init - 1; s <= source.length; s++) {
+                const end = matcher.matchAt(s);
+                if (end !== -1) {
+                    return isFind ? [s + 1, end].concat(matcher.getCaptures(s, end, false)) : matcher.getCaptures(s, end);
+                }
+                if (matcher.anchored) break;
+            }
+            return null;
+        };
+
+        const library = this.library('string', {
+            len: args => string(args, 0, 'len').length,
+            sub: args => {
+                const source = string(args, 0, 'sub');
+                let start = position(number(args, 1, 'sub', 1), source.length);
+                let end = position(number(args, 2, 'sub', -1), source.length);
+                if (start < 1) start = 1;
+                if (end > source.length) end = source.length;
+                return start > end ? '' : source.slice(start - 1, end);
+            },
+            upper: args => string(args, 0, 'upper').toUpperCase(),
+            lower: args => string(args, 0, 'lower').toLowerCase(),
+            rep: args => {
+                const source = string(args, 0, 'rep');
+                const count = number(args, 1, 'rep', null);
+                const separator = args.length > 2 && args[2] !== null ? string(args, 2, 'rep') : '';
+                if (count === null) this.argument(args, 1, 'number', 'rep');
+                if (count <= 0) return '';
+                if ((source.length + separator.length) * count > LuaInterpreter.MAX_STRING_LENGTH) throw this.error('resulting string too large');
+                return Array(count).fill(source).join(separator);
+            },
+            reverse: args => Array.from(string(args, 0, 'reverse')).reverse().join(''),
+            byte: args => {
+                const source = string(args, 0, 'byte');
+                const start = position(number(args, 1, 'byte', 1), source.length);
+                const end = position(number(args, 2, 'byte', start), source.length);
+                const codes = [];
+                for (let index = Math.max(start, 1); index <= Math.min(end, source.length); index++) codes.push(source.charCodeAt(index - 1));
+                return codes;
+            },
+            char: args => args.map((value, index) => String.fromCharCode(this.argument(args, index, 'number', 'char'))).join(''),
+            format: args => this.format(args),
+            find: args => find(args, 'find', true),
+            match: args => find(args, 'match', false),
+            gmatch: args => {
+                const source = string(args, 0, 'gmatch');
+                const matcher = new LuaPattern(source, string(args, 1, 'gmatch'), this);
+                let next = 0;
+                return this.native('gmatch iterator', () => {
+                    for (let s = next; s <= source.length; s++) {
+                        const end = matcher.matchAt(s);
+                        if (end !== -1) {
+                            next = end === s ? end + 1 : end;
+                            return matcher.getCaptures(s, end);
+                        }
+                    }
+                    next = source.length + 1;
+                    return null;
+                });
+            },
+            gsub: args => this.gsub(args),
+            split: args => {
+                const source = string(args, 0, 'split');
+                const separator = args.length > 1 && args[1] !== null ? string(args, 1, 'split') : ',';
+                const table = new LuaTable();
+                (separator === '' ? Array.from(source) : source.split(separator)).forEach(part => table.set(table.length + 1, part));
+                return table;
+            }
+        });
+
+        library.hash.forEach((value, key) => this.stringLibrary.set(key, value));
+        return this.stringLibrary;
+    }
+
+    gsub(args) {
+        const source = this.argument(args, 0, 'string', 'gsub');
+        const pattern = this.argument(args, 1, 'string', 'gsub');
+        const replacement = args.length > 2 ? args[2] : null;
+        const limit = args.length > 3 && args[3] !== null ? this.argument(args, 3, 'number', 'gsub') : Infinity;
+
+        const kind = LuaInterpreter.type(replacement);
+        if (!['string', 'number', 'table', 'function'].includes(kind)) {
+            throw this.error('bad argument #3 to \'gsub\' (string/function/table expected, got ' + (args.length > 2 ? kind : 'no value') + ')');
+        }
+
+        const matcher = new LuaPattern(source, pattern, this);
+        let result = '';
+        let count = 0;
+        let s = 0;
+
+        while (count < limit) {
+            const end = matcher.matchAt(s);
+            if (end !== -1) {
+                count++;
+                const whole = source.slice(s, end);
+                const captures = matcher.getCaptures(s, end);
+                let value;
+
+                if (kind === 'string' || kind === 'number') {
+                    value = String(typeof replacement === 'number' ? this.toString(replacement) : replacement).replace(/%([\s\S])/g, (match, char) => {
+                        if (char === '0') return whole;
+                        if (/\d/.test(char)) {
+                            const capture = char === '1' && matcher.captures.length === 0 ? whole : matcher.getCaptures(s, end, false)[parseInt(char, 10) - 1];
+                            if (capture === undefined) throw this.error('invalid capture index %' + char + ' in replacement string');
+                            return this.toString(capture);
+                        }
+                        if (char === '%') return '%';
+                        throw this.error('invalid use of \'%\' in replacement string');
+                    });
+                } else {
+                    const found = kind === 'table' ? replacement.get(captures[0]) : LuaInterpreter.value(this.callSync(replacement, captures));
+                    if (found === null || found === false) {
+                        value = whole;
+                    } else if (typeof found === 'string' || typeof found === 'number') {
+                        value = this.toString(found);
+                    } else {
+                        throw this.error('invalid replacement value (a ' + LuaInterpreter.type(found) + ')');
+                    }
+                }
+                result += value;
+            }
+
+            if (end !== -1 && end > s) {
+                s = end;
+            } else if (s < source.length) {
+                result += source[s++];
+            } else {
+                break;
+            }
+            if (matcher.anchored) break;
+        }
+
+        return [result + source.slice(s), count];
+    }
+
+    // string.format with C-style flags, width and precision
+    format(args) {
+        const template = this.argument(args, 0, 'string', 'format');
+        let argument = 1;
+
+        return template.replace(/%([-+ #0]*)(\d*)(?:\.(\d*))?([a-zA-Z%])/g, (match, flags, width, precision, conversion) => {
+            if (conversion === '%') return '%';
+            const index = argument++;
+            let text;
+
+            switch (conversion) {
+                case 'd':
+                case 'i': {
+                    const value = Math.trunc(this.argument(args, index, 'number', 'format'));
+                    text = String(Math.abs(value));
+                    if (precision) text = text.padStart(parseInt(precision, 10), '0');
+                    text = (value < 0 ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '') + text;
+                    break;
+                }
+                case 'u':
+                    text = String(Math.abs(Math.trunc(this.argument(args, index, 'number', 'format'))));
+                    break;
+                case 'x':
+                case 'X':
+                case 'o': {
+                    const value = Math.trunc(this.argument(args, index, 'number', 'format'));
+                    text = (value < 0 ? value + 0x100000000 : value).toString(conversion === 'o' ? 8 : 16);
+                    if (conversion === 'X') text = text.toUpperCase();
+                    if (flags.includes('#') && value !== 0) text = (conversion === 'o' ? '0' : conversion === 'x' ? '0x' : '0X') + text;
+                    break;
+                }
+                case 'c':
+                    text = String.fromCharCode(this.argument(args, index, 'number', 'format'));
+                    break;
+                case 'f':
+                case 'F':
+                case 'e':
+                case 'E':
+                case 'g':
+                case 'G': {
+                    const value = this.argument(args, index, 'number', 'format');
+                    const digits = precision === undefined ? 6 : parseInt(precision || '0', 10);
+                    if (!isFinite(value)) {
+                        text = LuaInterpreter.numberToString(Math.abs(value) === Infinity ? Math.abs(value) : value);
+                    } else if (conversion === 'f' || conversion === 'F') {
+                        text = Math.abs(value).toFixed(digits);
+                    } else if (conversion === 'e' || conversion === 'E') {
+                        text = Math.abs(value).toExponential(digits);
+                    } else {
+                        const significant = digits === 0 ? 1 : digits;
+                        const exponent = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+                        text = exponent < -4 || exponent >= significant
+                            ? Math.abs(value).toExponential(significant - 1)
+                            : Math.abs(value).toFixed(Math.max(0, significant - 1 - exponent));
+                        if (!flags.includes('#')) text = text.replace(/\.?0+(e|$)/, '$1');
+                    }
+                    text = text.replace(/e([+-])(\d)$/, 'e$10$2');
+                    if (/[EG]/.test(conversion)) text = text.toUpperCase();
+                    text = (value < 0 || Object.is(value, -0) ? '-' : flags.includes('+') ? '+' : flags.includes(' ') ? ' ' : '') + text;
+                    break;
+                }
+                case 's': {
+                    if (index >= args.length) this.argument(args, index, 'string', 'format');
+                    text = this.toString(args[index]);
+                    if (precision !== undefined) text = text.slice(0, parseInt(precision || '0', 10));
+                    break;
+                }
+                case 'q': {
+                    const value = LuaInterpreter.value(args, index);
+                    text = typeof value === 'string'
+                        ? '"' + value.replace(/[\\"\n\r\0]/g, char => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\r': '\\r', '\0': '\\0' })[char]) + '"'
+                        : this.toString(value);
+                    break;
+                }
+                default:
+                    throw this.error('invalid conversion \'' + match + '\' to \'format\'');
+            }
+
+            const size = parseInt(width || '0', 10);
+            if (text.length >= size) return text;
+            if (flags.includes('-')) return text.padEnd(size);
+            if (flags.includes('0') && /[dioxXuefgEG]/.test(conversion)) {
+                const sign = /^[-+ ]/.test(text) ? text[0] : '';
+                return sign + text.slice(sign.length).padStart(size - sign.length, '0');
+            }
+            return text.padStart(size);
+        });
+    }
+
+    createTableLibrary() {
+        const table = (args, name) => this.argument(args, 0, 'table', name);
+
+        return this.library('table', {
+            insert: args => {
+                const target = table(args, 'insert');
+                if (args.length === 2) {
+                    target.set(target.length + 1, args[1]);
+                } else if (args.length === 3) {
+                    const position = this.argument(args, 1, 'number', 'insert');
+                    if (position < 1 || position > target.length + 1) throw this.error('bad argument #2 to \'insert\' (position out of bounds)');
+                    for (let index = target.length; index >= position; index--) target.set(index + 1, target.get(index));
+                    target.set(position, args[2]);
+                } else {
+                    throw this.error('wrong number of arguments to \'insert\'');
+                }
+            },
+            remove: args => {
+                const target = table(args, 'remove');
+                const length = target.length;
+                const position = args.length > 1 && args[1] !== null ? this.argument(args, 1, 'number', 'remove') : length;
+                if (length === 0 && args.length < 2) return null;
+                if (position < 1 || position > length + 1) throw this.error('bad argument #2 to \'remove\' (position out of bounds)');
+
+                const removed = target.get(position);
+                for (let index = position; index < length; index++) target.set(index, target.get(index + 1));
+                if (position <= length) target.set(length, null);
+                return removed;
+            },
+            concat: args => {
+                const target = table(args, 'concat');
+                const separator = args.length > 1 && args[1] !== null ? this.argument(args, 1, 'string', 'concat') : '';
+                const first = args.length > 2 && args[2] !== null ? this.argument(args, 2, 'number', 'concat') : 1;
+                const last = args.length > 3 && args[3] !== null ? this.argument(args, 3, 'number', 'concat') : target.length;
+                const parts = [];
+                let length = 0;
+                for (let index = first; index <= last; index++) {
+                    const value = target.get(index);
+                    if (typeof value !== 'string' && typeof value !== 'number') {
+                        throw this.error('invalid value (at index ' + index + ') in table for \'concat\'');
+                    }
+                    parts.push(this.toString(value));
+                    length += parts[parts.length - 1].length + separator.length;
+                    if (length > LuaInterpreter.MAX_STRING_LENGTH) throw this.error('resulting string too large');
+                }
+                return parts.join(separator);
+            },
+            sort: args => {
+                const target = table(args, 'sort');
+                const comparator = args.length > 1 ? args[1] : null;
+                const values = [];
+                for (let index = 1; index <= target.length; index++) values.push(target.get(index));
+
+                values.sort((a, b) => {
+                    if (comparator !== null) {
+                        if (LuaInterpreter.isTruthy(LuaInterpreter.value(this.callSync(comparator, [a, b])))) return -1;
+                        return LuaInterpreter.isTruthy(LuaInterpreter.value(this.callSync(comparator, [b, a]))) ? 1 : 0;
+                    }
+                    if (!((typeof a === 'number' && typeof b === 'number') || (typeof a === 'string' && typeof b === 'string'))) {
+                        throw this.error('attempt to compare ' + LuaInterpreter.type(a) + ' < ' + LuaInterpreter.type(b));
+                    }
+                    return a < b ? -1 : a > b ? 1 : 0;
+                });
+                values.forEach((value, index) => target.set(index + 1, value));
+            },
+            unpack: args => this.unpack(args, 'unpack'),
+            pack: args => {
+                const packed = new LuaTable();
+                args.forEach((value, index) => packed.set(index + 1, value));
+                packed.set('n', args.length);
+                return packed;
+            },
+            find: args => {
+                const target = table(args, 'find');
+                const start = args.length > 2 && args[2] !== null ? this.argument(args, 2, 'number', 'find') : 1;
+                for (let index = start; index <= target.length; index++) {
+                    if (target.get(index) === args[1]) return index;
+                }
+                return null;
+            },
+            clear: args => {
+                const target = table(args, 'clear');
+                target.array = [];
+                target.hash = new Map();
+            },
+            clone: args => {
+                const source = table(args, 'clone');
+                const copy = new LuaTable();
+                copy.array = source.array.slice();
+                copy.hash = new Map(source.hash);
+                copy.metatable = source.metatable;
+                return copy;
+            },
+            create: args => {
+                const created = new LuaTable();
+                const count = this.argument(args, 0, 'number', 'create');
+                for (let index = 1; index <= count; index++) created.set(index, args.length > 1 ? args[1] : null);
+                return created;
+            },
+            freeze: args => {
+                table(args, 'freeze').frozen = true;
+                return args[0];
+            },
+            isfrozen: args => Boolean(table(args, 'isfrozen').frozen)
+        });
+    }
+
+    createMathLibrary() {
+        const number = (args, index, name) => this.argument(args, index, 'number', name);
+        const unary = (name, fn) => args => fn(number(args, 0, name));
+
+        const library = this.library('math', {
+            abs: unary('abs', Math.abs),
+            ceil: unary('ceil', Math.ceil),
+            floor: unary('floor', Math.floor),
+            sqrt: unary('sqrt', Math.sqrt),
+            exp: unary('exp', Math.exp),
+            sin: unary('sin', Math.sin),
+            cos: unary('cos', Math.cos),
+            tan: unary('tan', Math.tan),
+            asin: unary('asin', Math.asin),
+            acos: unary('acos', Math.acos),
+            log10: unary('log10', Math.log10),
+            rad: unary('rad', value => value * Math.PI / 180),
+            deg: unary('deg', value => value * 180 / Math.PI),
+            sign: unary('sign', Math.sign),
+            round: unary('round', value => value < 0 ? -Math.round(-value) : Math.round(value)),
+            atan: args => args.length > 1 && args[1] !== null ? Math.atan2(number(args, 0, 'atan'), number(args, 1, 'atan')) : Math.atan(number(args, 0, 'atan')),
+            atan2: args => Math.atan2(number(args, 0, 'atan2'), number(args, 1, 'atan2')),
+            log: args => args.length > 1 && args[1] !== null ? Math.log(number(args, 0, 'log')) / Math.log(number(args, 1, 'log')) : Math.log(number(args, 0, 'log')),
+            pow: args => Math.pow(number(args, 0, 'pow'), number(args, 1, 'pow')),
+            fmod: args => number(args, 0, 'fmod') % number(args, 1, 'fmod'),
+            modf: args => {
+                const value = number(args, 0, 'modf');
+                const integer = value < 0 ? Math.ceil(value) : Math.floor(value);
+                return [integer, isFinite(value) ? value - integer : 0];
+            },
+            max: args => args.map((value, index) => number(args, index, 'max')).reduce((a, b) => Math.max(a, b), number(args, 0, 'max')),
+            min: args => args.map((value, index) => number(args, index, 'min')).reduce((a, b) => Math.min(a, b), number(args, 0, 'min')),
+            clamp: args => {
+                const min = number(args, 1, 'clamp');
+                const max = number(args, 2, 'clamp');
+                if (min > max) throw this.error('bad argument #3 to \'clamp\' (max must be greater than or equal to min)');
+                return Math.min(Math.max(number(args, 0, 'clamp'), min), max);
+            },
+            random: args => {
+                const random = this.random();
+                if (args.length === 0) return random;
+                const low = args.length > 1 ? number(args, 0, 'random') : 1;
+                const high = number(args, args.length > 1 ? 1 : 0, 'random');
+                if (low > high) throw this.error('bad argument #' + (args.length > 1 ? 2 : 1) + ' to \'random\' (interval is empty)');
+                return Math.floor(low + random * (high - low + 1));
+            },
+            randomseed: args => {
+                this.randomState = Math.trunc(number(args, 0, 'randomseed')) | 0;
+            }
+        });
+
+        library.set('pi', Math.PI);
+        library.set('huge', Infinity);
+        return library;
+    }
+
+    // Coroutines are tables holding a generator; type() reports them as threads. coroutine.yield hands values
+    // back to whoever resumed the coroutine. A coroutine that waits (task.wait) returns from resume at once and
+    // is handed to the scheduler, which resumes it when the wait is over, as Roblox does.
+    createCoroutineLibrary() {
+        const interpreter = this;
+        const coroutineOf = (args, name) => this.argument(args, 0, 'thread', name).coroutine;
+        const create = (args, name) => {
+            const handle = new LuaTable();
+            handle.coroutine = { handle, fn: this.argument(args, 0, 'function', name), generator: null, status: 'suspended', thread: null, depth: 0 };
+            return handle;
+        };
+        // Runs a coroutine until it yields, waits, returns or fails; gives [success, ...values]
+        const resume = (coroutine, args) => {
+            if (coroutine.status !== 'suspended') return [false, 'cannot resume ' + (coroutine.status === 'dead' ? 'dead' : 'non-suspended') + ' coroutine'];
+            // Resuming a waiting coroutine ends its wait early
+            if (coroutine.thread) {
+                coroutine.thread.done = true;
+                this.threads = this.threads.filter(thread => thread !== coroutine.thread);
+                coroutine.thread = null;
+            }
+
+            const previous = this.currentThread;
+            const previousCoroutine = this.currentCoroutine;
+            if (previousCoroutine) previousCoroutine.status = 'normal';
+            this.currentThread = coroutine;
+            this.currentCoroutine = coroutine;
+            coroutine.status = 'running';
+
+            try {
+                let step;
+                if (coroutine.generator) {
+                    step = coroutine.generator.next(args);
+                } else {
+                    coroutine.generator = this.call(coroutine.fn, args);
+                    step = coroutine.generator.next();
+                }
+                if (step.done) {
+                    coroutine.status = 'dead';
+                    return [true].concat(step.value);
+                }
+                coroutine.status = 'suspended';
+                if (step.value && step.value.coroutineYield) return [true].concat(step.value.coroutineYield);
+                coroutine.thread = this.spawn(coroutine.generator, [], Math.max(0, step.value && step.value.wait || 0));
+                coroutine.thread.coroutine = coroutine;
+                return [true];
+            } catch (error) {
+                coroutine.status = 'dead';
+                if (!(error instanceof LuaError) || error.fatal) throw error;
+                return [false, error.value];
+            } finally {
+                this.currentThread = previous;
+                this.currentCoroutine = previousCoroutine;
+                if (previousCoroutine) previousCoroutine.status = 'running';
+            }
+        };
+
+        return this.library('coroutine', {
+            create: args => create(args, 'create'),
+            resume: args => resume(coroutineOf(args, 'resume'), args.slice(1)),
+            '*yield': function* (args) {
+                if (!interpreter.currentCoroutine) throw interpreter.error('attempt to yield from outside a coroutine');
+                return yield { coroutineYield: args };
+            },
+            wrap: args => {
+                const coroutine = create(args, 'wrap').coroutine;
+                return this.native('wrapped coroutine', values => {
+                    const result = resume(coroutine, values);
+                    if (!result[0]) throw new LuaError(result[1]);
+                    return result.slice(1);
+                });
+            },
+            status: args => coroutineOf(args, 'status').status,
+            running: () => this.currentCoroutine ? this.currentCoroutine.handle : null,
+            isyieldable: () => this.currentCoroutine !== null,
+            close: args => {
+                const coroutine = coroutineOf(args, 'close');
+                if (coroutine.status === 'running' || coroutine.status === 'normal') throw this.error('cannot close a ' + coroutine.status + ' coroutine');
+                if (coroutine.thread) {
+                    coroutine.thread.done = true;
+                    this.threads = this.threads.filter(thread => thread !== coroutine.thread);
+                    coroutine.thread = null;
+                }
+                if (coroutine.generator) coroutine.generator.return();
+                coroutine.status = 'dead';
+                return true;
+            }
+        });
+    }
+}
+
+// A simulated Roblox server for running docs examples: services, a player joining and leaving,
+// BindToClose, and a WebhookLib module that answers like Discord would instead of sending anything.
+// Everything runs on the interpreter's virtual clock, so the whole timeline takes milliseconds.
+class SnippetSandbox {
+    constructor(converter) {
+        this.converter = converter;
+        this.entries = [];
+        this.truncated = false;
+        this.returned = [];
+        this.interpreter = new LuaInterpreter({ output: (kind, text) => this.log(kind, text) });
+        this.epoch = Math.floor(Date.now() / 1000);
+        this.players = [];
+        this.joinTimes = new Map();
+        this.closeCallbacks = [];
+        this.dataStores = new Map();
+        this.webhooks = new Map();
+        this.recentRequests = new Map();
+        this.messageIds = new Set();
+        this.messageCount = 0;
+        this.install();
+    }
+
+    // When simulated game events happen, in seconds of game time
+    static get TIMELINE() {
+        return { join: 2, leave: 20, close: 60, closeTimeout: 30 };
+    }
+
+    static get MAX_ENTRIES() { return 400; }
+
+    // Discord allows 5 requests per 2 seconds per webhook
+    static get DISCORD_RATE_LIMIT() {
+        return { requests: 5, window: 2 };
+    }
+
+    static get STATUS_TEXT() {
+        return { 200: 'OK', 204: 'No Content', 400: 'Bad Request', 404: 'Not Found', 429: 'Too Many Requests' };
+    }
+
+    // A short built-in list; banned_words adds to it
+    static get PROFANITY() {
+        return ['damn', 'crap', 'bastard', 'bloody'];
+    }
+
+    log(kind, text, details = {}) {
+        if (this.entries.length >= SnippetSandbox.MAX_ENTRIES) {
+            this.truncated = true;
+            return;
+        }
+        this.entries.push(Object.assign({ time: this.interpreter.clock, kind, text }, details));
+    }
+
+    // Keeps what the main chunk returns, for tools that check a table the code builds
+    *runMain(main) {
+        this.returned = yield* this.interpreter.call(main, []);
+    }
+
+    run(code) {
+        const interpreter = this.interpreter;
+        const timeline = SnippetSandbox.TIMELINE;
+
+        try {
+            const main = interpreter.load(code);
+            interpreter.spawn(this.runMain(main), [], 0, 'main');
+            this.at(timeline.join, () => this.addPlayer(this.createPlayer('Player2', 'Second Player', 2345678, 12)));
+            this.at(timeline.leave, () => this.removePlayer(this.players.find(player => player.get('Name') === 'Player2')));
+
+            interpreter.runUntil(timeline.close);
+            interpreter.clock = timeline.close;
+            if (this.closeCallbacks.length) {
+                this.log('event', 'Server closing; running ' + this.closeCallbacks.length + ' BindToClose callback' + (this.closeCallbacks.length === 1 ? '' : 's'));
+                this.closeCallbacks.forEach(callback => interpreter.resume(interpreter.spawn(callback, [], 0, 'BindToClose')));
+                interpreter.runUntil(timeline.close + timeline.closeTimeout);
+            } else {
+                this.log('event', 'Server closing');
+            }
+        } catch (error) {
+            if (error instanceof SyntaxError || error instanceof LuaError) {
+                this.log('error', error.message);
+            } else if (error instanceof RangeError) {
+                // The browser ran out of room before one of the interpreter's own limits caught it
+                this.log('error', interpreter.error(/string length/i.test(error.message) ? 'string too large' : 'not enough memory').message);
+            } else {
+                this.log('error', 'The simulation failed: ' + error.message);
+            }
+        }
+
+        this.webhooks.forEach(state => {
+            if (state.queue.length) {
+                this.log('queue', state.queue.length + ' request' + (state.queue.length === 1 ? ' was' : 's were') + ' still queued when the server shut down and were lost');
+            }
+        });
+
+        return {
+            entries: this.entries,
+            truncated: this.truncated,
+            returned: this.returned,
+            clock: interpreter.clock,
+            waiting: interpreter.threads.filter(thread => !thread.done && thread.name !== 'simulation').length
+        };
+    }
+
+    at(time, callback) {
+        this.interpreter.spawn((function* () {
+            callback();
+        })(), [], time, 'simulation');
+    }
+
+    install() {
+        const interpreter = this.interpreter;
+        const globals = interpreter.globals;
+
+        const task = this.createTaskLibrary();
+        globals.set('task', task);
+        globals.set('wait', task.get('wait'));
+        globals.set('spawn', task.get('defer'));
+        globals.set('delay', task.get('delay'));
+        globals.set('tick', interpreter.native('tick', () => this.epoch + interpreter.clock));
+        globals.set('time', interpreter.native('time', () => interpreter.clock));
+        globals.set('os', this.createOsLibrary());
+
+        const game = this.createGame();
+        globals.set('game', game);
+        globals.set('workspace', this.services.get('Workspace'));
+        globals.set('script', this.script);
+        globals.set('Enum', this.createEnum());
+        globals.set('require', interpreter.native('require', args => {
+            const module = LuaInterpreter.value(args, 0);
+            if (module === this.webhookLibScript) return this.webhookLib;
+            throw interpreter.error('only WebhookLib can be required here, e.g. require(game.ReplicatedStorage.WebhookLib)');
+        }));
+
+        // What docs snippets assume already exists
+        this.webhookLib = this.createWebhookLib();
+        globals.set('WebhookLib', this.webhookLib);
+        globals.set('webhook', interpreter.callSync(this.webhookLib.get('new'), ['https://discord.com/api/webhooks/0/playground'])[0]);
+        // A message that already exists, for the EditMessage and DeleteMessage examples
+        const messageId = this.nextMessageId();
+        this.messageIds.add(messageId);
+        globals.set('messageId', messageId);
+        const player = this.createPlayer('TestPlayer', 'Test Player', 1234567, 365);
+        this.players.push(player);
+        this.joinTimes.set(player, 0);
+        this.services.get('Players').children.push(player);
+        globals.set('player', player);
+    }
+
+    createTaskLibrary() {
+        const interpreter = this.interpreter;
+        const seconds = (args, index, name) => args.length > index && args[index] !== null ? interpreter.argument(args, index, 'number', name) : 0;
+        const handle = thread => {
+            const value = new LuaTable();
+            value.thread = thread;
+            return value;
+        };
+
+        return interpreter.library('task', {
+            '*wait': function* (args) {
+                const start = interpreter.clock;
+                // One frame at least, as in Roblox
+                yield { wait: Math.max(seconds(args, 0, 'wait'), 1 / 60) };
+                return [interpreter.clock - start, interpreter.clock];
+            },
+            spawn: args => {
+                const thread = interpreter.spawn(interpreter.argument(args, 0, 'function', 'spawn'), args.slice(1));
+                interpreter.resume(thread);
+                return handle(thread);
+            },
+            defer: args => handle(interpreter.spawn(interpreter.argument(args, 0, 'function', 'defer'), args.slice(1))),
+            delay: args => handle(interpreter.spawn(interpreter.argument(args, 1, 'function', 'delay'), args.slice(2), seconds(args, 0, 'delay'))),
+            cancel: args => {
+                const value = LuaInterpreter.value(args, 0);
+                if (value instanceof LuaTable && value.thread) {
+                    value.thread.done = true;
+                    interpreter.threads = interpreter.threads.filter(thread => thread !== value.thread);
+                }
+            }
+        });
+    }
+
+    // Seconds since 1970 in game time
+    now() {
+        return this.epoch + this.interpreter.clock;
+    }
+
+    isoTime() {
+        return new Date(Math.floor(this.now()) * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    createOsLibrary() {
+        const interpreter = this.interpreter;
+        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+        const pad = (value, size = 2) => String(value).padStart(size, '0');
+
+        return interpreter.library('os', {
+            time: args => {
+                const table = LuaInterpreter.value(args, 0);
+                if (!(table instanceof LuaTable)) return Math.floor(this.now());
+                const field = (key, fallback) => {
+                    const value = table.get(key);
+                    if (value === null && fallback === undefined) throw interpreter.error('field \'' + key + '\' missing in date table');
+                    return value === null ? fallback : LuaInterpreter.toNumber(value);
+                };
+                return Math.floor(new Date(field('year'), field('month') - 1, field('day'), field('hour', 12), field('min', 0), field('sec', 0)).getTime() / 1000);
+            },
+            clock: () => interpreter.clock,
+            difftime: args => interpreter.argument(args, 0, 'number', 'difftime') - (args.length > 1 && args[1] !== null ? interpreter.argument(args, 1, 'number', 'difftime') : 0),
+            getenv: () => null,
+            date: args => {
+                let format = args.length && args[0] !== null ? interpreter.argument(args, 0, 'string', 'date') : '%c';
+                const time = args.length > 1 && args[1] !== null ? interpreter.argument(args, 1, 'number', 'date') : this.now();
+                const utc = format[0] === '!';
+                if (utc) format = format.slice(1);
+
+                const date = new Date(Math.floor(time) * 1000);
+                const get = part => date[(utc ? 'getUTC' : 'get') + part]();
+                const parts = {
+                    year: get('FullYear'), month: get('Month') + 1, day: get('Date'),
+                    hour: get('Hours'), min: get('Minutes'), sec: get('Seconds'), wday: get('Day') + 1
+                };
+                const startOfYear = utc ? Date.UTC(parts.year, 0, 1) : new Date(parts.year, 0, 1).getTime();
+                parts.yday = Math.floor((date.getTime() - startOfYear) / 86400000) + 1;
+
+                if (format.startsWith('*t')) {
+                    const table = new LuaTable();
+                    Object.keys(parts).forEach(key => table.set(key, parts[key]));
+                    table.set('isdst', false);
+                    return table;
+                }
+
+                const hour12 = parts.hour % 12 || 12;
+                const tokens = {
+                    Y: parts.year, y: pad(parts.year % 100), m: pad(parts.month), d: pad(parts.day), e: String(parts.day).padStart(2),
+                    H: pad(parts.hour), I: pad(hour12), M: pad(parts.min), S: pad(parts.sec), p: parts.hour < 12 ? 'AM' : 'PM',
+                    A: days[parts.wday - 1], a: days[parts.wday - 1].slice(0, 3), B: months[parts.month - 1], b: months[parts.month - 1].slice(0, 3),
+                    j: pad(parts.yday, 3), w: parts.wday - 1, Z: utc ? 'UTC' : '', '%': '%'
+                };
+                tokens.F = tokens.Y + '-' + tokens.m + '-' + tokens.d;
+                tokens.T = tokens.H + ':' + tokens.M + ':' + tokens.S;
+                tokens.D = tokens.m + '/' + tokens.d + '/' + tokens.y;
+                tokens.x = tokens.D;
+                tokens.X = tokens.T;
+                tokens.c = tokens.a + ' ' + tokens.b + ' ' + tokens.e + ' ' + tokens.T + ' ' + tokens.Y;
+
+                return format.replace(/%([\s\S])/g, (match, letter) => {
+                    if (tokens[letter] === undefined) throw interpreter.error('bad argument #1 to \'date\' (invalid conversion specifier \'' + match + '\')');
+                    return String(tokens[letter]);
+                });
+            }
+        });
+    }
+
+    // Instances read like Roblox ones: properties are fields, methods and children come from __index
+    createInstance(className, name, properties = {}, methods = {}) {
+        const interpreter = this.interpreter;
+        const instance = new LuaTable();
+        instance.robloxClass = className;
+        instance.children = [];
+        instance.attributes = new Map();
+        instance.set('Name', name);
+        instance.set('ClassName', className);
+        Object.keys(properties).forEach(key => instance.set(key, properties[key]));
+
+        const self = (args, method) => {
+            if (args[0] !== instance) throw interpreter.error('Expected \':\' not \'.\' calling member function ' + method);
+            return instance;
+        };
+        const child = name => instance.children.find(item => item.get('Name') === name) || null;
+
+        const shared = {
+            FindFirstChild: args => child(self(args, 'FindFirstChild') && args[1]),
+            WaitForChild: args => {
+                const found = child(self(args, 'WaitForChild') && args[1]);
+                if (!found) this.log('warn', 'Infinite yield possible on \'' + name + ':WaitForChild("' + args[1] + '")\'');
+                return found;
+            },
+            GetChildren: args => {
+                self(args, 'GetChildren');
+                const table = new LuaTable();
+                instance.children.forEach(item => table.set(table.length + 1, item));
+                return table;
+            },
+            IsA: args => self(args, 'IsA') && (args[1] === className || args[1] === 'Instance'),
+            GetAttribute: args => {
+                self(args, 'GetAttribute');
+                return instance.attributes.has(args[1]) ? instance.attributes.get(args[1]) : null;
+            },
+            SetAttribute: args => {
+                self(args, 'SetAttribute');
+                instance.attributes.set(args[1], args.length > 2 ? args[2] : null);
+            }
+        };
+
+        const members = interpreter.library(null, Object.assign(shared, methods));
+        instance.metatable = new LuaTable();
+        instance.metatable.set('__index', interpreter.native(className + ' index', ([target, key]) => {
+            const member = members.get(key);
+            return member !== null ? member : child(key);
+        }));
+        instance.metatable.set('__tostring', interpreter.native(className + ' tostring', () => name));
+        return instance;
+    }
+
+    createSignal(name) {
+        const interpreter = this.interpreter;
+        const connections = [];
+        let fired = 0;
+
+        const connect = (fn, once) => {
+            if (!(fn instanceof LuaFunction)) throw interpreter.error('Attempt to connect failed: Passed value is not a function');
+            const connection = { fn, once };
+            connections.push(connection);
+
+            const handle = new LuaTable();
+            handle.set('Connected', true);
+            handle.set('Disconnect', interpreter.native('Disconnect', () => {
+                const index = connections.indexOf(connection);
+                if (index !== -1) connections.splice(index, 1);
+                handle.set('Connected', false);
+            }));
+            return handle;
+        };
+
+        const signal = interpreter.library(null, {
+            Connect: args => connect(LuaInterpreter.value(args, 1), false),
+            Once: args => connect(LuaInterpreter.value(args, 1), true),
+            '*Wait': function* () {
+                const count = fired;
+                while (fired === count) yield { wait: 0.1 };
+                return signal.lastArgs;
+            }
+        });
+        signal.robloxClass = 'RBXScriptSignal';
+        signal.lastArgs = [];
+
+        // Each handler runs in its own thread, like Roblox event handlers
+        signal.fire = args => {
+            fired++;
+            signal.lastArgs = args;
+            connections.slice().forEach(connection => {
+                if (connection.once) connections.splice(connections.indexOf(connection), 1);
+                interpreter.resume(interpreter.spawn(connection.fn, args, 0, name));
+            });
+        };
+        return signal;
+    }
+
+    createPlayer(name, displayName, userId, accountAge) {
+        return this.createInstance('Player', name, {
+            DisplayName: displayName,
+            UserId: userId,
+            AccountAge: accountAge
+        }, {
+            Kick: args => {
+                const message = args.length > 1 && args[1] !== null ? ': ' + this.interpreter.toString(args[1]) : '';
+                this.log('event', name + ' was kicked' + message);
+                this.removePlayer(args[0]);
+            }
+        });
+    }
+
+    addPlayer(player) {
+        const service = this.services.get('Players');
+        this.players.push(player);
+        service.children.push(player);
+        this.joinTimes.set(player, this.interpreter.clock);
+        player.set('Parent', service);
+        this.log('event', player.get('Name') + ' joined the game');
+        service.get('PlayerAdded').fire([player]);
+    }
+
+    removePlayer(player) {
+        const service = this.services.get('Players');
+        if (!player || !this.players.includes(player)) return;
+        this.log('event', player.get('Name') + ' left the game');
+        service.get('PlayerRemoving').fire([player]);
+        this.players = this.players.filter(item => item !== player);
+        service.children = service.children.filter(item => item !== player);
+        player.set('Parent', null);
+    }
+
+    createGame() {
+        const interpreter = this.interpreter;
+        const table = values => {
+            const result = new LuaTable();
+            values.forEach(value => result.set(result.length + 1, value));
+            return result;
+        };
+        const players = this.createInstance('Players', 'Players', { MaxPlayers: 20 }, {
+            GetPlayers: () => table(this.players),
+            GetPlayerByUserId: args => this.players.find(player => player.get('UserId') === args[1]) || null
+        });
+        players.set('PlayerAdded', this.createSignal('PlayerAdded'));
+        players.set('PlayerRemoving', this.createSignal('PlayerRemoving'));
+
+        const http = this.createInstance('HttpService', 'HttpService', {}, {
+            JSONEncode: args => JSON.stringify(PayloadConverter.toJSON(LuaInterpreter.value(args, 1))),
+            JSONDecode: args => {
+                try {
+                    return this.fromJSON(JSON.parse(interpreter.argument(args, 1, 'string', 'JSONDecode')));
+                } catch (error) {
+                    if (error instanceof LuaError) throw error;
+                    throw interpreter.error('Can\'t parse JSON');
+                }
+            },
+            GenerateGUID: args => {
+                const guid = this.guid();
+                return args.length > 1 && args[1] === false ? guid : '{' + guid + '}';
+            },
+            UrlEncode: args => encodeURIComponent(interpreter.argument(args, 1, 'string', 'UrlEncode')),
+            PostAsync: () => {
+                throw interpreter.error('HttpService requests are not sent here; use WebhookLib to see the simulated requests');
+            },
+            GetAsync: () => {
+                throw interpreter.error('HttpService requests are not sent here');
+            },
+            RequestAsync: () => {
+                throw interpreter.error('HttpService requests are not sent here; use WebhookLib to see the simulated requests');
+            }
+        });
+
+        const dataStores = this.createInstance('DataStoreService', 'DataStoreService', {}, {
+            GetDataStore: args => this.getDataStore(interpreter.argument(args, 1, 'string', 'GetDataStore'))
+        });
+
+        const runService = this.createInstance('RunService', 'RunService', {}, {
+            IsStudio: () => true,
+            IsServer: () => true,
+            IsClient: () => false
+        });
+        runService.set('Heartbeat', this.createSignal('Heartbeat'));
+
+        this.webhookLibScript = this.createInstance('ModuleScript', 'WebhookLib');
+        const replicatedStorage = this.createInstance('ReplicatedStorage', 'ReplicatedStorage');
+        replicatedStorage.children.push(this.webhookLibScript);
+        this.webhookLibScript.set('Parent', replicatedStorage);
+
+        const serverScriptService = this.createInstance('ServerScriptService', 'ServerScriptService');
+        this.script = this.createInstance('Script', 'Script', { Parent: serverScriptService });
+        serverScriptService.children.push(this.script);
+
+        this.services = new Map([
+            ['Players', players],
+            ['HttpService', http],
+            ['DataStoreService', dataStores],
+            ['RunService', runService],
+            ['ReplicatedStorage', replicatedStorage],
+            ['ServerScriptService', serverScriptService]
+        ]);
+        ['Workspace', 'ServerStorage', 'Lighting', 'MarketplaceService', 'MessagingService', 'TeleportService'].forEach(name => {
+            this.services.set(name, this.createInstance(name, name));
+        });
+
+        const game = this.createInstance('DataModel', 'WebhookLib Playground', {
+            PlaceId: 1234567890,
+            GameId: 987654321,
+            JobId: this.guid(),
+            CreatorId: 1
+        }, {
+            GetService: args => {
+                const name = interpreter.argument(args, 1, 'string', 'GetService');
+                const service = this.services.get(name);
+                if (!service) throw interpreter.error('\'' + name + '\' is not a valid Service name');
+                return service;
+            },
+            BindToClose: args => {
+                const callback = LuaInterpreter.value(args, 1);
+                if (!(callback instanceof LuaFunction)) throw interpreter.error('BindToClose expects a function');
+                this.closeCallbacks.push(callback);
+            }
+        });
+        this.services.forEach((service, name) => {
+            service.set('Parent', game);
+            game.children.push(service);
+        });
+        return game;
+    }
+
+    createEnum() {
+        const interpreter = this.interpreter;
+        const cache = new Map();
+        const proxy = (name, read) => {
+            const table = new LuaTable();
+            table.metatable = new LuaTable();
+            table.metatable.set('__index', interpreter.native(name + ' index', ([target, key]) => read(key)));
+            table.metatable.set('__tostring', interpreter.native(name + ' tostring', () => name));
+            return table;
+        };
+
+        return proxy('Enum', type => {
+            if (!cache.has(type)) cache.set(type, proxy('Enum.' + type, item => 'Enum.' + type + '.' + item));
+            return cache.get(type);
+        });
+    }
+
+    getDataStore(name) {
+        const interpreter = this.interpreter;
+        if (!this.dataStores.has(name)) this.dataStores.set(name, new Map());
+        const values = this.dataStores.get(name);
+        const key = args => interpreter.argument(args, 1, 'string', 'DataStore');
+
+        return this.createInstance('DataStore', name, {}, {
+            GetAsync: args => values.has(key(args)) ? values.get(key(args)) : null,
+            SetAsync: args => {
+                values.set(key(args), args.length > 2 ? args[2] : null);
+            },
+            IncrementAsync: args => {
+                const delta = args.length > 2 && args[2] !== null ? interpreter.argument(args, 2, 'number', 'IncrementAsync') : 1;
+                const value = (LuaInterpreter.toNumber(values.has(key(args)) ? values.get(key(args)) : 0) || 0) + delta;
+                values.set(key(args), value);
+                return value;
+            },
+            UpdateAsync: args => {
+                const name = key(args);
+                const value = LuaInterpreter.value(interpreter.callSync(LuaInterpreter.value(args, 2), [values.has(name) ? values.get(name) : null]));
+                if (value !== null) values.set(name, value);
+                return value;
+            },
+            RemoveAsync: args => {
+                const name = key(args);
+                const value = values.has(name) ? values.get(name) : null;
+                values.delete(name);
+                return value;
+            }
+        });
+    }
+
+    guid() {
+        const hex = () => Math.floor(this.interpreter.random() * 0x10000).toString(16).padStart(4, '0').toUpperCase();
+        return hex() + hex() + '-' + hex() + '-4' + hex().slice(1) + '-' + hex() + '-' + hex() + hex() + hex();
+    }
+
+    fromJSON(value) {
+        if (Array.isArray(value)) {
+            const table = new LuaTable();
+            value.forEach(item => table.set(table.length + 1, this.fromJSON(item)));
+            return table;
+        }
+        if (value !== null && typeof value === 'object') {
+            const table = new LuaTable();
+            Object.keys(value).forEach(key => table.set(key, this.fromJSON(value[key])));
+            return table;
+        }
+        return value;
+    }
+
+    debug(state, text) {
+        if (state.debug) this.log('debug', '[WebhookLib] ' + text);
+    }
+
+    // The WebhookLib module as documented in the API Reference; instances get their methods through __index
+    createWebhookLib() {
+        const interpreter = this.interpreter;
+        const sandbox = this;
+        const module = new LuaTable();
+        const instanceMeta = new LuaTable();
+        instanceMeta.set('__index', module);
+
+        const state = (args, method) => {
+            const found = this.webhooks.get(LuaInterpreter.value(args, 0));
+            if (!found) throw interpreter.error('Expected \':\' not \'.\' calling member function ' + method);
+            return found;
+        };
+        const optional = (args, index) => args.length > index ? args[index] : null;
+        const threadId = (args, index, method) => {
+            const value = optional(args, index);
+            if (value === null) return null;
+            if (typeof value !== 'string' && typeof value !== 'number') {
+                throw interpreter.error('bad argument #' + index + ' to \'' + method + '\' (string expected, got ' + LuaInterpreter.type(value) + ')');
+            }
+            return String(value);
+        };
+        const requirePlayer = (args, method) => {
+            const player = optional(args, 1);
+            if (!(player instanceof LuaTable) || player.robloxClass !== 'Player') {
+                throw interpreter.error('bad argument #1 to \'' + method + '\' (Player expected, got ' + LuaInterpreter.type(player) + ')');
+            }
+            return player;
+        };
+
+        // Sends one of the message methods that map straight onto a payload
+        const message = (method, type, describe) => function* (args) {
+            const webhook = state(args, method);
+            const spec = PayloadConverter.METHODS[method];
+            const params = args.slice(1);
+            const contentIndex = spec.content !== undefined ? spec.content : spec.embed !== undefined ? spec.embed : spec.embeds;
+            const expected = spec.content !== undefined ? 'string' : 'table';
+            const first = LuaInterpreter.value(params, contentIndex);
+            if (expected === 'string' ? typeof first !== 'string' && typeof first !== 'number' : !(first instanceof LuaTable)) {
+                throw interpreter.error('bad argument #' + (contentIndex + 1) + ' to \'' + method + '\' (' + expected + ' expected, got ' + LuaInterpreter.type(first) + ')');
+            }
+
+            const built = sandbox.converter.buildPayload(spec, params);
+            return yield* sandbox.send(webhook, {
+                method,
+                type,
+                description: describe(built.payload),
+                payload: built.payload,
+                threadId: spec.thread !== undefined ? threadId(args, spec.thread + 1, method) : null
+            });
+        };
+
+        const methods = {
+            new: args => {
+                const url = interpreter.argument(args, 0, 'string', 'new');
+                const options = optional(args, 1);
+                if (options !== null && !(options instanceof LuaTable)) {
+                    throw interpreter.error('bad argument #2 to \'new\' (table expected, got ' + LuaInterpreter.type(options) + ')');
+                }
+                const option = key => options ? options.get(key) : null;
+                const numberOption = (key, fallback) => {
+                    const value = LuaInterpreter.toNumber(option(key));
+                    return value === null ? fallback : value;
+                };
+                const rateLimit = LuaInterpreter.toNumber(option('queue_rate_limit'));
+                const bannedWords = option('banned_words');
+
+                const instance = new LuaTable();
+                instance.metatable = instanceMeta;
+                const webhook = {
+                    instance,
+                    url,
+                    options: options ? PayloadConverter.toJSON(options) : {},
+                    username: option('username'),
+                    avatarUrl: option('avatar_url'),
+                    color: LuaInterpreter.toNumber(option('default_color')),
+                    debug: LuaInterpreter.isTruthy(option('debug')),
+                    queueEnabled: LuaInterpreter.isTruthy(option('queue_enabled')) || rateLimit !== null,
+                    rateLimit,
+                    tracking: LuaInterpreter.isTruthy(option('track_message_ids')),
+                    maxStored: numberOption('max_stored_messages', 100),
+                    filterProfanity: LuaInterpreter.isTruthy(option('filter_profanity')),
+                    bannedWords: bannedWords instanceof LuaTable ? bannedWords.array.filter(word => typeof word === 'string') : [],
+                    datastoreName: typeof option('datastore_name') === 'string' ? option('datastore_name') : 'WebhookLib',
+                    queue: [],
+                    worker: null,
+                    lastSent: -Infinity,
+                    stored: [],
+                    shutdown: false
+                };
+                this.webhooks.set(instance, webhook);
+
+                this.debug(webhook, 'WebhookLib initialized successfully');
+                this.debug(webhook, 'Queue system: ' + (webhook.queueEnabled ? 'ENABLED' : 'DISABLED'));
+                if (webhook.rateLimit !== null) this.debug(webhook, 'Rate limit: ' + webhook.rateLimit + ' requests/second');
+                this.debug(webhook, 'DataStore: AVAILABLE');
+                if (webhook.tracking) this.debug(webhook, 'Message tracking: ENABLED (max ' + webhook.maxStored + ')');
+                return instance;
+            },
+
+            '*SendMessage': message('SendMessage', 'text', payload => 'text message: ' + payload.content),
+            '*SendMessageInThread': message('SendMessageInThread', 'text', payload => 'thread message: ' + payload.content),
+            '*SendEmbed': message('SendEmbed', 'embed', payload => 'embed: ' + (payload.embeds[0] && payload.embeds[0].title || 'untitled')),
+            '*SendEmbedInThread': message('SendEmbedInThread', 'embed', payload => 'thread embed: ' + (payload.embeds[0] && payload.embeds[0].title || 'untitled')),
+            '*SendMultipleEmbeds': message('SendMultipleEmbeds', 'embeds', payload => Array.isArray(payload.embeds) ? payload.embeds.length + ' embeds' : 'embeds'),
+
+            '*EditMessage': function* (args) {
+                const webhook = state(args, 'EditMessage');
+                const messageId = threadId(args, 1, 'EditMessage');
+                if (messageId === null) throw interpreter.error('bad argument #1 to \'EditMessage\' (string expected, got nil)');
+                const built = sandbox.converter.buildPayload(PayloadConverter.METHODS.EditMessage, args.slice(1));
+                return yield* sandbox.send(webhook, { method: 'EditMessage', type: 'edit', description: 'edit of message ' + messageId, payload: built.payload, messageId });
+            },
+
+            '*DeleteMessage': function* (args) {
+                const webhook = state(args, 'DeleteMessage');
+                const messageId = threadId(args, 1, 'DeleteMessage');
+                if (messageId === null) throw interpreter.error('bad argument #1 to \'DeleteMessage\' (string expected, got nil)');
+                return yield* sandbox.send(webhook, { method: 'DeleteMessage', type: 'delete', description: 'delete of message ' + messageId, payload: null, messageId });
+            },
+
+            '*SendJoinMessage': function* (args) {
+                const webhook = state(args, 'SendJoinMessage');
+                const player = requirePlayer(args, 'SendJoinMessage');
+                const joins = sandbox.countJoin(webhook, player);
+                const service = sandbox.services.get('Players');
+                const embed = {
+                    title: '👋 Player Joined',
+                    description: '**' + player.get('DisplayName') + '** (@' + player.get('Name') + ') joined the game',
+                    color: 0x00ff00,
+                    thumbnail: { url: SnippetSandbox.avatarUrl(player) },
+                    fields: [
+                        { name: 'User ID', value: String(player.get('UserId')), inline: true },
+                        { name: 'Join Count', value: String(joins), inline: true },
+                        { name: 'Players', value: sandbox.players.length + '/' + service.get('MaxPlayers'), inline: true },
+                        { name: 'Account Age', value: player.get('AccountAge') + ' days', inline: true }
+                    ],
+                    timestamp: sandbox.isoTime()
+                };
+                return yield* sandbox.send(webhook, {
+                    method: 'SendJoinMessage', type: 'join', description: 'join message for ' + player.get('Name'),
+                    payload: { embeds: [embed] }, threadId: threadId(args, 2, 'SendJoinMessage')
+                });
+            },
+
+            '*SendLeaveMessage': function* (args) {
+                const webhook = state(args, 'SendLeaveMessage');
+                const player = requirePlayer(args, 'SendLeaveMessage');
+                const service = sandbox.services.get('Players');
+                const played = Math.max(0, Math.round(interpreter.clock - (sandbox.joinTimes.get(player) || 0)));
+                const embed = {
+                    title: '👋 Player Left',
+                    description: '**' + player.get('DisplayName') + '** (@' + player.get('Name') + ') left the game',
+                    color: 0xff0000,
+                    thumbnail: { url: SnippetSandbox.avatarUrl(player) },
+                    fields: [
+                        { name: 'User ID', value: String(player.get('UserId')), inline: true },
+                        { name: 'Session', value: Math.floor(played / 60) + 'm ' + (played % 60) + 's', inline: true },
+                        { name: 'Players', value: Math.max(0, sandbox.players.length - 1) + '/' + service.get('MaxPlayers'), inline: true }
+                    ],
+                    timestamp: sandbox.isoTime()
+                };
+                return yield* sandbox.send(webhook, {
+                    method: 'SendLeaveMessage', type: 'leave', description: 'leave message for ' + player.get('Name'),
+                    payload: { embeds: [embed] }, threadId: threadId(args, 2, 'SendLeaveMessage')
+                });
+            },
+
+            '*SendCustomEvent': function* (args) {
+                const webhook = state(args, 'SendCustomEvent');
+                const name = interpreter.argument(args, 1, 'string', 'SendCustomEvent');
+                const data = optional(args, 2);
+                if (data !== null && !(data instanceof LuaTable)) {
+                    throw interpreter.error('bad argument #2 to \'SendCustomEvent\' (table expected, got ' + LuaInterpreter.type(data) + ')');
+                }
+
+                const keys = data ? LuaInterpreter.keys(data) : [];
+                if (keys.length > PayloadConverter.LIMITS.fields) {
+                    sandbox.debug(webhook, 'Custom event has ' + keys.length + ' fields; only the first ' + PayloadConverter.LIMITS.fields + ' are sent');
+                }
+                const embed = {
+                    title: name,
+                    color: webhook.color !== null ? webhook.color : 0x0099ff,
+                    fields: keys.slice(0, PayloadConverter.LIMITS.fields).map(key => ({
+                        name: interpreter.toString(key),
+                        value: interpreter.toString(data.get(key)),
+                        inline: true
+                    })),
+                    timestamp: sandbox.isoTime()
+                };
+                return yield* sandbox.send(webhook, {
+                    method: 'SendCustomEvent', type: 'custom_event', description: 'custom event: ' + name,
+                    payload: { embeds: [embed] }, threadId: threadId(args, 3, 'SendCustomEvent')
+                });
+            },
+
+            GetStoredMessages: args => {
+                const table = new LuaTable();
+                state(args, 'GetStoredMessages').stored.forEach(stored => table.set(table.length + 1, stored));
+                return table;
+            },
+            GetLatestMessageId: args => {
+                const stored = state(args, 'GetLatestMessageId').stored;
+                return stored.length ? stored[stored.length - 1].get('id') : null;
+            },
+            ClearStoredMessages: args => {
+                const webhook = state(args, 'ClearStoredMessages');
+                this.debug(webhook, 'Cleared ' + webhook.stored.length + ' stored message IDs');
+                webhook.stored = [];
+            },
+
+            SetWebhookUrl: args => {
+                state(args, 'SetWebhookUrl').url = interpreter.argument(args, 1, 'string', 'SetWebhookUrl');
+                return true;
+            },
+            SetDefaultUsername: args => {
+                state(args, 'SetDefaultUsername').username = interpreter.argument(args, 1, 'string', 'SetDefaultUsername');
+                return true;
+            },
+            SetDefaultAvatarUrl: args => {
+                state(args, 'SetDefaultAvatarUrl').avatarUrl = interpreter.argument(args, 1, 'string', 'SetDefaultAvatarUrl');
+                return true;
+            },
+            SetDefaultColor: args => {
+                const webhook = state(args, 'SetDefaultColor');
+                const color = interpreter.argument(args, 1, 'number', 'SetDefaultColor');
+                if (!Number.isInteger(color) || color < 0 || color > 0xFFFFFF) {
+                    this.debug(webhook, 'Invalid color ' + color + '; expected 0x000000 to 0xFFFFFF');
+                    return false;
+                }
+                webhook.color = color;
+                return true;
+            },
+            EnableDebug: args => {
+                const webhook = state(args, 'EnableDebug');
+                webhook.debug = LuaInterpreter.isTruthy(optional(args, 1));
+                this.debug(webhook, 'Debug mode: ENABLED');
+                return true;
+            },
+            EnableQueue: args => {
+                const webhook = state(args, 'EnableQueue');
+                webhook.queueEnabled = LuaInterpreter.isTruthy(optional(args, 1));
+                const rate = optional(args, 2);
+                if (rate !== null) webhook.rateLimit = interpreter.argument(args, 2, 'number', 'EnableQueue');
+                this.debug(webhook, 'Queue system: ' + (webhook.queueEnabled ? 'ENABLED' : 'DISABLED') +
+                    (webhook.queueEnabled && webhook.rateLimit !== null ? ' (' + webhook.rateLimit + ' requests/second)' : ''));
+                if (webhook.queueEnabled) this.startQueue(webhook);
+                return true;
+            },
+            EnableMessageTracking: args => {
+                const webhook = state(args, 'EnableMessageTracking');
+                webhook.tracking = LuaInterpreter.isTruthy(optional(args, 1));
+                this.debug(webhook, 'Message tracking: ' + (webhook.tracking ? 'ENABLED' : 'DISABLED'));
+                return true;
+            },
+
+            // Waits for the queue to empty, then refuses further requests
+            '*Shutdown': function* (args) {
+                const webhook = state(args, 'Shutdown');
+                sandbox.debug(webhook, 'Shutting down' + (webhook.queue.length ? '; waiting for ' + webhook.queue.length + ' queued requests' : ''));
+                const deadline = interpreter.clock + SnippetSandbox.TIMELINE.closeTimeout;
+                while (webhook.queue.length && interpreter.clock < deadline) yield { wait: 0.1 };
+                webhook.shutdown = true;
+                sandbox.debug(webhook, 'Shutdown complete');
+            },
+
+            GetQueueSize: args => state(args, 'GetQueueSize').queue.length,
+            IsQueueEnabled: args => state(args, 'IsQueueEnabled').queueEnabled,
+            IsMessageTrackingEnabled: args => state(args, 'IsMessageTrackingEnabled').tracking,
+            GetConfiguration: args => {
+                const webhook = state(args, 'GetConfiguration');
+                const config = this.fromJSON(webhook.options);
+                config.set('queue_enabled', webhook.queueEnabled);
+                config.set('debug', webhook.debug);
+                config.set('track_message_ids', webhook.tracking);
+                if (webhook.rateLimit !== null) config.set('queue_rate_limit', webhook.rateLimit);
+                if (webhook.username !== null) config.set('username', webhook.username);
+                if (webhook.avatarUrl !== null) config.set('avatar_url', webhook.avatarUrl);
+                if (webhook.color !== null) config.set('default_color', webhook.color);
+                return config;
+            }
+        };
+
+        const library = interpreter.library('WebhookLib', methods);
+        library.hash.forEach((value, key) => module.set(key, value));
+        return module;
+    }
+
+    static avatarUrl(player) {
+        return 'https://www.roblox.com/headshot-thumbnail/image?userId=' + player.get('UserId') + '&width=420&height=420&format=png';
+    }
+
+    countJoin(webhook, player) {
+        if (!this.dataStores.has(webhook.datastoreName)) this.dataStores.set(webhook.datastoreName, new Map());
+        const store = this.dataStores.get(webhook.datastoreName);
+        const key = 'joins_' + player.get('UserId');
+        const joins = (store.get(key) || 0) + 1;
+        store.set(key, joins);
+        this.debug(webhook, 'DataStore: join count for ' + player.get('Name') + ' is ' + joins);
+        return joins;
+    }
+
+    filterText(webhook, text) {
+        if (!webhook.filterProfanity || typeof text !== 'string') return text;
+        const words = SnippetSandbox.PROFANITY.concat(webhook.bannedWords).filter(Boolean)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        if (!words.length) return text;
+        return text.replace(new RegExp('\\b(?:' + words.join('|') + ')\\b', 'gi'), match => '#'.repeat(match.length));
+    }
+
+    // Fills in WebhookLib's defaults and filtering before the payload is checked against Discord's limits
+    preparePayload(webhook, request) {
+        const payload = request.payload;
+        const filter = text => this.filterText(webhook, text);
+
+        if (payload.content !== undefined) payload.content = filter(payload.content);
+        // An edited message keeps the name and avatar it was sent with
+        if (request.type !== 'edit') {
+            if (payload.username === undefined && webhook.username !== null) payload.username = webhook.username;
+            if (payload.avatar_url === undefined && webhook.avatarUrl !== null) payload.avatar_url = webhook.avatarUrl;
+        }
+
+        if (Array.isArray(payload.embeds)) {
+            payload.embeds.forEach(embed => {
+                if (!PayloadConverter.isObject(embed)) return;
+                if (embed.color === undefined && webhook.color !== null) embed.color = webhook.color;
+                ['title', 'description'].forEach(key => {
+                    embed[key] = filter(embed[key]);
+                });
+                if (PayloadConverter.isObject(embed.footer)) embed.footer.text = filter(embed.footer.text);
+                if (Array.isArray(embed.fields)) {
+                    embed.fields.forEach(field => {
+                        if (!PayloadConverter.isObject(field)) return;
+                        field.name = filter(field.name);
+                        field.value = filter(field.value);
+                    });
+                }
+                Object.keys(embed).forEach(key => {
+                    if (embed[key] === undefined) delete embed[key];
+                });
+            });
+        }
+        return payload;
+    }
+
+    *send(webhook, request) {
+        if (webhook.shutdown) {
+            this.debug(webhook, 'WebhookLib is shut down; dropped ' + request.description);
+            return false;
+        }
+
+        request.line = this.interpreter.line;
+        request.attempts = 0;
+        request.wait = webhook.tracking;
+        // DeleteMessage has no payload to check
+        request.result = request.payload === null
+            ? { method: request.method, line: request.line, payload: null, issues: [], marks: new Map(), threadId: null, messageId: request.messageId }
+            : this.converter.check(request.method, request.line, {
+                payload: this.preparePayload(webhook, request),
+                threadId: request.threadId,
+                messageId: request.messageId
+            });
+        request.result.http = SnippetSandbox.buildRequest(webhook.url, request);
+
+        if (webhook.queueEnabled) {
+            webhook.queue.push(request);
+            this.debug(webhook, 'Queued ' + request.description);
+            this.log('queue', 'Queued ' + request.method + ' (' + webhook.queue.length + ' waiting)');
+            this.startQueue(webhook);
+            return true;
+        }
+
+        // Rate limits are waited out and retried without counting against max_retries
+        for (;;) {
+            const response = this.respond(webhook, request);
+            if (response.status !== 429) return response.status < 300;
+            yield { wait: response.retryAfter };
+        }
+    }
+
+    // The HTTP request WebhookLib makes: POST to the webhook URL, with ?wait=true when it needs the message id
+    // back and thread_id for threads; PATCH and DELETE go to /messages/{id}. DELETE has no body.
+    static buildRequest(webhookUrl, request) {
+        const queryStart = webhookUrl.indexOf('?');
+        const base = (queryStart === -1 ? webhookUrl : webhookUrl.slice(0, queryStart)).replace(/\/+$/, '');
+        const query = queryStart === -1 ? [] : webhookUrl.slice(queryStart + 1).split('&').filter(Boolean);
+        const methods = { edit: 'PATCH', delete: 'DELETE' };
+        const method = methods[request.type] || 'POST';
+
+        if (method === 'POST' && request.wait) query.push('wait=true');
+        if (request.threadId !== null && request.threadId !== undefined) query.push('thread_id=' + encodeURIComponent(request.threadId));
+
+        const path = method === 'POST' ? base : base + '/messages/' + encodeURIComponent(request.messageId);
+        return {
+            method,
+            url: path + (query.length ? '?' + query.join('&') : ''),
+            body: method === 'DELETE' ? null : JSON.stringify(request.result.payload)
+        };
+    }
+
+    startQueue(webhook) {
+        if (webhook.worker && !webhook.worker.done) return;
+        if (!webhook.queue.length) return;
+        // The queue is checked every 100ms in the background
+        webhook.worker = this.interpreter.spawn(this.processQueue(webhook), [], 0.1, 'simulation');
+    }
+
+    *processQueue(webhook) {
+        while (webhook.queue.length && webhook.queueEnabled) {
+            const interval = webhook.rateLimit ? 1 / webhook.rateLimit : 0;
+            const wait = webhook.lastSent + interval - this.interpreter.clock;
+            if (wait > 1e-9) {
+                yield { wait };
+                continue;
+            }
+
+            const request = webhook.queue.shift();
+            webhook.lastSent = this.interpreter.clock;
+            const response = this.respond(webhook, request);
+
+            if (response.status === 429) {
+                // Retries go to the front of the queue
+                webhook.queue.unshift(request);
+                this.log('queue', request.method + ' rate limited; retrying first in ' + response.retryAfter + 's (' + webhook.queue.length + ' waiting)');
+                yield { wait: response.retryAfter };
+                continue;
+            }
+
+            if (webhook.queue.length && interval > 0) {
+                this.log('queue', webhook.queue.length + ' waiting');
+            }
+        }
+        webhook.worker = null;
+    }
+
+    // Discord message ids are 19-digit snowflakes
+    nextMessageId() {
+        return '12' + String(++this.messageCount).padStart(17, '0');
+    }
+
+    // Answers a request the way Discord would and records it
+    respond(webhook, request) {
+        const now = this.interpreter.clock;
+        const limit = SnippetSandbox.DISCORD_RATE_LIMIT;
+        const recent = (this.recentRequests.get(webhook.url) || []).filter(time => time > now - limit.window);
+        this.recentRequests.set(webhook.url, recent);
+        request.attempts++;
+
+        const issues = request.result.issues.filter(issue => issue.level === 'error');
+        let status;
+        let retryAfter = null;
+        let messageId = null;
+
+        if (recent.length >= limit.requests) {
+            status = 429;
+            retryAfter = Math.max(0.001, Math.round((recent[0] + limit.window - now) * 1000) / 1000);
+        } else {
+            recent.push(now);
+            if (request.type === 'edit' || request.type === 'delete') {
+                status = this.messageIds.has(request.messageId) ? (request.type === 'delete' ? 204 : 200) : 404;
+                if (status !== 404 && request.type === 'edit' && issues.length) status = 400;
+            } else if (issues.length) {
+                status = 400;
+            } else {
+                // Without ?wait=true Discord answers 204 and no message, so there is no id to keep
+                status = request.wait ? 200 : 204;
+            }
+        }
+
+        if (status === 200 && request.type !== 'edit') {
+            messageId = this.nextMessageId();
+            this.messageIds.add(messageId);
+        }
+        if (status === 204 && request.type === 'delete') {
+            this.messageIds.delete(request.messageId);
+            webhook.stored = webhook.stored.filter(stored => stored.get('id') !== request.messageId);
+        }
+
+        const text = request.method + ' → ' + status + ' ' + SnippetSandbox.STATUS_TEXT[status];
+        this.log('request', text, { request, status, retryAfter, messageId });
+
+        this.debug(webhook, 'HTTP response status: ' + status);
+        if (status === 429) {
+            this.debug(webhook, 'Discord rate limit detected, retrying after ' + retryAfter + ' seconds');
+        } else if (status === 400) {
+            this.debug(webhook, 'Request failed: ' + issues[0].message);
+        } else if (status === 404) {
+            this.debug(webhook, 'Request failed: Unknown Message ' + request.messageId);
+        } else {
+            this.debug(webhook, 'Request completed successfully');
+        }
+
+        if (messageId && webhook.tracking) {
+            const stored = new LuaTable();
+            const metadata = new LuaTable();
+            metadata.set('type', request.type);
+            if (request.threadId !== null && request.threadId !== undefined) metadata.set('thread_id', request.threadId);
+            stored.set('id', messageId);
+            stored.set('timestamp', Math.floor(this.now()));
+            stored.set('metadata', metadata);
+            webhook.stored.push(stored);
+            if (webhook.stored.length > webhook.maxStored) webhook.stored.shift();
+            this.debug(webhook, 'Message ID received: ' + messageId);
+        }
+
+        return { status, retryAfter };
+    }
+}
+
+// Runs Lua code blocks in a SnippetSandbox and shows requests, queue activity and logs under the block
+class SnippetRunner {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.converter = new PayloadConverter(docsSystem);
+    }
+
+    static get LANGUAGES() {
+        return new Set(['lua', 'luau']);
+    }
+
+    static get KIND_LABELS() {
+        return { print: 'print', warn: 'warn', error: 'error', debug: 'debug', queue: 'queue', event: 'game', request: 'request' };
+    }
+
+    run(block) {
+        const result = new SnippetSandbox(this.converter).run(CodeEditor.textOf(block));
+        this.render(block, result);
+    }
+
+    render(block, result) {
+        const escape = MarkdownParser.escapeHTML;
+        const timeline = SnippetSandbox.TIMELINE;
+        let output = block.nextElementSibling;
+        if (!output || !output.classList.contains('code-run-output')) {
+            output = document.createElement('div');
+            output.className = 'code-run-output';
+            output.setAttribute('role', 'region');
+            output.setAttribute('aria-label', 'Run output');
+            block.after(output);
+        }
+
+        const requests = result.entries.filter(entry => entry.kind === 'request');
+        // Rate-limited attempts are retried, so only other errors count as rejected
+        const rejected = requests.filter(entry => entry.status >= 400 && entry.status !== 429).length;
+        const summary = [
+            requests.length + ' request' + (requests.length === 1 ? '' : 's'),
+            rejected ? rejected + ' rejected' : null,
+            Math.round(result.clock) + 's of game time',
+            result.waiting ? result.waiting + ' thread' + (result.waiting === 1 ? '' : 's') + ' still waiting' : null
+        ].filter(Boolean).join(' · ');
+
+        const entries = result.entries.map((entry, index) => {
+            const details = entry.kind === 'request' ? this.renderRequest(entry, index) : '';
+            return '<li class="code-run-entry code-run-' + entry.kind + '">' +
+                '<span class="code-run-time">' + entry.time.toFixed(2) + 's</span>' +
+                '<span class="code-run-kind">' + SnippetRunner.KIND_LABELS[entry.kind] + '</span>' +
+                '<span class="code-run-text">' + escape(entry.text) + '</span>' + details + '</li>';
+        }).join('');
+
+        output.innerHTML = '<div class="code-run-header"><strong>Output</strong>' +
+                '<span class="code-run-summary">' + escape(summary) + '</span>' +
+                '<button type="button" class="code-run-close" aria-label="Close output">×</button></div>' +
+            '<p class="code-run-note">Simulated server: nothing is sent. <code>webhook</code>, <code>player</code> and <code>messageId</code> are predefined, ' +
+                'Player2 joins at ' + timeline.join + 's and leaves at ' + timeline.leave + 's, and the server closes at ' + timeline.close + 's.</p>' +
+            (entries ? '<ol class="code-run-log">' + entries + '</ol>' : '<p class="code-run-empty">No output.</p>') +
+            (result.truncated ? '<p class="code-run-empty">Output stopped after ' + SnippetSandbox.MAX_ENTRIES + ' lines.</p>' : '');
+
+        output.querySelectorAll('.payload-json').forEach(target => {
+            const entry = result.entries[parseInt(target.dataset.entry, 10)];
+            target.innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'json', text: '' });
+            target.querySelector('code').innerHTML = this.converter.renderJSON(entry.request.result.payload, entry.request.result.marks);
+        });
+        output.querySelector('.code-run-close').addEventListener('click', () => output.remove());
+        this.docsSystem.initCodeCopyButtons();
+    }
+
+    renderRequest(entry, index) {
+        return this.converter.renderResult(entry.request.result, index).replace('data-result=', 'data-entry=');
+    }
+}
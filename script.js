@@ -394,10 +394,190 @@ class SidebarManager {
     }
 }
 
+// In-place editing of docs code blocks. Edits are kept per block in localStorage, keyed by the
+// block's place in the docs and its original code, so they survive reloads until reset.
+class CodeEditor {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.originals = new Map();
+    }
+
+    static get STORAGE_PREFIX() { return 'webhooklib-code-'; }
+
+    // Blocks rendered from docs Markdown; tool output and run results stay read-only
+    static get EDITABLE_SELECTOR() {
+        return '.subsection-content .code-block, .api-card .code-block';
+    }
+
+    // The code as the reader sees it, including unsaved keystrokes in an open editor
+    static textOf(block) {
+        const input = block.querySelector('.code-editor-input');
+        return input ? input.value : block.querySelector('pre code').textContent;
+    }
+
+    // section/subsection/index/language/checksum: identical snippets in different places keep
+    // separate edits, and an edit made against a snippet that has since changed no longer matches
+    static keyOf(place, index, language, original) {
+        return CodeEditor.STORAGE_PREFIX + place + '/' + index + '/' + language + '/' +
+            ZipArchive.crc32(new TextEncoder().encode(original)).toString(16);
+    }
+
+    // Where a block sits in the docs; sections rendered together on one page are told apart by their article
+    placeOf(block, pageId) {
+        const article = block.closest('.docs-all-section');
+        const subsection = block.closest('.subsection');
+        return [article ? article.id : pageId, subsection ? subsection.dataset.subsection : ''].join('/');
+    }
+
+    storedKeys() {
+        try {
+            return Object.keys(localStorage).filter(key => key.startsWith(CodeEditor.STORAGE_PREFIX));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    init(container, pageId) {
+        const rendered = new Map();
+        container.querySelectorAll(CodeEditor.EDITABLE_SELECTOR).forEach(block => {
+            if (block.closest('.code-run-output')) return;
+
+            const place = this.placeOf(block, pageId);
+            if (!rendered.has(place)) rendered.set(place, new Set());
+            const keys = rendered.get(place);
+            const original = this.originals.has(block.dataset.codeKey) ? this.originals.get(block.dataset.codeKey) : block.querySelector('pre code').textContent;
+            const key = CodeEditor.keyOf(place, keys.size, block.dataset.language, original);
+            keys.add(key);
+            if (block.querySelector('.edit-btn')) return;
+
+            block.dataset.codeKey = key;
+            this.originals.set(key, original);
+
+            const header = block.querySelector('.code-header');
+            const firstButton = header.querySelector('button');
+            header.insertBefore(this.createButton('edit-btn', 'Edit', 'editCode(this)', 'Edit code'), firstButton);
+            header.insertBefore(this.createButton('reset-btn', 'Reset', 'resetCode(this)', 'Reset code to the original'), firstButton);
+
+            const stored = this.getStoredEdit(key);
+            if (stored !== null && stored !== original) this.update(block, stored);
+        });
+
+        // Edits for snippets that were removed from, or changed in, the subsections just rendered
+        this.storedKeys().forEach(key => {
+            const place = key.slice(CodeEditor.STORAGE_PREFIX.length).split('/').slice(0, 2).join('/');
+            if (rendered.has(place) && !rendered.get(place).has(key)) this.storeEdit(key, null);
+        });
+    }
+
+    // Drops edits whose section or subsection is gone from the docs, and edits saved under an older key format
+    prune(docs) {
+        const places = new Set();
+        (docs.sections || []).forEach(section => (section.subsections || []).forEach(subsection => {
+            places.add([section.id, this.docsSystem.createSubsectionId(subsection.title)].join('/'));
+        }));
+
+        this.storedKeys().forEach(key => {
+            const parts = key.slice(CodeEditor.STORAGE_PREFIX.length).split('/');
+            if (parts.length !== 5 || !places.has(parts.slice(0, 2).join('/'))) this.storeEdit(key, null);
+        });
+    }
+
+    createButton(className, label, onclick, ariaLabel) {
+        const button = document.createElement('button');
+        button.className = className;
+        button.textContent = label;
+        button.setAttribute('onclick', onclick);
+        button.setAttribute('aria-label', ariaLabel);
+        return button;
+    }
+
+    getStoredEdit(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    storeEdit(key, text) {
+        try {
+            if (text === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, text);
+            }
+        } catch (e) {
+            console.warn('Could not save code edit');
+        }
+    }
+
+    // Re-highlights the block with text and marks it edited when it differs from the original
+    update(block, text) {
+        const code = block.querySelector('pre code');
+        const editing = Boolean(block.querySelector('.code-editor-input'));
+        // While editing, a trailing newline would collapse in the <pre> and leave the caret below the highlighted text
+        code.innerHTML = this.docsSystem.highlightCode(text, block.dataset.language) + (editing && text.endsWith('\n') ? ' ' : '');
+        block.classList.toggle('code-block-edited', text !== this.originals.get(block.dataset.codeKey));
+    }
+
+    toggle(block) {
+        const button = block.querySelector('.edit-btn');
+        const input = block.querySelector('.code-editor-input');
+
+        if (input) {
+            input.remove();
+            this.update(block, input.value);
+            block.classList.remove('code-block-editing');
+            button.textContent = 'Edit';
+            button.setAttribute('aria-label', 'Edit code');
+            return;
+        }
+
+        // A transparent textarea over the highlighted <pre>: the reader types into it and sees the highlighting
+        const editor = document.createElement('textarea');
+        editor.className = 'code-editor-input';
+        editor.spellcheck = false;
+        editor.setAttribute('autocapitalize', 'off');
+        editor.setAttribute('autocomplete', 'off');
+        editor.setAttribute('aria-label', 'Code editor');
+        editor.value = CodeEditor.textOf(block);
+        editor.addEventListener('input', () => {
+            const key = block.dataset.codeKey;
+            this.update(block, editor.value);
+            this.storeEdit(key, editor.value === this.originals.get(key) ? null : editor.value);
+        });
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab' && !e.shiftKey) {
+                e.preventDefault();
+                editor.setRangeText('    ', editor.selectionStart, editor.selectionEnd, 'end');
+                editor.dispatchEvent(new Event('input'));
+            } else if (e.key === 'Escape') {
+                this.toggle(block);
+                button.focus();
+            }
+        });
+
+        block.querySelector('pre').appendChild(editor);
+        block.classList.add('code-block-editing');
+        this.update(block, editor.value);
+        button.textContent = 'Done';
+        button.setAttribute('aria-label', 'Finish editing code');
+        editor.focus();
+    }
+
+    reset(block) {
+        const key = block.dataset.codeKey;
+        const original = this.originals.get(key);
+        const input = block.querySelector('.code-editor-input');
+        this.storeEdit(key, null);
+        if (input) input.value = original;
+        this.update(block, original);
+    }
+}
+
 // Enhanced copy functionality with better mobile feedback
 function copyCode(button) {
-    const codeBlock = button.closest('.code-block').querySelector('code');
-    const text = codeBlock.textContent;
+    const text = CodeEditor.textOf(button.closest('.code-block'));
     
     // Enhanced feedback for mobile
     const showFeedback = (message, success = true) => {
@@ -411,61 +591,1451 @@ function copyCode(button) {
         if (navigator.vibrate) {
             navigator.vibrate(success ? [50] : [100, 50, 100]);
         }
-        
-        setTimeout(() => {
-            button.textContent = originalText;
-            button.style.backgroundColor = '';
-            button.style.color = '';
-            button.style.transform = '';
-        }, 2000);
-    };
-    
-    // Try modern clipboard API first
-    if (navigator.clipboard && navigator.clipboard.writeText) {
-        navigator.clipboard.writeText(text).then(() => {
-            showFeedback('Copied!', true);
-        }).catch(() => {
-            // Fallback to older method
-            fallbackCopyTextToClipboard(text, button);
+        
+        setTimeout(() => {
+            button.textContent = originalText;
+            button.style.backgroundColor = '';
+            button.style.color = '';
+            button.style.transform = '';
+        }, 2000);
+    };
+    
+    // Try modern clipboard API first
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(text).then(() => {
+            showFeedback('Copied!', true);
+        }).catch(() => {
+            // Fallback to older method
+            fallbackCopyTextToClipboard(text, button);
+        });
+    } else {
+        fallbackCopyTextToClipboard(text, button);
+    }
+}
+
+// Runs a Lua code block against the simulated WebhookLib and shows the output below it
+function runCode(button) {
+    const block = button.closest('.code-block');
+    if (!block || !window.docsSystem) return;
+    window.docsSystem.snippetRunner.run(block);
+}
+
+// Toggles in-place editing of a docs code block
+function editCode(button) {
+    const block = button.closest('.code-block');
+    if (!block || !window.docsSystem) return;
+    window.docsSystem.codeEditor.toggle(block);
+}
+
+// Discards the reader's edits to a code block
+function resetCode(button) {
+    const block = button.closest('.code-block');
+    if (!block || !window.docsSystem) return;
+    window.docsSystem.codeEditor.reset(block);
+}
+
+// Fallback copy method for older browsers/mobile
+function fallbackCopyTextToClipboard(text, button) {
+    const textArea = document.createElement('textarea');
+    textArea.value = text;
+    textArea.style.position = 'fixed';
+    textArea.style.left = '-999999px';
+    textArea.style.top = '-999999px';
+    document.body.appendChild(textArea);
+    textArea.focus();
+    textArea.select();
+    
+    try {
+        const successful = document.execCommand('copy');
+        const message = successful ? 'Copied!' : 'Failed';
+        showCopyFeedback(button, message, successful);
+    } catch (err) {
+        showCopyFeedback(button, 'Failed', false);
+    }
+    
+    document.body.removeChild(textArea);
+}
+
+function showCopyFeedback(button, message, success) {
+    const originalText = button.textContent;
+    button.textContent = message;
+    button.style.backgroundColor = success ? '#10b981' : '#ef4444';
+    button.style.color = 'white';
+    
+    setTimeout(() => {
+        button.textContent = originalText;
+        button.style.backgroundColor = '';
+        button.style.color = '';
+    }, 2000);
+}
+
+// Tokenized inverted index with ranked multi-term search
+class SearchEngine {
+    constructor() {
+        this.documents = [];
+        this.index = new Map();
+        this.terms = [];
+        this.identifiers = new Map();
+    }
+
+    static get TITLE_WEIGHT() { return 4; }
+    static get API_DEFINITION_BOOST() { return 12; }
+    static get API_MENTION_BOOST() { return 4; }
+
+    static get STOP_WORDS() {
+        return new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'how', 'i', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'with']);
+    }
+
+    // Light suffix stripping so "retries" finds "retry" and "embeds" finds "embed"
+    static stem(word) {
+        if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (word.length > 4 && /(sh|ch|x|ss)es$/.test(word)) return word.slice(0, -2);
+        if (word.length > 3 && word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+
+    // Split text into terms; identifiers also yield their camelCase/snake_case parts
+    static tokenize(text, includeParts = true) {
+        const tokens = [];
+        (text || '').split(/[^A-Za-z0-9_]+/).forEach(raw => {
+            const word = raw.replace(/^_+|_+$/g, '');
+            if (!word) return;
+
+            tokens.push(SearchEngine.stem(word.toLowerCase()));
+
+            if (includeParts && (word.includes('_') || /[a-z][A-Z]/.test(word))) {
+                word.split(/_+|(?<=[a-z0-9])(?=[A-Z])/).forEach(part => {
+                    if (part) tokens.push(SearchEngine.stem(part.toLowerCase()));
+                });
+            }
+        });
+        return tokens;
+    }
+
+    // Reduce Markdown to readable text for indexing and snippets
+    static plainText(markdown) {
+        return (markdown || '')
+            .replace(/```\w*\n?/g, '')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/\*\*([^*]+)\*\*/g, '$1')
+            .replace(/\*([^*]+)\*/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+            .replace(/^#+\s+/gm, '')
+            .replace(/^\s*(?:[-*]|\d+\.)\s+/gm, '')
+            .replace(/^>\s?/gm, '')
+            .replace(/^\s*\[!\w+\]\s*$/gm, '')
+            .replace(/^\s*\|?[\s:|-]+\|?\s*$/gm, '')
+            .replace(/\|/g, ' ')
+            .replace(/^---$/gm, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // API identifiers the entry defines (**Name(...)**) or mentions (`Name`)
+    static extractApiNames(markdown) {
+        const defined = new Set();
+        const mentioned = new Set();
+        const source = markdown || '';
+
+        source.replace(/\*\*(?:[\w.]+[.:])?(\w+)\([^)]*\)\*\*/g, (match, name) => {
+            defined.add(name.toLowerCase());
+            return match;
+        });
+        source.replace(/`([A-Za-z_][\w.:]*)(?:\([^`]*\))?`/g, (match, name) => {
+            name.split(/[.:]/).forEach(part => {
+                if (part.length > 2) mentioned.add(part.toLowerCase());
+            });
+            return match;
+        });
+
+        return { defined, mentioned };
+    }
+
+    // Every API identifier in the entry: method signatures, method calls and option keys
+    static extractIdentifiers(markdown) {
+        const found = new Map();
+        const source = markdown || '';
+        const add = (name, kind) => {
+            if (name.length > 2 && !found.has(name)) found.set(name, kind);
+        };
+
+        source.replace(/\*\*(?:[\w.]+[.:])?([A-Z]\w*)\([^)]*\)\*\*/g, (match, name) => add(name, 'method'));
+        source.replace(/\b\w*webhook:([A-Z]\w*)\(/gi, (match, name) => add(name, 'method'));
+        source.replace(/`([a-z][a-z0-9]*(?:_[a-z0-9]+)+)`/g, (match, name) => add(name, 'option'));
+        source.replace(/^\s*([a-z][a-z0-9]*(?:_[a-z0-9]+)+)\s*=/gm, (match, name) => add(name, 'option'));
+
+        return found;
+    }
+
+    // Optimal string alignment distance, giving up once it exceeds max
+    static editDistance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (v, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(row[j] + 1, current[j - 1] + 1, row[j - 1] + cost);
+                if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousRow[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previousRow = row;
+            row = current;
+        }
+
+        return row[b.length];
+    }
+
+    // Typos allowed for a word of this length
+    static typoTolerance(word) {
+        if (word.length < 4) return 0;
+        if (word.length < 8) return 1;
+        return Math.min(3, Math.floor(word.length / 4));
+    }
+
+    build(entries) {
+        this.documents = entries;
+        this.index = new Map();
+
+        this.identifiers = new Map();
+
+        entries.forEach((entry, docId) => {
+            this.addTokens(docId, 'title', SearchEngine.tokenize(entry.title));
+            this.addTokens(docId, 'body', SearchEngine.tokenize(entry.text));
+            entry.length = entry.text.length ? entry.text.split(' ').length : 0;
+
+            SearchEngine.extractIdentifiers(entry.content).forEach((kind, name) => {
+                const key = name.toLowerCase();
+                if (!this.identifiers.has(key)) {
+                    this.identifiers.set(key, { name, kind, parts: SearchEngine.tokenize(name).slice(1), docIds: new Set() });
+                }
+                this.identifiers.get(key).docIds.add(docId);
+            });
+        });
+
+        this.terms = Array.from(this.index.keys()).sort();
+        this.averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+    }
+
+    addTokens(docId, field, tokens) {
+        tokens.forEach(token => {
+            if (!this.index.has(token)) this.index.set(token, new Map());
+            const postings = this.index.get(token);
+            if (!postings.has(docId)) postings.set(docId, { title: 0, body: 0 });
+            postings.get(docId)[field]++;
+        });
+    }
+
+    // Indexed terms that start with the given prefix
+    expandPrefix(prefix) {
+        const matches = [];
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.terms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+        for (let i = low; i < this.terms.length && this.terms[i].startsWith(prefix); i++) {
+            matches.push(this.terms[i]);
+        }
+        return matches;
+    }
+
+    parseQuery(query) {
+        const all = SearchEngine.tokenize(query, false);
+        const meaningful = all.filter(term => !SearchEngine.STOP_WORDS.has(term));
+        const terms = Array.from(new Set(meaningful.length ? meaningful : all));
+        const words = (query.match(/[A-Za-z0-9_]+/g) || []).map(word => word.toLowerCase());
+        return { terms, words, compact: words.join('') };
+    }
+
+    // Index terms a query term resolves to: exact, then prefix (last term only), then typo-tolerant
+    matchTerm(term, allowPrefix) {
+        if (this.index.has(term) && !allowPrefix) return [{ term, weight: 1 }];
+
+        if (allowPrefix && term.length > 1) {
+            const prefixed = this.expandPrefix(term).map(candidate => ({ term: candidate, weight: candidate === term ? 1 : 0.7 }));
+            if (prefixed.length) return prefixed;
+        }
+
+        return this.fuzzyTerms(term).map(candidate => ({ term: candidate, weight: 0.5 }));
+    }
+
+    fuzzyTerms(term) {
+        const tolerance = SearchEngine.typoTolerance(term);
+        if (!tolerance) return [];
+
+        return this.terms.filter(candidate =>
+            candidate.length > 3 && SearchEngine.editDistance(term, candidate, tolerance) <= tolerance
+        );
+    }
+
+    // Identifier the whole query names, tolerating typos ("GetQueSize" -> "getqueuesize")
+    resolveIdentifier(compact) {
+        if (this.identifiers.has(compact)) return compact;
+
+        const tolerance = SearchEngine.typoTolerance(compact);
+        let best = null;
+        let bestDistance = tolerance + 1;
+        this.identifiers.forEach((identifier, key) => {
+            const distance = SearchEngine.editDistance(compact, key, tolerance);
+            if (distance < bestDistance) {
+                best = key;
+                bestDistance = distance;
+            }
+        });
+        return best || compact;
+    }
+
+    // Whether every query term is found without typo correction
+    hasExactMatch(query) {
+        const { terms } = this.parseQuery(query);
+        return terms.every((term, i) =>
+            this.index.has(term) || (i === terms.length - 1 && this.expandPrefix(term).length > 0)
+        );
+    }
+
+    // Closest API identifiers (or plain terms) for misspelled query words
+    suggest(query, limit = 3) {
+        const words = (query.match(/[A-Za-z0-9_]+/g) || []).filter(word => word.length > 2);
+        const suggestions = new Map();
+
+        words.forEach(word => {
+            const lower = word.toLowerCase();
+            const parts = SearchEngine.tokenize(word).slice(1);
+
+            this.identifiers.forEach((identifier, key) => {
+                if (key === lower) return;
+
+                const distance = SearchEngine.editDistance(lower, key, Math.max(key.length, lower.length));
+                const similarity = 1 - distance / Math.max(key.length, lower.length);
+                const blended = parts.length > 1 ? similarity * 0.3 + this.partOverlap(parts, identifier.parts) * 0.7 : similarity;
+                const score = blended + (key.startsWith(lower) ? 0.3 : 0);
+
+                if (score >= 0.6 && (!suggestions.has(identifier.name) || suggestions.get(identifier.name) < score)) {
+                    suggestions.set(identifier.name, score);
+                }
+            });
+        });
+
+        // Fall back to ordinary vocabulary when no identifier is close
+        if (!suggestions.size) {
+            words.forEach(word => {
+                const lower = word.toLowerCase();
+                this.fuzzyTerms(lower).forEach(term => {
+                    const score = 1 - SearchEngine.editDistance(lower, term) / Math.max(term.length, lower.length);
+                    if (!suggestions.has(term) || suggestions.get(term) < score) suggestions.set(term, score);
+                });
+            });
+        }
+
+        return Array.from(suggestions.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([name]) => name);
+    }
+
+    // How well the words of a query identifier line up with an identifier's words (0..1)
+    partOverlap(queryParts, identifierParts) {
+        if (!identifierParts.length) return 0;
+
+        const isMatch = (a, b) => {
+            const tolerance = SearchEngine.typoTolerance(a);
+            return a.startsWith(b) || b.startsWith(a) || SearchEngine.editDistance(a, b, tolerance) <= tolerance;
+        };
+        const matchedQuery = queryParts.filter(part => identifierParts.some(candidate => isMatch(part, candidate))).length;
+        const matchedIdentifier = identifierParts.filter(candidate => queryParts.some(part => isMatch(part, candidate))).length;
+
+        return (matchedQuery / queryParts.length + matchedIdentifier / identifierParts.length) / 2;
+    }
+
+    // Score every document for one query term
+    scoreTerm(term, allowPrefix) {
+        const scores = new Map();
+        const total = this.documents.length;
+
+        this.matchTerm(term, allowPrefix).forEach(({ term: candidate, weight }) => {
+            const postings = this.index.get(candidate);
+            const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+
+            postings.forEach((freq, docId) => {
+                const doc = this.documents[docId];
+                const norm = 0.25 + 0.75 * (doc.length / (this.averageLength || 1));
+                const tf = SearchEngine.TITLE_WEIGHT * freq.title + freq.body;
+                const score = idf * weight * (tf * 2.2) / (tf + 1.2 * norm);
+                scores.set(docId, Math.max(scores.get(docId) || 0, score));
+            });
+        });
+
+        return scores;
+    }
+
+    search(query, limit = 20) {
+        const parsed = this.parseQuery(query);
+        if (!parsed.terms.length) return [];
+
+        const perTerm = parsed.terms.map((term, i) => this.scoreTerm(term, i === parsed.terms.length - 1));
+        const combined = new Map();
+
+        perTerm.forEach(scores => {
+            scores.forEach((score, docId) => {
+                const current = combined.get(docId) || { score: 0, matched: 0 };
+                current.score += score;
+                current.matched++;
+                combined.set(docId, current);
+            });
+        });
+
+        const apiName = this.resolveIdentifier(parsed.compact);
+
+        // Prefer documents matching every term; fall back to partial matches
+        const required = parsed.terms.length;
+        const hasFullMatch = Array.from(combined.values()).some(result => result.matched === required);
+
+        const results = [];
+        combined.forEach((result, docId) => {
+            if (hasFullMatch && result.matched < required) return;
+
+            const doc = this.documents[docId];
+            let score = result.score;
+
+            if (doc.apiNames.defined.has(apiName)) score += SearchEngine.API_DEFINITION_BOOST;
+            else if (doc.apiNames.mentioned.has(apiName)) score += SearchEngine.API_MENTION_BOOST;
+            if (parsed.words.length > 1 && doc.title.toLowerCase().includes(parsed.words.join(' '))) score *= 1.5;
+            else if (parsed.words.length > 1 && doc.text.toLowerCase().includes(parsed.words.join(' '))) score *= 1.2;
+
+            results.push({ entry: doc, score: score * (result.matched / required) });
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    getNeedles(query) {
+        const { words, terms } = this.parseQuery(query);
+        return Array.from(new Set(words.concat(terms))).filter(word => word.length > 1);
+    }
+
+    // Character ranges of text that match any query word
+    findMatches(text, query) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+        this.getNeedles(query).forEach(needle => {
+            let position = lower.indexOf(needle);
+            while (position !== -1) {
+                ranges.push([position, position + needle.length]);
+                position = lower.indexOf(needle, position + needle.length);
+            }
+        });
+        return this.mergeRanges(ranges);
+    }
+
+    // Window of entry text around the first match, with match ranges for highlighting
+    getSnippet(entry, query, radius = 70) {
+        const text = entry.text;
+        const matches = this.findMatches(text, query);
+        const first = matches.length ? matches[0][0] : 0;
+
+        const start = first > radius ? text.lastIndexOf(' ', first - radius) + 1 : 0;
+        const end = Math.min(text.length, first + radius * 2);
+        const excerpt = text.slice(start, end);
+
+        return {
+            text: excerpt,
+            ranges: this.findMatches(excerpt, query),
+            truncatedStart: start > 0,
+            truncatedEnd: end < text.length
+        };
+    }
+
+    mergeRanges(ranges) {
+        const sorted = ranges.sort((a, b) => a[0] - b[0]);
+        const merged = [];
+        sorted.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+            else merged.push(range.slice());
+        });
+        return merged;
+    }
+}
+
+// CommonMark block/inline parser with GFM tables, autolinks and admonitions; all text is HTML-escaped
+class MarkdownParser {
+    constructor(options = {}) {
+        this.highlight = options.highlight || ((code) => MarkdownParser.escapeHTML(code));
+        this.headingOffset = options.headingOffset !== undefined ? options.headingOffset : 1;
+        this.idPrefix = '';
+        this.usedIds = new Set();
+    }
+
+    static get PATTERNS() {
+        return {
+            fence: /^( {0,3})(`{3,}|~{3,})[ \t]*([^`]*?)[ \t]*$/,
+            heading: /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/,
+            thematicBreak: /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/,
+            blockquote: /^ {0,3}> ?/,
+            listItem: /^( {0,3})(?:([-+*])|(\d{1,9})([.)]))( +|$)/,
+            setext: /^ {0,3}(=+|-+)[ \t]*$/,
+            tableDelimiter: /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/,
+            indentedCode: /^ {4}/,
+            admonition: /^ *\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\] *$/i
+        };
+    }
+
+    static get ADMONITION_TITLES() {
+        return {
+            note: 'Note',
+            tip: 'Tip',
+            important: 'Important',
+            warning: 'Warning',
+            caution: 'Caution'
+        };
+    }
+
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    static slugify(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+    }
+
+    static isBlank(line) {
+        return /^[ \t]*$/.test(line);
+    }
+
+    static indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    // Parse Markdown into a tree of block nodes
+    parse(markdown) {
+        const lines = (markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+        return this.parseBlocks(lines);
+    }
+
+    render(markdown, options = {}) {
+        this.idPrefix = options.idPrefix || '';
+        this.usedIds = new Set();
+        return this.renderBlocks(this.parse(markdown), false);
+    }
+
+    // Whether a line opens a block that may interrupt a paragraph
+    interruptsParagraph(line) {
+        const patterns = MarkdownParser.PATTERNS;
+        if (patterns.fence.test(line) || patterns.heading.test(line) || patterns.thematicBreak.test(line) || patterns.blockquote.test(line)) {
+            return true;
+        }
+
+        const item = line.match(patterns.listItem);
+        if (item && !MarkdownParser.isBlank(line.slice(item[0].length))) {
+            return !item[3] || item[3] === '1';
+        }
+        return false;
+    }
+
+    isTableStart(lines, i) {
+        const header = lines[i];
+        const delimiter = lines[i + 1];
+        if (!header || !delimiter || !header.includes('|') || !MarkdownParser.PATTERNS.tableDelimiter.test(delimiter)) {
+            return false;
+        }
+        return this.splitTableRow(header).length === this.splitTableRow(delimiter).length;
+    }
+
+    parseBlocks(lines) {
+        const patterns = MarkdownParser.PATTERNS;
+        const blocks = [];
+        let i = 0;
+        let previousBlank = false;
+
+        const push = (block) => {
+            block.blankBefore = previousBlank && blocks.length > 0;
+            blocks.push(block);
+            previousBlank = false;
+        };
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (MarkdownParser.isBlank(line)) {
+                previousBlank = true;
+                i++;
+                continue;
+            }
+
+            if ((match = line.match(patterns.fence))) {
+                const indent = match[1].length;
+                const fence = match[2];
+                const closing = new RegExp('^ {0,3}' + (fence[0] === '`' ? '`' : '~') + '{' + fence.length + ',}[ \\t]*$');
+                const content = [];
+                i++;
+                while (i < lines.length && !closing.test(lines[i])) {
+                    const strip = Math.min(indent, MarkdownParser.indentOf(lines[i]));
+                    content.push(lines[i].slice(strip));
+                    i++;
+                }
+                i++;
+                push({ type: 'code', info: match[3], text: content.join('\n') });
+                continue;
+            }
+
+            if ((match = line.match(patterns.heading))) {
+                push({ type: 'heading', level: match[1].length, text: (match[2] || '').trim() });
+                i++;
+                continue;
+            }
+
+            if (patterns.thematicBreak.test(line)) {
+                push({ type: 'hr' });
+                i++;
+                continue;
+            }
+
+            if (patterns.blockquote.test(line)) {
+                const quoted = [];
+                while (i < lines.length) {
+                    const current = lines[i];
+                    if (patterns.blockquote.test(current)) {
+                        quoted.push(current.replace(patterns.blockquote, ''));
+                    } else if (!MarkdownParser.isBlank(current) && quoted.length && !MarkdownParser.isBlank(quoted[quoted.length - 1]) && !this.interruptsParagraph(current)) {
+                        // Lazy continuation of a quoted paragraph
+                        quoted.push(current);
+                    } else {
+                        break;
+                    }
+                    i++;
+                }
+                // GitHub-style "> [!WARNING]" quotes become callouts
+                const admonition = quoted[0].match(patterns.admonition);
+                if (admonition) {
+                    push({ type: 'admonition', kind: admonition[1].toLowerCase(), children: this.parseBlocks(quoted.slice(1)) });
+                } else {
+                    push({ type: 'blockquote', children: this.parseBlocks(quoted) });
+                }
+                continue;
+            }
+
+            if (patterns.listItem.test(line)) {
+                const result = this.parseList(lines, i);
+                push(result.block);
+                i = result.next;
+                continue;
+            }
+
+            if (this.isTableStart(lines, i)) {
+                const result = this.parseTable(lines, i);
+                push(result.block);
+                i = result.next;
+                continue;
+            }
+
+            if (patterns.indentedCode.test(line)) {
+                const content = [];
+                while (i < lines.length && (patterns.indentedCode.test(lines[i]) || MarkdownParser.isBlank(lines[i]))) {
+                    content.push(lines[i].slice(4));
+                    i++;
+                }
+                while (content.length && MarkdownParser.isBlank(content[content.length - 1])) content.pop();
+                push({ type: 'code', info: '', text: content.join('\n') });
+                continue;
+            }
+
+            // Paragraph, possibly turned into a setext heading by an underline. Trailing spaces stay on
+            // inner lines, where two or more make a hard line break.
+            const paragraph = [line.trimStart()];
+            let heading = null;
+            i++;
+            while (i < lines.length && !MarkdownParser.isBlank(lines[i])) {
+                const current = lines[i];
+                const underline = current.match(patterns.setext);
+                if (underline) {
+                    heading = underline[1][0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (this.interruptsParagraph(current) || this.isTableStart(lines, i)) break;
+                paragraph.push(current.trimStart());
+                i++;
+            }
+
+            const text = paragraph.join('\n').trimEnd();
+            if (heading) {
+                push({ type: 'heading', level: heading, text });
+            } else {
+                push({ type: 'paragraph', text });
+            }
+        }
+
+        return blocks;
+    }
+
+    parseList(lines, start) {
+        const patterns = MarkdownParser.PATTERNS;
+        const first = lines[start].match(patterns.listItem);
+        const ordered = Boolean(first[3]);
+        const marker = ordered ? first[4] : first[2];
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        // Items continue the list only with the same kind of marker; "1." and "1)", or "-" and "*", start new lists
+        const sameList = (match) => Boolean(match) && Boolean(match[3]) === ordered && (ordered ? match[4] : match[2]) === marker;
+
+        while (i < lines.length) {
+            const match = lines[i].match(patterns.listItem);
+            if (!sameList(match)) break;
+            if (items.length && patterns.thematicBreak.test(lines[i])) break;
+
+            const rest = lines[i].slice(match[0].length);
+            const spacing = MarkdownParser.isBlank(rest) || match[5].length > 4 ? 1 : match[5].length;
+            const contentIndent = match[1].length + (match[2] || match[3] + match[4]).length + spacing;
+            const itemLines = [MarkdownParser.isBlank(rest) ? '' : ' '.repeat(Math.max(0, match[5].length - spacing)) + rest];
+            i++;
+
+            while (i < lines.length) {
+                const current = lines[i];
+                const previous = itemLines[itemLines.length - 1];
+
+                if (MarkdownParser.isBlank(current)) {
+                    itemLines.push('');
+                } else if (MarkdownParser.indentOf(current) >= contentIndent) {
+                    itemLines.push(current.slice(contentIndent));
+                } else if (!MarkdownParser.isBlank(previous) && !this.interruptsParagraph(current) && !patterns.listItem.test(current)) {
+                    // Lazy continuation of the item's paragraph
+                    itemLines.push(current.trimStart());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            let trailingBlanks = 0;
+            while (itemLines.length > 1 && MarkdownParser.isBlank(itemLines[itemLines.length - 1])) {
+                itemLines.pop();
+                trailingBlanks++;
+            }
+
+            const children = this.parseBlocks(itemLines);
+            if (children.some((child, index) => index > 0 && child.blankBefore)) loose = true;
+            items.push({ children });
+
+            const nextItem = i < lines.length && sameList(lines[i].match(patterns.listItem));
+            if (trailingBlanks && nextItem) loose = true;
+            if (trailingBlanks && !nextItem) {
+                // Blank lines after the last item belong to the enclosing block
+                i -= trailingBlanks;
+                break;
+            }
+        }
+
+        return {
+            block: { type: 'list', ordered, start: ordered ? parseInt(first[3], 10) : 1, tight: !loose, items },
+            next: i
+        };
+    }
+
+    // Split a table row on unescaped pipes
+    splitTableRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+        const cells = [];
+        let current = '';
+        for (let i = 0; i < row.length; i++) {
+            if (row[i] === '\\' && row[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (row[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += row[i];
+            }
+        }
+        cells.push(current.trim());
+        return cells;
+    }
+
+    parseTable(lines, start) {
+        const header = this.splitTableRow(lines[start]);
+        const align = this.splitTableRow(lines[start + 1]).map(cell => {
+            const left = cell.startsWith(':');
+            const right = cell.endsWith(':');
+            if (left && right) return 'center';
+            if (right) return 'right';
+            return left ? 'left' : null;
+        });
+        const rows = [];
+        let i = start + 2;
+
+        while (i < lines.length && !MarkdownParser.isBlank(lines[i]) && !this.interruptsParagraph(lines[i])) {
+            const cells = this.splitTableRow(lines[i]);
+            rows.push(header.map((cell, index) => cells[index] || ''));
+            i++;
+        }
+
+        return { block: { type: 'table', header, align, rows }, next: i };
+    }
+
+    createHeadingId(text) {
+        const base = (this.idPrefix ? this.idPrefix + '-' : '') + (MarkdownParser.slugify(text) || 'heading');
+        let id = base;
+        let counter = 2;
+        while (this.usedIds.has(id)) id = base + '-' + counter++;
+        this.usedIds.add(id);
+        return id;
+    }
+
+    renderBlocks(blocks, tight) {
+        return blocks.map(block => this.renderBlock(block, tight)).join('');
+    }
+
+    renderBlock(block, tight) {
+        switch (block.type) {
+            case 'paragraph':
+                return tight ? this.renderInline(block.text) : '<p>' + this.renderInline(block.text) + '</p>';
+            case 'heading': {
+                const level = Math.min(6, block.level + this.headingOffset);
+                const id = this.createHeadingId(this.plainText(block.text));
+                return '<h' + level + ' id="' + MarkdownParser.escapeHTML(id) + '">' + this.renderInline(block.text) + '</h' + level + '>';
+            }
+            case 'code':
+                return this.renderCode(block);
+            case 'hr':
+                return '<hr>';
+            case 'blockquote':
+                return '<blockquote>' + this.renderBlocks(block.children, false) + '</blockquote>';
+            case 'list': {
+                const tag = block.ordered ? 'ol' : 'ul';
+                const start = block.ordered && block.start !== 1 ? ' start="' + block.start + '"' : '';
+                const items = block.items.map(item => '<li>' + this.renderBlocks(item.children, block.tight) + '</li>').join('');
+                return '<' + tag + start + '>' + items + '</' + tag + '>';
+            }
+            case 'table':
+                return this.renderTable(block);
+            case 'admonition':
+                return '<div class="callout callout-' + block.kind + '" role="note">' +
+                    '<p class="callout-title">' + MarkdownParser.ADMONITION_TITLES[block.kind] + '</p>' +
+                    this.renderBlocks(block.children, false) +
+                    '</div>';
+            default:
+                return '';
+        }
+    }
+
+    renderCode(block) {
+        const language = (block.info.split(/\s+/)[0] || 'text').toLowerCase();
+        const escapedLanguage = MarkdownParser.escapeHTML(language);
+        return '<div class="code-block" data-language="' + escapedLanguage + '">' +
+            '<div class="code-header"><span class="code-lang">' + escapedLanguage + '</span></div>' +
+            '<pre><code class="language-' + escapedLanguage + '">' + this.highlight(block.text.replace(/\n+$/, ''), language) + '</code></pre>' +
+            '</div>';
+    }
+
+    renderTable(block) {
+        const cell = (tag, content, index) => {
+            const align = block.align[index];
+            return '<' + tag + (align ? ' class="align-' + align + '"' : '') + '>' + this.renderInline(content) + '</' + tag + '>';
+        };
+        const head = '<tr>' + block.header.map((content, index) => cell('th', content, index)).join('') + '</tr>';
+        const body = block.rows.map(row => '<tr>' + row.map((content, index) => cell('td', content, index)).join('') + '</tr>').join('');
+
+        // Wrapper scrolls wide tables horizontally on small screens
+        return '<div class="table-wrapper"><table><thead>' + head + '</thead>' + (body ? '<tbody>' + body + '</tbody>' : '') + '</table></div>';
+    }
+
+    // Inline text without Markdown syntax, for ids and plain-text uses
+    plainText(text) {
+        return text
+            .replace(/\\([!-\/:-@\[-`{-~])/g, '$1')
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/[`*_]/g, '');
+    }
+
+    // Only allow link schemes that cannot run script
+    safeUrl(url) {
+        const trimmed = url.trim();
+        if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed) && !/^(https?|mailto):/i.test(trimmed)) return '#';
+        return trimmed;
+    }
+
+    renderLink(url, label, title) {
+        const href = this.safeUrl(url);
+        const external = /^https?:/i.test(href);
+        return '<a href="' + MarkdownParser.escapeHTML(href) + '"' +
+            (title ? ' title="' + MarkdownParser.escapeHTML(title) + '"' : '') +
+            (external ? ' target="_blank" rel="noopener noreferrer"' : '') +
+            '>' + label + '</a>';
+    }
+
+    // Find the ']' closing the bracket at start, skipping escapes and code spans
+    findClosingBracket(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                const close = text.indexOf(run, i + run.length);
+                if (close !== -1) i = close + run.length - 1;
+            } else if (char === '[') {
+                depth++;
+            } else if (char === ']') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        return -1;
+    }
+
+    // Parse [label](destination "title") starting at the opening bracket
+    parseLink(text, start) {
+        const close = this.findClosingBracket(text, start);
+        if (close === -1 || text[close + 1] !== '(') return null;
+
+        let i = close + 2;
+        while (text[i] === ' ' || text[i] === '\n') i++;
+
+        let destination = '';
+        if (text[i] === '<') {
+            const end = text.indexOf('>', i);
+            if (end === -1) return null;
+            destination = text.slice(i + 1, end);
+            i = end + 1;
+        } else {
+            let depth = 0;
+            while (i < text.length && !/\s/.test(text[i])) {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    destination += text[i + 1];
+                    i += 2;
+                    continue;
+                }
+                if (text[i] === '(') depth++;
+                if (text[i] === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                destination += text[i];
+                i++;
+            }
+        }
+
+        while (text[i] === ' ' || text[i] === '\n') i++;
+
+        let title = '';
+        const quote = text[i];
+        if (quote === '"' || quote === '\'') {
+            // Backslash escapes such as \" can put the quote inside the title
+            i++;
+            while (i < text.length && text[i] !== quote) {
+                if (text[i] === '\\' && /[!-\/:-@\[-`{-~]/.test(text[i + 1] || '')) i++;
+                title += text[i];
+                i++;
+            }
+            if (i >= text.length) return null;
+            i++;
+            while (text[i] === ' ' || text[i] === '\n') i++;
+        }
+
+        if (text[i] !== ')') return null;
+        return { label: text.slice(start + 1, close), destination, title, end: i + 1 };
+    }
+
+    renderInline(text) {
+        const nodes = [];
+        let buffer = '';
+        let i = 0;
+
+        const flushText = () => {
+            if (buffer) nodes.push({ type: 'text', value: buffer });
+            buffer = '';
+        };
+        const pushHTML = (value) => {
+            flushText();
+            nodes.push({ type: 'html', value });
+        };
+
+        const isWhitespace = (char) => !char || /\s/.test(char);
+        const isPunctuation = (char) => Boolean(char) && /[\p{P}\p{S}]/u.test(char);
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (char === '\\') {
+                const next = text[i + 1];
+                if (next === '\n') {
+                    pushHTML('<br>');
+                    i += 2;
+                } else if (next && /[!-\/:-@\[-`{-~]/.test(next)) {
+                    buffer += next;
+                    i += 2;
+                } else {
+                    buffer += char;
+                    i++;
+                }
+                continue;
+            }
+
+            if (char === '`') {
+                const run = text.slice(i).match(/^`+/)[0];
+                let close = text.indexOf(run, i + run.length);
+                while (close !== -1 && (text[close + run.length] === '`' || text[close - 1] === '`')) {
+                    close = text.indexOf(run, close + 1);
+                }
+                if (close === -1) {
+                    buffer += run;
+                    i += run.length;
+                    continue;
+                }
+
+                let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                pushHTML('<code class="inline-code">' + MarkdownParser.escapeHTML(code) + '</code>');
+                i = close + run.length;
+                continue;
+            }
+
+            if (char === '*' || char === '_') {
+                const run = text.slice(i).match(char === '*' ? /^\*+/ : /^_+/)[0];
+                const before = text[i - 1];
+                const after = text[i + run.length];
+                const leftFlanking = !isWhitespace(after) && (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+                const rightFlanking = !isWhitespace(before) && (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+
+                flushText();
+                nodes.push({
+                    type: 'delimiter',
+                    char,
+                    count: run.length,
+                    originalCount: run.length,
+                    canOpen: char === '*' ? leftFlanking : leftFlanking && (!rightFlanking || isPunctuation(before)),
+                    canClose: char === '*' ? rightFlanking : rightFlanking && (!leftFlanking || isPunctuation(after)),
+                    openTags: [],
+                    closeTags: []
+                });
+                i += run.length;
+                continue;
+            }
+
+            if (char === '!' && text[i + 1] === '[') {
+                const image = this.parseLink(text, i + 1);
+                if (image) {
+                    pushHTML('<img src="' + MarkdownParser.escapeHTML(this.safeUrl(image.destination)) + '" alt="' + MarkdownParser.escapeHTML(this.plainText(image.label)) + '"' +
+                        (image.title ? ' title="' + MarkdownParser.escapeHTML(image.title) + '"' : '') + ' loading="lazy">');
+                    i = image.end;
+                    continue;
+                }
+            }
+
+            if (char === '[') {
+                const link = this.parseLink(text, i);
+                if (link) {
+                    pushHTML(this.renderLink(link.destination, this.renderInline(link.label), link.title));
+                    i = link.end;
+                    continue;
+                }
+            }
+
+            if (char === '<') {
+                const autolink = text.slice(i).match(/^<((?:https?|mailto):[^\s<>]*)>/i);
+                if (autolink) {
+                    pushHTML(this.renderLink(autolink[1], MarkdownParser.escapeHTML(autolink[1].replace(/^mailto:/i, ''))));
+                    i += autolink[0].length;
+                    continue;
+                }
+            }
+
+            if ((char === 'h' || char === 'w') && !/[A-Za-z0-9]/.test(text[i - 1] || '')) {
+                const bare = text.slice(i).match(/^(?:https?:\/\/|www\.)[^\s<]+/i);
+                if (bare) {
+                    // Trailing punctuation and unbalanced parentheses are not part of the URL
+                    let url = bare[0].replace(/[?!.,:*_~'"]+$/, '');
+                    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+                        url = url.slice(0, -1).replace(/[?!.,:*_~'"]+$/, '');
+                    }
+                    pushHTML(this.renderLink(/^www\./i.test(url) ? 'https://' + url : url, MarkdownParser.escapeHTML(url)));
+                    i += url.length;
+                    continue;
+                }
+            }
+
+            if (char === '\n') {
+                const hardBreak = / {2,}$/.test(buffer);
+                buffer = buffer.replace(/ +$/, '');
+                if (hardBreak) pushHTML('<br>');
+                else buffer += '\n';
+                i++;
+                while (text[i] === ' ') i++;
+                continue;
+            }
+
+            buffer += char;
+            i++;
+        }
+
+        flushText();
+        this.processEmphasis(nodes);
+
+        return nodes.map(node => {
+            if (node.type === 'text') return MarkdownParser.escapeHTML(node.value);
+            if (node.type === 'html') return node.value;
+            return node.closeTags.join('') + node.char.repeat(node.count) + node.openTags.join('');
+        }).join('');
+    }
+
+    // Match emphasis delimiter runs (CommonMark "process emphasis", including the rule of three)
+    processEmphasis(nodes) {
+        for (let c = 0; c < nodes.length; c++) {
+            const closer = nodes[c];
+            if (closer.type !== 'delimiter' || !closer.canClose) continue;
+
+            while (closer.count > 0) {
+                let openerIndex = -1;
+                for (let o = c - 1; o >= 0; o--) {
+                    const candidate = nodes[o];
+                    if (candidate.type !== 'delimiter' || candidate.char !== closer.char || !candidate.canOpen || candidate.count === 0) continue;
+
+                    const oddMatch = (candidate.canClose || closer.canOpen) &&
+                        (candidate.originalCount + closer.originalCount) % 3 === 0 &&
+                        !(candidate.originalCount % 3 === 0 && closer.originalCount % 3 === 0);
+                    if (!oddMatch) {
+                        openerIndex = o;
+                        break;
+                    }
+                }
+                if (openerIndex === -1) break;
+
+                const opener = nodes[openerIndex];
+                const used = opener.count >= 2 && closer.count >= 2 ? 2 : 1;
+                const tag = used === 2 ? 'strong' : 'em';
+                opener.count -= used;
+                closer.count -= used;
+                opener.openTags.unshift('<' + tag + '>');
+                closer.closeTags.push('</' + tag + '>');
+
+                // Delimiters between a matched pair can no longer match
+                for (let k = openerIndex + 1; k < c; k++) {
+                    if (nodes[k].type === 'delimiter') {
+                        nodes[k].canOpen = false;
+                        nodes[k].canClose = false;
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Generic tokenizer driven by ordered { type, pattern } rules; the first rule matching at the cursor wins
+class RuleTokenizer {
+    constructor(rules) {
+        this.rules = rules.map(rule => ({
+            type: rule.type,
+            pattern: new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y')
+        }));
+    }
+
+    tokenize(code) {
+        const tokens = [];
+        let plain = '';
+        let position = 0;
+
+        while (position < code.length) {
+            const match = this.matchAt(code, position);
+
+            if (!match || match.type === 'plain') {
+                const value = match ? match.value : code[position];
+                plain += value;
+                position += value.length;
+                continue;
+            }
+
+            if (plain) {
+                tokens.push({ type: 'plain', value: plain });
+                plain = '';
+            }
+            tokens.push(match);
+            position += match.value.length;
+        }
+
+        if (plain) tokens.push({ type: 'plain', value: plain });
+        return tokens;
+    }
+
+    matchAt(code, position) {
+        for (const rule of this.rules) {
+            rule.pattern.lastIndex = position;
+            const match = rule.pattern.exec(code);
+            if (match && match[0]) return { type: rule.type, value: match[0] };
+        }
+        return null;
+    }
+}
+
+// Structured API reference entries from a subsection's optional "api" array in docs.json:
+// { name, description, params: [{ name, type, required, default, description }], returns,
+//   options: [{ name, type, default, description }], examples: [{ title, language, code }] }
+// returns is { type, description, optional }, written as "boolean (success)" or "string (message ID) or nil".
+// Descriptions keep the original wording, so toMarkdown reproduces the Markdown the entries were written from.
+class ApiReference {
+    static isEntry(entry) {
+        return Boolean(entry) && typeof entry.name === 'string' &&
+            (entry.params === undefined || Array.isArray(entry.params)) &&
+            (entry.options === undefined || Array.isArray(entry.options)) &&
+            (entry.examples === undefined || Array.isArray(entry.examples));
+    }
+
+    // Structured entries for a subsection, or null when it is plain Markdown
+    static entriesOf(subsection) {
+        if (!Array.isArray(subsection.api)) return null;
+        if (!subsection.api.every(ApiReference.isEntry)) {
+            console.warn('Ignoring malformed api block in "' + subsection.title + '"; showing its Markdown instead');
+            return null;
+        }
+        return subsection.api;
+    }
+
+    static signature(entry) {
+        return entry.name + '(' + (entry.params || []).map(param => param.name).join(', ') + ')';
+    }
+
+    static anchorId(entry) {
+        return 'api-' + MarkdownParser.slugify(entry.name);
+    }
+
+    static formatDefault(value) {
+        return typeof value === 'string' ? JSON.stringify(value) : String(value);
+    }
+
+    // The same entries in the legacy Markdown layout, for search and exports
+    static toMarkdown(entries) {
+        return entries.map(entry => {
+            const parts = ['**' + ApiReference.signature(entry) + '**'];
+            if (entry.description) parts.push(entry.description);
+
+            if (entry.params && entry.params.length) {
+                parts.push('**Parameters:**\n' + entry.params.map(param => {
+                    const defaultText = param.default !== undefined ? ' (default: `' + ApiReference.formatDefault(param.default) + '`)' : '';
+                    return '- `' + param.name + '` (' + param.type + ', ' + (param.required ? 'required' : 'optional') + '): ' + (param.description || '') + defaultText;
+                }).join('\n'));
+            }
+
+            if (entry.returns) {
+                parts.push('**Returns:** ' + entry.returns.type + (entry.returns.description ? ' (' + entry.returns.description + ')' : '') +
+                    (entry.returns.optional ? ' or nil' : ''));
+            }
+
+            (entry.examples || []).forEach(example => {
+                parts.push('**' + (example.title || 'Example') + ':**\n```' + (example.language || 'lua') + '\n' + example.code + '\n```');
+            });
+
+            if (entry.options && entry.options.length) {
+                parts.push('**Configuration Options:**\n' + entry.options.map(option => {
+                    const details = [option.type, option.default !== undefined ? 'default: `' + ApiReference.formatDefault(option.default) + '`' : '']
+                        .filter(Boolean).join(', ');
+                    return '- `' + option.name + '`: ' + (option.description || '') + (details ? ' (' + details + ')' : '');
+                }).join('\n'));
+            }
+
+            return parts.join('\n\n');
+        }).join('\n\n---\n\n');
+    }
+
+    // Every documented method and WebhookLib.new option, in docs order, from the API Reference section's api blocks
+    static surface(docs) {
+        const methods = [];
+        const options = [];
+        const section = (docs.sections || []).find(s => s.id === 'api-reference');
+
+        (section && section.subsections || []).forEach(subsection => {
+            (ApiReference.entriesOf(subsection) || []).forEach(entry => {
+                methods.push({ entry, subsection: subsection.title });
+                options.push(...(entry.options || []));
+            });
+        });
+        return { methods, options };
+    }
+
+    // Markdown for everything in a subsection, structured or not
+    static subsectionMarkdown(subsection) {
+        const entries = ApiReference.entriesOf(subsection);
+        if (!entries) return subsection.content || '';
+        return [subsection.content, ApiReference.toMarkdown(entries)].filter(Boolean).join('\n\n');
+    }
+
+    static renderCards(entries, parser) {
+        return entries.map(entry => ApiReference.renderCard(entry, parser)).join('');
+    }
+
+    static renderCard(entry, parser) {
+        const escape = MarkdownParser.escapeHTML;
+        const id = ApiReference.anchorId(entry);
+        const params = entry.params || [];
+
+        const signature = escape(entry.name) + '(' + params.map(param => {
+            return '<span class="api-signature-param' + (param.required ? '' : ' api-optional') + '">' + escape(param.name) + '</span>';
+        }).join(', ') + ')';
+
+        let html = '<article class="api-card" id="' + escape(id) + '">' +
+            '<header class="api-card-header">' +
+                '<h3 class="api-signature"><code>' + signature + '</code></h3>' +
+            '</header>';
+
+        if (entry.description) {
+            html += '<p class="api-description">' + parser.renderInline(entry.description) + '</p>';
+        }
+
+        if (params.length) {
+            html += ApiReference.renderTable('Parameters', ['Name', 'Type', 'Required', 'Default', 'Description'], params.map(param => [
+                '<code>' + escape(param.name) + '</code>',
+                '<code>' + escape(param.type) + '</code>',
+                param.required ? 'Yes' : 'No',
+                param.default !== undefined ? '<code>' + escape(ApiReference.formatDefault(param.default)) + '</code>' : '',
+                parser.renderInline(param.description || '')
+            ]));
+        }
+
+        if (entry.returns) {
+            html += '<p class="api-returns"><span class="api-label">Returns</span> <code>' + escape(entry.returns.type) + '</code>' +
+                (entry.returns.description ? ' ' + parser.renderInline(entry.returns.description) : '') +
+                (entry.returns.optional ? ' or <code>nil</code>' : '') + '</p>';
+        }
+
+        if (entry.options && entry.options.length) {
+            html += ApiReference.renderTable('Options', ['Name', 'Type', 'Default', 'Description'], entry.options.map(option => [
+                '<code>' + escape(option.name) + '</code>',
+                option.type ? '<code>' + escape(option.type) + '</code>' : '',
+                option.default !== undefined ? '<code>' + escape(ApiReference.formatDefault(option.default)) + '</code>' : '',
+                parser.renderInline(option.description || '')
+            ]));
+        }
+
+        (entry.examples || []).forEach(example => {
+            html += '<div class="api-label">' + escape(example.title || 'Example') + '</div>' +
+                parser.renderCode({ info: example.language || 'lua', text: example.code });
         });
-    } else {
-        fallbackCopyTextToClipboard(text, button);
+
+        return html + '</article>';
     }
-}
 
-// Fallback copy method for older browsers/mobile
-function fallbackCopyTextToClipboard(text, button) {
-    const textArea = document.createElement('textarea');
-    textArea.value = text;
-    textArea.style.position = 'fixed';
-    textArea.style.left = '-999999px';
-    textArea.style.top = '-999999px';
-    document.body.appendChild(textArea);
-    textArea.focus();
-    textArea.select();
-    
-    try {
-        const successful = document.execCommand('copy');
-        const message = successful ? 'Copied!' : 'Failed';
-        showCopyFeedback(button, message, successful);
-    } catch (err) {
-        showCopyFeedback(button, 'Failed', false);
+    static renderTable(caption, headings, rows) {
+        return '<div class="api-label">' + caption + '</div>' +
+            '<div class="table-wrapper"><table class="api-table"><thead><tr>' +
+            headings.map(heading => '<th>' + heading + '</th>').join('') + '</tr></thead><tbody>' +
+            rows.map(row => '<tr>' + row.map(cell => '<td>' + cell + '</td>').join('') + '</tr>').join('') +
+            '</tbody></table></div>';
     }
-    
-    document.body.removeChild(textArea);
 }
 
-function showCopyFeedback(button, message, success) {
-    const originalText = button.textContent;
-    button.textContent = message;
-    button.style.backgroundColor = success ? '#10b981' : '#ef4444';
-    button.style.color = 'white';
-    
-    setTimeout(() => {
-        button.textContent = originalText;
-        button.style.backgroundColor = '';
-        button.style.color = '';
-    }, 2000);
+// Uncompressed ("stored") ZIP archives, enough to download several text files at once
+class ZipArchive {
+    static get CRC_TABLE() {
+        if (!ZipArchive.crcTable) {
+            ZipArchive.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipArchive.crcTable[n] = c >>> 0;
+            }
+        }
+        return ZipArchive.crcTable;
+    }
+
+    static crc32(bytes) {
+        const table = ZipArchive.CRC_TABLE;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // MS-DOS date and time fields used by ZIP headers
+    static dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    // files: [{ path, content }] with string content; returns the archive bytes
+    static build(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const { time, date: day } = ZipArchive.dosDateTime(date);
+        const local = [];
+        const central = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = encoder.encode(file.content);
+            const crc = ZipArchive.crc32(data);
+
+            // Flag bit 11 marks names as UTF-8
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);
+            header.setUint16(4, 20, true);
+            header.setUint16(6, 0x0800, true);
+            header.setUint16(8, 0, true);
+            header.setUint16(10, time, true);
+            header.setUint16(12, day, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);
+            local.push(new Uint8Array(header.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, day, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((total, part) => total + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = local.concat(central, [new Uint8Array(end.buffer)]);
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
 }
 
 // Enhanced Documentation System with better mobile performance
@@ -473,9 +2043,25 @@ class DocumentationSystem {
     constructor() {
         this.docs = null;
         this.currentSection = 'getting-started';
+        this.currentAnchor = null;
+        this.scrollSpy = null;
+        this.activeHeadingId = null;
         this.searchIndex = [];
+        this.searchEngine = new SearchEngine();
+        this.searchResults = [];
+        this.selectedResultIndex = -1;
         this.searchTimeout = null;
         this.isLoading = false;
+        this.languages = new Map();
+        this.languageAliases = new Map();
+        this.registerDefaultLanguages();
+        this.tools = new Map();
+        this.registerDefaultTools();
+        this.markdownParser = new MarkdownParser({
+            highlight: (code, language) => this.highlightCode(code, language)
+        });
+        this.snippetRunner = new SnippetRunner(this);
+        this.codeEditor = new CodeEditor(this);
         this.init();
     }
 
@@ -490,7 +2076,11 @@ class DocumentationSystem {
             this.buildSearchIndex();
             this.buildNavigation();
             this.bindEvents();
-            this.loadSection(this.getCurrentSectionFromURL());
+            this.loadRoute(this.getSavedScroll(history.state));
+            // Rewrite old-style hashes to the route they resolved to
+            if (window.location.hash && this.parseRoute().sectionId === this.currentSection) {
+                history.replaceState(history.state, '', this.buildRoute(this.currentSection, this.currentAnchor));
+            }
         } catch (error) {
             console.error('Failed to initialize documentation:', error);
             this.showError('Failed to load documentation. Please refresh the page.');
@@ -515,11 +2105,15 @@ class DocumentationSystem {
         }
     }
 
+    // Route id of the page that renders every section at once
+    static get ALL_SECTIONS() { return 'all'; }
+
     async loadDocs() {
         try {
             const response = await fetch('docs.json');
             if (!response.ok) throw new Error('Network response was not ok');
             this.docs = await response.json();
+            this.codeEditor.prune(this.docs);
         } catch (error) {
             console.error('Failed to load documentation:', error);
             throw error;
@@ -536,26 +2130,41 @@ class DocumentationSystem {
             this.searchIndex.push({
                 type: 'section',
                 id: section.id,
+                sectionId: section.id,
+                subsectionId: null,
                 title: section.title,
+                sectionTitle: section.title,
                 content: section.content,
-                searchText: (section.title + ' ' + section.content).toLowerCase()
+                text: SearchEngine.plainText(section.content),
+                apiNames: SearchEngine.extractApiNames(section.content)
             });
             
             // Add subsections to search index
             if (section.subsections) {
                 section.subsections.forEach(subsection => {
                     const subsectionId = this.createSubsectionId(subsection.title);
+                    const markdown = ApiReference.subsectionMarkdown(subsection);
+                    const apiNames = SearchEngine.extractApiNames(markdown);
+                    // Structured entries define their methods even when the name isn't in signature form
+                    (ApiReference.entriesOf(subsection) || []).forEach(entry => {
+                        apiNames.defined.add(entry.name.split(/[.:]/).pop().toLowerCase());
+                    });
                     this.searchIndex.push({
                         type: 'subsection',
-                        sectionId: section.id,
                         id: subsectionId,
+                        sectionId: section.id,
+                        subsectionId: subsectionId,
                         title: subsection.title,
-                        content: subsection.content,
-                        searchText: (subsection.title + ' ' + subsection.content).toLowerCase()
+                        sectionTitle: section.title,
+                        content: markdown,
+                        text: SearchEngine.plainText(markdown),
+                        apiNames
                     });
                 });
             }
         });
+
+        this.searchEngine.build(this.searchIndex);
     }
 
     buildNavigation() {
@@ -571,7 +2180,36 @@ class DocumentationSystem {
             return '<div class="nav-section"><div class="nav-item nav-section-title" data-section="' + section.id + '">' + section.title + '</div><div class="nav-items">' + subsectionHTML + '</div></div>';
         }).join('');
 
-        nav.innerHTML = navHTML;
+        nav.innerHTML = navHTML + this.renderToolNavigation() +
+            '<div class="nav-section nav-manual"><div class="nav-section-title nav-group-title">Offline</div><div class="nav-items">' +
+            '<div class="nav-item nav-subsection" data-section="' + DocumentationSystem.ALL_SECTIONS + '">All sections on one page</div></div></div>';
+    }
+
+    renderToolNavigation() {
+        if (this.tools.size === 0) return '';
+
+        const toolHTML = Array.from(this.tools.values()).map(tool => {
+            return '<div class="nav-item nav-subsection" data-section="' + tool.id + '">' + this.escapeHTML(tool.title) + '</div>';
+        }).join('');
+
+        return '<div class="nav-section nav-tools"><div class="nav-section-title nav-group-title">Tools</div><div class="nav-items">' + toolHTML + '</div></div>';
+    }
+
+    // Tools are interactive pages that share the section namespace: { id, title, description, render(container) }
+    registerTool(tool) {
+        this.tools.set(tool.id, tool);
+        if (this.docs) this.buildNavigation();
+    }
+
+    registerDefaultTools() {
+        this.registerTool(new EmbedBuilder(this));
+        this.registerTool(new PayloadConverter(this));
+        this.registerTool(new PayloadInspector(this));
+        this.registerTool(new ConfigGenerator(this));
+        this.registerTool(new WebhookUrlChecker(this));
+        this.registerTool(new TroubleshootingWizard(this));
+        this.registerTool(new DebugLogAnalyzer(this));
+        this.registerTool(new QueueSimulator(this));
     }
 
     createSubsectionId(title) {
@@ -617,19 +2255,69 @@ class DocumentationSystem {
                 debouncedSearch(e.target.value);
             });
 
-            // Clear search on escape
+            // Clear search on escape, walk results with the arrow keys
             searchInput.addEventListener('keydown', (e) => {
                 if (e.key === 'Escape') {
                     searchInput.value = '';
                     this.searchDocumentation('');
+                } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    this.moveSearchSelection(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    // Run any pending debounced query before opening the top hit
+                    this.searchDocumentation(searchInput.value);
+                    this.openSearchResult(Math.max(this.selectedResultIndex, 0));
                 }
             });
         }
 
-        // Handle browser back/forward
+        // Jump to a subsection from the search results panel
+        document.addEventListener('click', (e) => {
+            const suggestion = e.target.closest('.search-suggestion');
+            if (suggestion) {
+                e.preventDefault();
+                this.applySearchSuggestion(suggestion.dataset.query);
+                return;
+            }
+
+            const result = e.target.closest('.search-result');
+            if (result) {
+                e.preventDefault();
+                this.openSearchResult(parseInt(result.dataset.index, 10));
+            }
+        });
+
+        // Handle browser back/forward; scroll positions are restored from history state instead of by the browser
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+
         window.addEventListener('popstate', (e) => {
-            const section = this.getCurrentSectionFromURL();
-            this.loadSection(section, null, false);
+            this.loadRoute(this.getSavedScroll(e.state));
+        });
+
+        window.addEventListener('scroll', MobileUtils.debounce(() => this.saveScroll(), 150), { passive: true });
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-docs-action]');
+            const actions = {
+                'print': 'printDocs',
+                'export': 'exportDocs',
+                'export-markdown': 'exportMarkdown',
+                'copy-cheat-sheet': 'copyCheatSheet'
+            };
+            if (button && actions[button.dataset.docsAction]) {
+                window.WebhookLibDocs[actions[button.dataset.docsAction]](button);
+            }
+        });
+
+        // Heading anchors navigate like any link and also copy the full URL
+        document.addEventListener('click', (e) => {
+            const anchor = e.target.closest('.heading-anchor');
+            if (anchor) {
+                this.copyHeadingLink(anchor);
+            }
         });
 
         // Handle orientation change on mobile
@@ -651,74 +2339,494 @@ class DocumentationSystem {
         }
     }
 
-    getCurrentSectionFromURL() {
-        const hash = window.location.hash.slice(1);
-        return hash || 'getting-started';
+    // Routes are #/section/anchor. The anchor is any id on the rendered page: a subsection, a heading or
+    // an API card.
+    buildRoute(sectionId, anchorId = null) {
+        return '#/' + sectionId + (anchorId ? '/' + anchorId : '');
+    }
+
+    // { sectionId, anchorId } for a hash
+    parseRoute(hash = window.location.hash) {
+        const path = hash.replace(/^#\/?/, '');
+        if (!path) return { sectionId: this.docs.sections[0].id, anchorId: null };
+
+        if (hash.startsWith('#/')) {
+            const [sectionId, anchorId = null] = path.split('/');
+            return { sectionId, anchorId };
+        }
+        return this.resolveLegacyHash(path);
+    }
+
+    // Old links used #section, #section-subsection or a bare element id
+    resolveLegacyHash(path) {
+        if (path === DocumentationSystem.ALL_SECTIONS || this.tools.has(path) || this.docs.sections.some(s => s.id === path)) {
+            return { sectionId: path, anchorId: null };
+        }
+
+        const prefixed = this.docs.sections
+            .filter(section => path.startsWith(section.id + '-'))
+            .sort((a, b) => b.id.length - a.id.length)[0];
+        if (prefixed) {
+            return { sectionId: prefixed.id, anchorId: path.slice(prefixed.id.length + 1) };
+        }
+
+        const owner = this.docs.sections.find(section => (section.subsections || []).some(subsection => {
+            return this.createSubsectionId(subsection.title) === path ||
+                (ApiReference.entriesOf(subsection) || []).some(entry => ApiReference.anchorId(entry) === path);
+        }));
+        return { sectionId: owner ? owner.id : path, anchorId: owner ? path : null };
+    }
+
+    getCurrentSectionFromURL() {
+        return this.parseRoute().sectionId;
+    }
+
+    // Render whatever the URL points at, for the first load and for back/forward
+    loadRoute(scrollY = null) {
+        const { sectionId, anchorId } = this.parseRoute();
+        this.loadSection(sectionId, anchorId, false, scrollY);
+    }
+
+    // Follow a #/ link, only scrolling when it points into the section already shown
+    navigate(hash) {
+        this.saveScroll();
+        history.pushState({}, '', hash);
+
+        const { sectionId, anchorId } = this.parseRoute(hash);
+        if (sectionId === this.currentSection && anchorId && document.getElementById(anchorId)) {
+            this.currentAnchor = anchorId;
+            this.scrollToAnchor(anchorId);
+        } else {
+            this.loadRoute();
+        }
+    }
+
+    getSavedScroll(state) {
+        return state && typeof state.scrollY === 'number' ? state.scrollY : null;
+    }
+
+    saveScroll() {
+        history.replaceState(Object.assign({}, history.state, { scrollY: window.pageYOffset }), '');
+    }
+
+    scrollToAnchor(anchorId) {
+        const element = document.getElementById(anchorId);
+        if (element) {
+            const offset = MobileUtils.isMobile() ? 80 : 60;
+            const elementPosition = element.getBoundingClientRect().top;
+            const offsetPosition = elementPosition + window.pageYOffset - offset;
+            window.scrollTo({ top: offsetPosition, behavior: 'smooth' });
+        }
+    }
+
+    // "#" links on every subsection title and heading, pointing at the nearest element with an id
+    addHeadingAnchors(content, sectionId) {
+        content.querySelectorAll('.subsection h2, .subsection h3').forEach(heading => {
+            const target = heading.id ? heading : heading.closest('[id]');
+            if (!target || heading.querySelector('.heading-anchor')) return;
+
+            const anchor = document.createElement('a');
+            anchor.className = 'heading-anchor';
+            anchor.href = this.buildRoute(sectionId, target.id);
+            anchor.textContent = '#';
+            anchor.setAttribute('aria-label', 'Copy link to ' + heading.textContent);
+            heading.appendChild(anchor);
+        });
+    }
+
+    // Headings the TOC and scroll spy track, by their link target, with the sidebar item each belongs to.
+    // A section page lists subsections and their h3s; the all-sections page lists sections and their subsections.
+    getPageHeadings(content) {
+        const subsectionHeading = (subsection, sectionId) => ({
+            id: subsection.id,
+            title: subsection.querySelector('h2').textContent,
+            target: subsection,
+            navSection: sectionId,
+            navSubsection: subsection.dataset.subsection
+        });
+
+        const articles = content.querySelectorAll('.docs-all-section');
+        if (articles.length) {
+            return Array.from(articles).map(article => ({
+                id: article.id,
+                title: article.querySelector('h1').textContent,
+                target: article,
+                navSection: article.id,
+                navSubsection: null,
+                children: Array.from(article.querySelectorAll('.subsection')).map(subsection => subsectionHeading(subsection, article.id))
+            }));
+        }
+
+        return Array.from(content.querySelectorAll('.subsection')).map(subsection => {
+            const heading = subsectionHeading(subsection, this.currentSection);
+            heading.children = Array.from(subsection.querySelectorAll('h3')).map(h3 => {
+                const target = h3.id ? h3 : h3.closest('[id]');
+                return { id: target.id, title: h3.textContent, target, navSection: heading.navSection, navSubsection: heading.navSubsection };
+            }).filter(child => child.id !== subsection.id);
+            return heading;
+        });
+    }
+
+    renderTableOfContents(headings, sectionId) {
+        const toc = document.getElementById('docsToc');
+        if (!toc) return;
+
+        const count = headings.reduce((total, heading) => total + 1 + heading.children.length, 0);
+        if (count < 2) {
+            this.clearTableOfContents();
+            return;
+        }
+
+        const link = heading => '<a class="toc-link" href="' + this.buildRoute(sectionId, heading.id) + '" data-target="' + this.escapeHTML(heading.id) + '">' + this.escapeHTML(heading.title) + '</a>';
+        toc.innerHTML = '<div class="toc-title">On this page</div><ul class="toc-list">' + headings.map(heading => {
+            const children = heading.children.length
+                ? '<ul class="toc-list toc-sublist">' + heading.children.map(child => '<li>' + link(child) + '</li>').join('') + '</ul>'
+                : '';
+            return '<li>' + link(heading) + children + '</li>';
+        }).join('') + '</ul>';
+        toc.hidden = false;
+    }
+
+    clearTableOfContents() {
+        const toc = document.getElementById('docsToc');
+        if (toc) {
+            toc.innerHTML = '';
+            toc.hidden = true;
+        }
+        if (this.scrollSpy) {
+            this.scrollSpy.disconnect();
+            this.scrollSpy = null;
+        }
+        this.activeHeadingId = null;
+    }
+
+    // Re-created on every render so it always watches the headings currently on the page
+    bindScrollSpy(headings) {
+        if (this.scrollSpy) this.scrollSpy.disconnect();
+        this.activeHeadingId = null;
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        const tracked = [];
+        headings.forEach(heading => {
+            tracked.push(heading);
+            heading.children.forEach(child => tracked.push(child));
+        });
+        const visible = new Set();
+
+        this.scrollSpy = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) visible.add(entry.target);
+                else visible.delete(entry.target);
+            });
+
+            // The last tracked heading in the band wins, so an h3 takes over from its subsection
+            const active = tracked.filter(item => visible.has(item.target)).pop();
+            if (active) this.setActiveHeading(active);
+        }, { root: null, rootMargin: '-20% 0px -70% 0px', threshold: 0 });
+
+        tracked.forEach(item => this.scrollSpy.observe(item.target));
+    }
+
+    setActiveHeading(heading) {
+        if (heading.id === this.activeHeadingId) return;
+        this.activeHeadingId = heading.id;
+
+        document.querySelectorAll('.toc-link').forEach(link => {
+            link.classList.toggle('active', link.dataset.target === heading.id);
+        });
+        this.updateActiveNavItem(heading.navSection, heading.navSubsection, false);
+    }
+
+    copyHeadingLink(anchor) {
+        const url = new URL(anchor.getAttribute('href'), window.location.href).href;
+        const showCopied = () => {
+            anchor.classList.add('copied');
+            setTimeout(() => anchor.classList.remove('copied'), 2000);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url).then(showCopied).catch(() => {});
+        }
+    }
+
+    loadSection(sectionId, subsectionId = null, updateURL = true, scrollY = null) {
+        const section = this.docs.sections.find(s => s.id === sectionId);
+        const tool = this.tools.get(sectionId);
+        const allSections = sectionId === DocumentationSystem.ALL_SECTIONS;
+        if (!section && !tool && !allSections) {
+            this.showError('Section not found.');
+            return;
+        }
+
+        this.currentSection = sectionId;
+        this.currentAnchor = subsectionId;
+        
+        if (updateURL) {
+            this.saveScroll();
+            history.pushState({}, '', this.buildRoute(sectionId, subsectionId));
+        }
+
+        if (tool) {
+            this.renderTool(tool);
+        } else if (allSections) {
+            this.renderAllSections(subsectionId);
+        } else {
+            this.renderSection(section, subsectionId);
+        }
+        this.updateActiveNavItem(sectionId, subsectionId);
+
+        if (scrollY !== null) {
+            requestAnimationFrame(() => window.scrollTo(0, scrollY));
+        }
+    }
+
+    renderTool(tool) {
+        const content = document.getElementById('docsContent');
+        if (!content) return;
+
+        this.clearTableOfContents();
+        content.innerHTML = `<div class="section-header"><h1>${this.escapeHTML(tool.title)}</h1><p class="section-description">${this.escapeHTML(tool.description)}</p></div><div class="tool-container" data-tool="${tool.id}"></div>`;
+        tool.render(content.querySelector('.tool-container'));
+        this.initCodeCopyButtons();
+
+        content.scrollTop = 0;
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+
+renderSection(section, targetSubsectionId = null) {
+    const content = document.getElementById('docsContent');
+    if (!content) return;
+
+    let html = this.renderSectionBody(section);
+
+    if (MobileUtils.isMobile()) {
+        html += this.renderMobileNavigation();
+    }
+
+    content.innerHTML = html;
+    this.finishRender(content, section.id, targetSubsectionId);
+}
+
+    // Header and subsections of one section. idPrefix keeps ids unique when several sections share a page.
+    renderSectionBody(section, idPrefix = '') {
+        let html = `<div class="section-header"><h1>${this.escapeHTML(section.title)}</h1><p class="section-description">${this.escapeHTML(section.content)}</p></div>`;
+
+        (section.subsections || []).forEach((subsection, index) => {
+            const subsectionId = this.createSubsectionId(subsection.title);
+            const id = idPrefix + subsectionId;
+            html += `<section id="${id}" class="subsection" data-subsection="${subsectionId}">`;
+            html += `<h2>${this.escapeHTML(subsection.title)}</h2>`;
+            const entries = ApiReference.entriesOf(subsection);
+            html += `<div class="subsection-content">${this.renderMarkdown(subsection.content, id)}</div>`;
+            if (entries) {
+                html += `<div class="api-cards">${ApiReference.renderCards(entries, this.markdownParser)}</div>`;
+            }
+            if (index < section.subsections.length - 1) {
+                html += '<hr class="subsection-divider">';
+            }
+            html += '</section>';
+        });
+
+        return html;
+    }
+
+    // Every section in order, each wrapped in an article whose id is the section id
+    renderAllSectionsBody() {
+        return this.docs.sections.map(section => {
+            return `<article class="docs-all-section" id="${section.id}">${this.renderSectionBody(section, section.id + '-')}</article>`;
+        }).join('');
+    }
+
+    renderAllSections(targetAnchorId = null) {
+        const content = document.getElementById('docsContent');
+        if (!content) return;
+
+        content.innerHTML = '<div class="section-header docs-all-header"><h1>All Documentation</h1>' +
+            '<p class="section-description">Every section on one page, ready to print or save for offline reading.</p>' +
+            '<div class="docs-all-actions">' +
+                '<button type="button" class="tool-button" data-docs-action="print">Print / Save as PDF</button>' +
+                '<button type="button" class="tool-button" data-docs-action="export">Download HTML</button>' +
+                '<button type="button" class="tool-button" data-docs-action="export-markdown">Download Markdown</button>' +
+                '<button type="button" class="tool-button" data-docs-action="copy-cheat-sheet">Copy API cheat sheet</button>' +
+            '</div></div>' +
+            this.renderAllSectionsBody();
+
+        this.finishRender(content, DocumentationSystem.ALL_SECTIONS, targetAnchorId);
+    }
+
+    // Shared by every docs page: copy and edit buttons, TOC, scroll spy, heading links and the initial scroll
+    finishRender(content, pageId, targetAnchorId) {
+        this.initCodeCopyButtons();
+        this.codeEditor.init(content, pageId);
+
+        const headings = this.getPageHeadings(content);
+        this.renderTableOfContents(headings, pageId);
+        this.bindScrollSpy(headings);
+        this.addHeadingAnchors(content, pageId);
+
+        if (targetAnchorId) {
+            requestAnimationFrame(() => this.scrollToAnchor(targetAnchorId));
+        } else {
+            content.scrollTop = 0;
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+    }
+
+    // A standalone manual of the whole docs.json: inlined CSS, a TOC and links rewritten to in-page anchors
+    async buildExportHTML() {
+        let css = '';
+        try {
+            const response = await fetch('styles.css');
+            if (response.ok) css = await response.text();
+        } catch (error) {
+            console.warn('Exporting without styles:', error);
+        }
+
+        const page = document.createElement('div');
+        page.innerHTML = this.renderAllSectionsBody();
+        const ids = new Set(Array.from(page.querySelectorAll('[id]')).map(element => element.id));
+        page.querySelectorAll('a[href^="#"]').forEach(link => {
+            link.setAttribute('href', this.getExportHref(link.getAttribute('href'), ids));
+        });
+
+        const toc = this.docs.sections.map(section => {
+            const subsections = (section.subsections || []).map(subsection => {
+                const id = section.id + '-' + this.createSubsectionId(subsection.title);
+                return '<li><a href="#' + id + '">' + this.escapeHTML(subsection.title) + '</a></li>';
+            }).join('');
+            return '<li><a href="#' + section.id + '">' + this.escapeHTML(section.title) + '</a>' + (subsections ? '<ul>' + subsections + '</ul>' : '') + '</li>';
+        }).join('');
+
+        const title = (this.docs.title || 'WebhookLib Documentation') + (this.docs.version ? ' ' + this.docs.version : '');
+        return '<!DOCTYPE html>\n<html lang="en">\n<head>\n' +
+            '<meta charset="UTF-8">\n<meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+            '<title>' + this.escapeHTML(title) + '</title>\n<style>\n' + css + '\n</style>\n</head>\n' +
+            '<body class="docs-export">\n<main class="docs-content">\n' +
+            '<header class="export-header"><h1>' + this.escapeHTML(title) + '</h1>' +
+            '<p class="section-description">Exported ' + this.escapeHTML(new Date().toISOString().slice(0, 10)) + ' from ' + this.escapeHTML(window.location.href.split('#')[0]) + '</p></header>\n' +
+            '<nav class="export-toc" aria-label="Contents"><h2>Contents</h2><ul>' + toc + '</ul></nav>\n' +
+            page.innerHTML + '\n</main>\n</body>\n</html>\n';
+    }
+
+    // Anchor GitHub-style wikis generate for a Markdown heading
+    static markdownSlug(text) {
+        return text.trim().toLowerCase().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
     }
 
-    loadSection(sectionId, subsectionId = null, updateURL = true) {
-        const section = this.docs.sections.find(s => s.id === sectionId);
-        if (!section) {
-            this.showError('Section not found.');
-            return;
-        }
+    // One Markdown file per section plus a README index, for keeping the docs in a repo wiki
+    buildMarkdownBundle() {
+        const sections = this.docs.sections;
+        const fileOf = section => section.id + '.md';
+
+        // Where each link target ends up: subsections and API entries become headings in a section file
+        const targets = new Map();
+        sections.forEach(section => {
+            (section.subsections || []).forEach(subsection => {
+                const target = { file: fileOf(section), anchor: DocumentationSystem.markdownSlug(subsection.title) };
+                targets.set(section.id + '/' + this.createSubsectionId(subsection.title), target);
+                (ApiReference.entriesOf(subsection) || []).forEach(entry => targets.set(ApiReference.anchorId(entry), target));
+            });
+        });
 
-        this.currentSection = sectionId;
-        
-        if (updateURL) {
-            const url = subsectionId ? '#' + sectionId + '-' + subsectionId : '#' + sectionId;
-            history.pushState({}, '', url);
-        }
+        const rewriteLinks = markdown => markdown.replace(/\]\((#[^)\s]*)\)/g, (match, href) => {
+            let { sectionId, anchorId } = this.parseRoute(href);
+            if (sectionId === DocumentationSystem.ALL_SECTIONS && anchorId) {
+                ({ sectionId, anchorId } = this.resolveLegacyHash(anchorId));
+            }
 
-        this.renderSection(section, subsectionId);
-        this.updateActiveNavItem(sectionId, subsectionId);
-    }
+            const section = sections.find(s => s.id === sectionId);
+            if (!section) return '](' + new URL('docs.html' + this.buildRoute(sectionId, anchorId), window.location.href).href + ')';
 
-renderSection(section, targetSubsectionId = null) {
-    const content = document.getElementById('docsContent');
-    if (!content) return;
+            const target = anchorId && (targets.get(sectionId + '/' + anchorId) || targets.get(anchorId));
+            return '](' + (target ? target.file + '#' + target.anchor : fileOf(section)) + ')';
+        });
 
-    let html = `<div class="section-header"><h1>${this.escapeHTML(section.title)}</h1><p class="section-description">${this.escapeHTML(section.content)}</p></div>`;
+        const title = this.docs.title || 'WebhookLib Documentation';
+        const files = sections.map((section, index) => {
+            const previous = sections[index - 1];
+            const next = sections[index + 1];
+            const footer = [
+                previous ? '[← ' + previous.title + '](' + fileOf(previous) + ')' : '',
+                '[Contents](README.md)',
+                next ? '[' + next.title + ' →](' + fileOf(next) + ')' : ''
+            ].filter(Boolean).join(' · ');
+
+            const body = ['# ' + section.title, section.content]
+                .concat((section.subsections || []).map(subsection => '## ' + subsection.title + '\n\n' + ApiReference.subsectionMarkdown(subsection)))
+                .concat(['---', footer]);
+            return { path: fileOf(section), content: rewriteLinks(body.filter(Boolean).join('\n\n')) + '\n' };
+        });
 
-    if (section.subsections) {
-        section.subsections.forEach((subsection, index) => {
-            const subsectionId = this.createSubsectionId(subsection.title);
-            html += `<section id="${subsectionId}" class="subsection">`;
-            html += `<h2>${this.escapeHTML(subsection.title)}</h2>`;
-            html += `<div class="subsection-content">${this.renderMarkdown(subsection.content)}</div>`;
-            if (index < section.subsections.length - 1) {
-                html += '<hr class="subsection-divider">';
+        const index = ['# ' + title + (this.docs.version ? ' ' + this.docs.version : '')]
+            .concat([sections.map((section, i) => (i + 1) + '. [' + section.title + '](' + fileOf(section) + ') - ' + section.content).join('\n')]);
+        files.unshift({ path: 'README.md', content: index.join('\n\n') + '\n' });
+        return files;
+    }
+
+    // Compact API listing written as Lua comments, to paste at the top of a script
+    buildCheatSheet() {
+        const { methods, options } = ApiReference.surface(this.docs);
+        const lines = [
+            'WebhookLib ' + (this.docs.version || '') + ' API cheat sheet',
+            'Full docs: ' + new URL('docs.html', window.location.href).href
+        ];
+
+        let group = null;
+        methods.forEach(({ entry, subsection }) => {
+            if (subsection !== group) {
+                group = subsection;
+                lines.push('', group);
             }
-            html += '</section>';
+            const params = (entry.params || []).map(param => param.name + (param.required ? '' : '?') + ': ' + param.type).join(', ');
+            const returns = entry.returns ? entry.returns.type + (entry.returns.optional ? ' or nil' : '') : '';
+            const call = entry.name.includes('.') ? entry.name : 'webhook:' + entry.name;
+            lines.push('  ' + call + '(' + params + ')' + (returns ? ' -> ' + returns : ''));
         });
-    }
 
-    if (MobileUtils.isMobile()) {
-        html += this.renderMobileNavigation();
+        if (options.length) {
+            const width = Math.max(...options.map(option => option.name.length));
+            lines.push('', 'WebhookLib.new options');
+            options.forEach(option => {
+                const description = (option.description || '').replace(/`/g, '') + (option.type ? ' (' + option.type + ')' : '');
+                lines.push('  ' + option.name.padEnd(width) + '  ' + description);
+            });
+        }
+
+        return lines.map(line => line ? '-- ' + line : '--').join('\n') + '\n';
     }
 
-    content.innerHTML = html;
-    this.initCodeCopyButtons();
+    // In-page anchor for a docs link, or an absolute link back to the site for tools and unknown pages
+    getExportHref(href, ids) {
+        const { sectionId, anchorId } = this.parseRoute(href);
+        if (sectionId === DocumentationSystem.ALL_SECTIONS && anchorId && ids.has(anchorId)) return '#' + anchorId;
 
-    if (targetSubsectionId) {
-        requestAnimationFrame(() => {
-            const element = document.getElementById(targetSubsectionId);
-            if (element) {
-                const offset = MobileUtils.isMobile() ? 80 : 60;
-                const elementPosition = element.getBoundingClientRect().top;
-                const offsetPosition = elementPosition + window.pageYOffset - offset;
-                window.scrollTo({ top: offsetPosition, behavior: 'smooth' });
-            }
-        });
-    } else {
-        content.scrollTop = 0;
-        window.scrollTo({ top: 0, behavior: 'smooth' });
+        if (this.docs.sections.some(s => s.id === sectionId)) {
+            if (anchorId && ids.has(sectionId + '-' + anchorId)) return '#' + sectionId + '-' + anchorId;
+            if (anchorId && ids.has(anchorId)) return '#' + anchorId;
+            return '#' + sectionId;
+        }
+        return new URL('docs.html' + this.buildRoute(sectionId, anchorId), window.location.href).href;
     }
-}
 
 initCodeCopyButtons() {
     const codeBlocks = document.querySelectorAll('.code-block');
     codeBlocks.forEach(block => {
+        if (!block.querySelector('.run-btn') && SnippetRunner.LANGUAGES.has(block.dataset.language)) {
+            const runButton = document.createElement('button');
+            runButton.className = 'run-btn';
+            runButton.textContent = 'Run';
+            runButton.setAttribute('onclick', 'runCode(this)');
+            runButton.setAttribute('aria-label', 'Run code in a simulated server');
+
+            const header = block.querySelector('.code-header');
+            const copyButton = header && header.querySelector('.copy-btn');
+            if (copyButton) {
+                header.insertBefore(runButton, copyButton);
+            } else if (header) {
+                header.appendChild(runButton);
+            }
+        }
+
         if (!block.querySelector('.copy-btn')) {
             const button = document.createElement('button');
             button.className = 'copy-btn';
@@ -765,61 +2873,116 @@ renderMobileNavigation() {
     return html;
 }
 
-renderMarkdown(content) {
+renderMarkdown(content, idPrefix = '') {
     if (!content) return '';
+    return this.markdownParser.render(content, { idPrefix });
+}
+
+    // Grammars are objects with tokenize(code) returning [{ type, value }] tokens
+    registerLanguage(name, grammar, aliases = []) {
+        if (!grammar || typeof grammar.tokenize !== 'function') {
+            throw new TypeError(`Grammar for "${name}" must provide a tokenize(code) method`);
+        }
 
-    let html = content
-        .replace(/```(\w+)?\n([\s\S]*?)```/g, (match, lang, code) => {
-            const language = lang || 'text';
-            const highlightedCode = this.highlightCode(code.trim(), language);
-            return `<div class="code-block" data-language="${this.escapeHTML(language)}">
-                        <div class="code-header"><span class="code-lang">${this.escapeHTML(language)}</span></div>
-                        <pre><code class="language-${this.escapeHTML(language)}">${highlightedCode}</code></pre>
-                    </div>`;
-        })
-        .replace(/`([^`]+)`/g, (m, p1) => `<code class="inline-code">${this.escapeHTML(p1)}</code>`)
-        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-        .replace(/^### (.+)$/gm, '<h4>$1</h4>')
-        .replace(/^## (.+)$/gm, '<h3>$1</h3>')
-        .replace(/^# (.+)$/gm, '<h2>$1</h2>')
-        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
-        .replace(/^- (.+)$/gm, '<li>$1</li>')
-        .replace(/(<li>.*<\/li>\s*)+/gs, '<ul>$&</ul>')
-        .replace(/^\d+\. (.+)$/gm, '<li>$1</li>')
-        .replace(/(<li>.*<\/li>\s*)+/gs, (match) => {
-            if (match.includes('<ul>')) return match;
-            return `<ol>${match}</ol>`;
-        })
-        .replace(/^> (.+)$/gm, '<blockquote>$1</blockquote>')
-        .replace(/^---$/gm, '<hr>')
-        .replace(/\n\n/g, '</p><p>')
-        .replace(/\n/g, '<br>');
-
-    if (!html.startsWith('<')) {
-        html = `<p>${html}</p>`;
+        this.languages.set(name, grammar);
+        aliases.forEach(alias => this.languageAliases.set(alias, name));
     }
 
-    return html;
-}
+    // Resolve a fence info string such as "json" or "Shell" to a registered grammar
+    getLanguage(language) {
+        if (!language) return null;
+        const name = language.toLowerCase();
+        return this.languages.get(name) || this.languages.get(this.languageAliases.get(name)) || null;
+    }
+
+    registerDefaultLanguages() {
+        this.registerLanguage('lua', {
+            tokenize: code => new LuaTokenizer(code).tokenize()
+        }, ['luau']);
+
+        this.registerLanguage('javascript', new RuleTokenizer([
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?\*\// },
+            { type: 'string', pattern: /(["'`])(?:\\[\s\S]|(?!\1)[^\\])*\1/ },
+            { type: 'keyword', pattern: /\b(?:async|await|break|case|catch|class|const|continue|default|delete|do|else|export|extends|false|finally|for|function|if|import|in|instanceof|let|new|null|of|return|static|super|switch|this|throw|true|try|typeof|undefined|var|void|while|yield)\b/ },
+            { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ },
+            { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+            { type: 'plain', pattern: /[A-Za-z_$][\w$]*/ }
+        ]), ['js']);
+
+        this.registerLanguage('json', new RuleTokenizer([
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?\*\// },
+            { type: 'property', pattern: /"(?:\\.|[^"\\\n])*"(?=\s*:)/ },
+            { type: 'string', pattern: /"(?:\\.|[^"\\\n])*"/ },
+            { type: 'number', pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/ },
+            { type: 'keyword', pattern: /\b(?:true|false|null)\b/ }
+        ]), ['jsonc']);
+
+        this.registerLanguage('bash', new RuleTokenizer([
+            { type: 'comment', pattern: /(?<=^|\s)#.*/m },
+            { type: 'meta', pattern: /^\$ (?=\S)/m },
+            { type: 'string', pattern: /"(?:\\[\s\S]|[^"\\])*"|'[^']*'/ },
+            { type: 'builtin', pattern: /\$(?:\{[^}\n]*\}|\w+|[@#?$!*])/ },
+            { type: 'keyword', pattern: /\b(?:if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local)(?![\w.-])/ },
+            { type: 'property', pattern: /(?<=\s)--?[A-Za-z][\w-]*/ },
+            { type: 'function', pattern: /(?<=^[ \t]*|^\$ |[;&|(][ \t]*|\b(?:then|do|else)[ \t]+)[\w./-]+/m },
+            { type: 'number', pattern: /\b\d+\b/ },
+            { type: 'plain', pattern: /[\w./:@%+=,-]+/ }
+        ]), ['sh', 'shell', 'zsh', 'console']);
+
+        this.registerLanguage('diff', new RuleTokenizer([
+            { type: 'meta', pattern: /^(?:diff |index |--- |\+\+\+ |@@).*/m },
+            { type: 'inserted', pattern: /^\+.*/m },
+            { type: 'deleted', pattern: /^-.*/m }
+        ]), ['patch']);
+
+        const httpHead = new RuleTokenizer([
+            { type: 'keyword', pattern: /^[A-Z]+(?= \S+ HTTP\/)/m },
+            { type: 'string', pattern: /(?<=^[A-Z]+ )\S+(?= HTTP\/)/m },
+            { type: 'meta', pattern: /\bHTTP\/\d(?:\.\d)?/ },
+            { type: 'status-ok', pattern: /(?<=^HTTP\/[\d.]+ )[123]\d\d\b/m },
+            { type: 'status-error', pattern: /(?<=^HTTP\/[\d.]+ )[45]\d\d\b/m },
+            { type: 'property', pattern: /^[\w-]+(?=:)/m }
+        ]);
+
+        // A block can hold a request and its response; each message's head is tokenized line by line and its
+        // body is handed to the grammar that message's Content-Type names
+        const tokenizeMessage = message => {
+            const bodyStart = message.search(/\r?\n\r?\n/);
+            const head = bodyStart === -1 ? message : message.slice(0, bodyStart);
+            const body = bodyStart === -1 ? '' : message.slice(bodyStart);
+            const contentType = head.match(/^content-type:\s*[\w.+-]+\/(?:[\w.-]+\+)?([\w.-]+)/im);
+            const bodyGrammar = this.getLanguage(contentType ? contentType[1] : (/^\s*[{[]/.test(body) ? 'json' : null));
+
+            return httpHead.tokenize(head).concat(bodyGrammar ? bodyGrammar.tokenize(body) : [{ type: 'plain', value: body }]);
+        };
+
+        this.registerLanguage('http', {
+            tokenize: code => {
+                const starts = [0];
+                const startLine = /^(?:[A-Z]+ \S+ HTTP\/[\d.]+|HTTP\/[\d.]+ \d{3})/gm;
+                let match;
+                while ((match = startLine.exec(code)) !== null) {
+                    if (match.index > 0) starts.push(match.index);
+                }
+
+                return starts.map((start, index) => code.slice(start, starts[index + 1]))
+                    .reduce((tokens, message) => tokens.concat(tokenizeMessage(message)), [])
+                    .filter(token => token.value);
+            }
+        });
+    }
 
 highlightCode(code, language) {
-    let escaped = this.escapeHTML(code);
-
-    if (language === 'lua') {
-        escaped = escaped
-            // .replace(/\b(local|function|end|if|then|else|elseif|while|for|do|repeat|until|break|return|and|or|not|true|false|nil)\b/g, '<span class="keyword">$1</span>')
-            .replace(/(["'])(?:\\.|(?!\1)[^\\])*?\1/g, '<span class="string">$&</span>')
-            .replace(/(--.*$)/gm, '<span class="comment">$1</span>')
-            .replace(/\b\d+\.?\d*\b/g, '<span class="number">$&</span>');
-    } else if (language === 'javascript' || language === 'js') {
-        escaped = escaped
-            .replace(/(["'`])(?:\\.|(?!\1)[^\\])*?\1/g, '<span class="string">$&</span>')
-            .replace(/(\/\/.*$|\/\*[\s\S]*?\*\/)/gm, '<span class="comment">$1</span>')
-            .replace(/\b\d+\.?\d*\b/g, '<span class="number">$&</span>');
-    }
-
-    return escaped;
+    const grammar = this.getLanguage(language);
+    return grammar ? this.renderTokens(grammar.tokenize(code)) : this.escapeHTML(code);
+}
+
+// Escape each token and wrap highlighted ones in a span of their type
+renderTokens(tokens) {
+    return tokens.map(token => {
+        const escaped = this.escapeHTML(token.value);
+        return token.type === 'plain' ? escaped : '<span class="' + token.type + '">' + escaped + '</span>';
+    }).join('');
 }
 
 escapeHTML(text) {
@@ -828,7 +2991,7 @@ escapeHTML(text) {
     return div.innerHTML;
 }
 
-updateActiveNavItem(sectionId, subsectionId = null) {
+updateActiveNavItem(sectionId, subsectionId = null, reveal = true) {
     document.querySelectorAll('.nav-item').forEach(item => {
         item.classList.remove('active');
     });
@@ -842,93 +3005,118 @@ updateActiveNavItem(sectionId, subsectionId = null) {
         activeItem.classList.add('active');
         const parentSection = activeItem.closest('.nav-section');
         if (parentSection) parentSection.classList.add('expanded');
-        if (MobileUtils.isMobile()) activeItem.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+        if (reveal && MobileUtils.isMobile()) activeItem.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
     }
 }
 
 
 
     searchDocumentation(query) {
-        const navSections = document.querySelectorAll('.nav-section');
-        const navItems = document.querySelectorAll('.nav-item');
-        const searchQuery = query.toLowerCase().trim();
+        const nav = document.getElementById('sidebarNav');
+        const searchQuery = query.trim();
 
         if (!searchQuery) {
-            // Show all items when search is empty
-            navSections.forEach(section => {
-                section.style.display = 'block';
-                section.classList.remove('search-filtered');
-            });
-            navItems.forEach(item => {
-                item.style.display = 'block';
-                item.classList.remove('search-highlight');
-            });
+            // Restore the navigation when search is empty
+            if (nav) nav.style.display = '';
+            this.hideSearchResults();
             this.hideSearchEmptyState();
             return;
         }
 
-        // Search through the search index
-        const searchResults = this.searchIndex.filter(item => 
-            item.searchText.includes(searchQuery) ||
-            item.title.toLowerCase().includes(searchQuery)
-        );
+        this.searchResults = this.searchEngine.search(searchQuery);
+        this.selectedResultIndex = this.searchResults.length ? 0 : -1;
+        if (nav) nav.style.display = 'none';
 
-        // Hide all sections and items first
-        navSections.forEach(section => {
-            section.style.display = 'none';
-            section.classList.add('search-filtered');
-        });
-        navItems.forEach(item => {
-            item.style.display = 'none';
-            item.classList.remove('search-highlight');
+        if (this.searchResults.length === 0) {
+            this.hideSearchResults();
+            this.showSearchEmptyState(searchQuery);
+        } else {
+            this.hideSearchEmptyState();
+            this.renderSearchResults(searchQuery);
+        }
+    }
+
+    getSearchResultsContainer() {
+        let container = document.getElementById('searchResults');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'searchResults';
+            container.className = 'search-results';
+            container.setAttribute('role', 'listbox');
+            const searchBox = document.querySelector('.search-box');
+            searchBox.parentNode.insertBefore(container, searchBox.nextSibling);
+        }
+        return container;
+    }
+
+    renderSearchResults(query) {
+        const container = this.getSearchResultsContainer();
+
+        const summary = '<div class="search-results-summary">' + this.searchResults.length + ' result' + (this.searchResults.length === 1 ? '' : 's') + '</div>';
+        const items = this.searchResults.map((result, index) => {
+            const entry = result.entry;
+            const snippet = this.searchEngine.getSnippet(entry, query);
+            const path = entry.type === 'subsection' ? entry.sectionTitle : 'Section';
+
+            return '<div class="search-result' + (index === this.selectedResultIndex ? ' selected' : '') + '" role="option" data-index="' + index + '">' +
+                '<div class="search-result-path">' + this.escapeHTML(path) + '</div>' +
+                '<div class="search-result-title">' + this.highlightMatches(entry.title, this.searchEngine.findMatches(entry.title, query)) + '</div>' +
+                '<div class="search-result-snippet">' + (snippet.truncatedStart ? '…' : '') + this.highlightMatches(snippet.text, snippet.ranges) + (snippet.truncatedEnd ? '…' : '') + '</div>' +
+                '</div>';
+        }).join('');
+
+        const suggestions = this.searchEngine.hasExactMatch(query) ? [] : this.searchEngine.suggest(query);
+        container.innerHTML = this.renderSearchSuggestions(suggestions) + summary + items;
+        container.style.display = 'block';
+    }
+
+    // Escape text and wrap the given [start, end) ranges in <mark>
+    highlightMatches(text, ranges) {
+        let html = '';
+        let cursor = 0;
+        ranges.forEach(([start, end]) => {
+            html += this.escapeHTML(text.slice(cursor, start)) + '<mark>' + this.escapeHTML(text.slice(start, end)) + '</mark>';
+            cursor = end;
         });
+        return html + this.escapeHTML(text.slice(cursor));
+    }
 
-        // Show matching items and their parents
-        const visibleSections = new Set();
-        
-        searchResults.forEach(result => {
-            let selector;
-            let sectionId;
-            
-            if (result.type === 'section') {
-                selector = '[data-section="' + result.id + '"]:not([data-subsection])';
-                sectionId = result.id;
-            } else {
-                selector = '[data-section="' + result.sectionId + '"][data-subsection="' + result.id + '"]';
-                sectionId = result.sectionId;
-            }
-            
-            const item = document.querySelector(selector);
-            if (item) {
-                item.style.display = 'block';
-                item.classList.add('search-highlight');
-                visibleSections.add(sectionId);
-            }
+    hideSearchResults() {
+        const container = document.getElementById('searchResults');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+        this.searchResults = [];
+        this.selectedResultIndex = -1;
+    }
+
+    moveSearchSelection(delta) {
+        if (!this.searchResults.length) return;
+
+        const count = this.searchResults.length;
+        this.selectedResultIndex = (this.selectedResultIndex + delta + count) % count;
+
+        document.querySelectorAll('.search-result').forEach(item => {
+            const isSelected = parseInt(item.dataset.index, 10) === this.selectedResultIndex;
+            item.classList.toggle('selected', isSelected);
+            if (isSelected) item.scrollIntoView({ block: 'nearest' });
         });
+    }
 
-        // Show sections that have visible items
-        visibleSections.forEach(sectionId => {
-            const sectionItem = document.querySelector('[data-section="' + sectionId + '"]');
-            if (sectionItem) {
-                const section = sectionItem.closest('.nav-section');
-                if (section) {
-                    section.style.display = 'block';
-                    section.classList.remove('search-filtered');
-                    
-                    // Also show the section title
-                    const sectionTitle = section.querySelector('.nav-section-title');
-                    if (sectionTitle) {
-                        sectionTitle.style.display = 'block';
-                    }
-                }
-            }
+    openSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        this.selectedResultIndex = index;
+        document.querySelectorAll('.search-result').forEach(item => {
+            item.classList.toggle('selected', parseInt(item.dataset.index, 10) === index);
         });
 
-        // Provide feedback for empty results
-        if (searchResults.length === 0) {
-            this.showSearchEmptyState(searchQuery);
-        } else {
-            this.hideSearchEmptyState();
+        this.loadSection(result.entry.sectionId, result.entry.subsectionId);
+
+        if (MobileUtils.isMobile() && window.sidebarManager) {
+            setTimeout(() => window.sidebarManager.close(), 100);
         }
     }
 
@@ -937,13 +3125,38 @@ updateActiveNavItem(sectionId, subsectionId = null) {
         if (!emptyState) {
             emptyState = document.createElement('div');
             emptyState.className = 'search-empty-state';
-            document.getElementById('sidebarNav').appendChild(emptyState);
+            const searchBox = document.querySelector('.search-box');
+            searchBox.parentNode.insertBefore(emptyState, searchBox.nextSibling);
         }
         
-        emptyState.innerHTML = '<div class="empty-state-content"><p>No results found for "<strong>' + query + '</strong>"</p><small>Try a different search term or browse the navigation.</small></div>';
+        const suggestions = this.searchEngine.suggest(query);
+        emptyState.innerHTML = '<div class="empty-state-content"><p>No results found for "<strong>' + this.escapeHTML(query) + '</strong>"</p>' +
+            (suggestions.length
+                ? this.renderSearchSuggestions(suggestions)
+                : '<small>Try a different search term or browse the navigation.</small>') +
+            '</div>';
         emptyState.style.display = 'block';
     }
 
+    renderSearchSuggestions(suggestions) {
+        if (!suggestions.length) return '';
+
+        const links = suggestions.map(suggestion =>
+            '<button type="button" class="search-suggestion" data-query="' + this.escapeHTML(suggestion) + '">' + this.escapeHTML(suggestion) + '</button>'
+        ).join(', ');
+
+        return '<div class="search-suggestions">Did you mean ' + links + '?</div>';
+    }
+
+    applySearchSuggestion(suggestion) {
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput) {
+            searchInput.value = suggestion;
+            searchInput.focus();
+        }
+        this.searchDocumentation(suggestion);
+    }
+
     hideSearchEmptyState() {
         const emptyState = document.querySelector('.search-empty-state');
         if (emptyState) {
@@ -953,53 +3166,355 @@ updateActiveNavItem(sectionId, subsectionId = null) {
 
     showError(message) {
         const content = document.getElementById('docsContent');
+        this.clearTableOfContents();
         if (content) {
             content.innerHTML = '<div class="error-container"><div class="error-icon">⚠️</div><h2>Oops! Something went wrong</h2><p class="error-message">' + message + '</p><button class="retry-button" onclick="location.reload()">Retry</button></div>';
         }
     }
 }
 
-// Enhanced smooth scrolling with mobile optimization
-function initSmoothScrolling() {
-    // Intersection Observer for active section tracking
-    const observerOptions = {
-        root: null,
-        rootMargin: '-20% 0px -70% 0px',
-        threshold: 0
-    };
+// Keyboard-driven command palette for sections, API methods, options and actions
+class CommandPalette {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.isOpen = false;
+        this.items = [];
+        this.filtered = [];
+        this.selectedIndex = 0;
+        this.previousFocus = null;
+        this.init();
+    }
 
-    const observer = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                const id = entry.target.id;
-                if (id && window.docsSystem) {
-                    // Update active navigation without changing URL
-                    const navItem = document.querySelector('[data-subsection="' + id + '"]');
-                    if (navItem) {
-                        document.querySelectorAll('.nav-item').forEach(item => {
-                            item.classList.remove('active');
-                        });
-                        navItem.classList.add('active');
-                    }
-                }
+    static get MAX_RESULTS() { return 50; }
+
+    static get TYPE_LABELS() {
+        return {
+            section: 'Section',
+            subsection: 'Page',
+            method: 'Method',
+            option: 'Option',
+            tool: 'Tool',
+            action: 'Action'
+        };
+    }
+
+    init() {
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            const target = e.target;
+            const isTyping = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                this.toggle();
+            } else if (e.key === '/' && !isTyping && !this.isOpen) {
+                e.preventDefault();
+                this.open();
             }
         });
-    }, observerOptions);
 
-    // Observe all sections
-    document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(() => {
-            document.querySelectorAll('section[id]').forEach(section => {
-                observer.observe(section);
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.command-palette-toggle')) {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    // Everything the palette can jump to, rebuilt from docs.json on open
+    buildItems() {
+        const items = [];
+        const docs = this.docsSystem && this.docsSystem.docs;
+
+        if (docs) {
+            docs.sections.forEach(section => {
+                items.push({
+                    type: 'section',
+                    label: section.title,
+                    detail: section.content,
+                    run: () => this.navigate(section.id)
+                });
+
+                (section.subsections || []).forEach(subsection => {
+                    const subsectionId = this.docsSystem.createSubsectionId(subsection.title);
+                    items.push({
+                        type: 'subsection',
+                        label: subsection.title,
+                        detail: section.title,
+                        run: () => this.navigate(section.id, subsectionId)
+                    });
+                });
             });
-        }, 1000);
-    });
 
+            this.docsSystem.searchEngine.identifiers.forEach((identifier, key) => {
+                const home = this.locateIdentifier(key, identifier);
+                if (!home) return;
+
+                items.push({
+                    type: identifier.kind,
+                    label: identifier.kind === 'method' ? identifier.name + '()' : identifier.name,
+                    detail: home.sectionTitle + ' › ' + home.title,
+                    run: () => this.navigate(home.sectionId, home.subsectionId)
+                });
+            });
+        }
+
+        this.docsSystem.tools.forEach(tool => {
+            items.push({
+                type: 'tool',
+                label: tool.title,
+                detail: tool.description,
+                run: () => this.navigate(tool.id)
+            });
+        });
+
+        items.push(
+            {
+                type: 'action',
+                label: 'Toggle theme',
+                detail: 'Switch between light and dark mode',
+                run: () => window.themeManager && window.themeManager.toggle()
+            },
+            {
+                type: 'action',
+                label: 'Copy all code',
+                detail: 'Copy every code block on this page',
+                run: () => window.WebhookLibDocs.copyAllCode()
+            },
+            {
+                type: 'action',
+                label: 'View all sections',
+                detail: 'Read the whole documentation on one page',
+                run: () => this.navigate(DocumentationSystem.ALL_SECTIONS)
+            },
+            {
+                type: 'action',
+                label: 'Print documentation',
+                detail: 'Print every section or save it as a PDF',
+                run: () => window.WebhookLibDocs.printDocs()
+            },
+            {
+                type: 'action',
+                label: 'Download documentation',
+                detail: 'Save every section as a single HTML file',
+                run: () => window.WebhookLibDocs.exportDocs()
+            },
+            {
+                type: 'action',
+                label: 'Download Markdown',
+                detail: 'One Markdown file per section, zipped for a repo wiki',
+                run: () => window.WebhookLibDocs.exportMarkdown()
+            },
+            {
+                type: 'action',
+                label: 'Copy API cheat sheet',
+                detail: 'Every method and option as Lua comments',
+                run: () => window.WebhookLibDocs.copyCheatSheet()
+            }
+        );
+
+        return items;
+    }
+
+    // Where an identifier is documented: its API Reference definition when there is one
+    locateIdentifier(key, identifier) {
+        const entries = Array.from(identifier.docIds).map(docId => this.docsSystem.searchEngine.documents[docId]);
+        return entries.find(entry => entry.apiNames.defined.has(key)) ||
+            entries.find(entry => entry.sectionId === 'api-reference') ||
+            entries[0];
+    }
+
+    navigate(sectionId, subsectionId = null) {
+        if (document.getElementById('docsContent') && this.docsSystem.docs) {
+            this.docsSystem.loadSection(sectionId, subsectionId);
+        } else {
+            window.location.href = 'docs.html#/' + sectionId + (subsectionId ? '/' + subsectionId : '');
+        }
+    }
+
+    getElement() {
+        let overlay = document.getElementById('commandPalette');
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.id = 'commandPalette';
+            overlay.className = 'command-palette-overlay';
+            overlay.innerHTML = '<div class="command-palette" role="dialog" aria-modal="true" aria-label="Command palette">' +
+                '<input type="text" class="command-palette-input" placeholder="Jump to a section, method or option..." aria-label="Search commands" aria-controls="commandPaletteList" autocomplete="off" spellcheck="false">' +
+                '<div class="command-palette-list" id="commandPaletteList" role="listbox"></div>' +
+                '<div class="command-palette-footer"><span><kbd>↑</kbd><kbd>↓</kbd> to navigate</span><span><kbd>Enter</kbd> to select</span><span><kbd>Esc</kbd> to close</span></div>' +
+                '</div>';
+            document.body.appendChild(overlay);
+
+            const input = overlay.querySelector('.command-palette-input');
+            input.addEventListener('input', () => this.filter(input.value));
+            input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+            overlay.addEventListener('click', (e) => {
+                const option = e.target.closest('.command-palette-item');
+                if (option) {
+                    this.select(parseInt(option.dataset.index, 10));
+                } else if (!e.target.closest('.command-palette')) {
+                    this.close();
+                }
+            });
+        }
+        return overlay;
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.isOpen = true;
+        this.previousFocus = document.activeElement;
+        this.items = this.buildItems();
+
+        const overlay = this.getElement();
+        const input = overlay.querySelector('.command-palette-input');
+        input.value = '';
+        this.filter('');
+
+        overlay.classList.add('open');
+        document.body.style.overflow = 'hidden';
+        setTimeout(() => input.focus(), 0);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.getElement().classList.remove('open');
+        document.body.style.overflow = '';
+
+        if (this.previousFocus && this.previousFocus.focus) {
+            this.previousFocus.focus();
+        }
+    }
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            this.moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.select(this.selectedIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    // Subsequence match favouring word starts and consecutive characters; -1 if no match
+    static scoreMatch(query, text) {
+        const haystack = text.toLowerCase();
+        if (!query) return 0;
+
+        const direct = haystack.indexOf(query);
+        if (direct !== -1) {
+            return 100 - direct + (direct === 0 ? 50 : 0) - (haystack.length - query.length) * 0.1;
+        }
+
+        let score = 0;
+        let position = -1;
+        let previous = -2;
+        for (const char of query) {
+            position = haystack.indexOf(char, position + 1);
+            if (position === -1) return -1;
+
+            const atWordStart = position === 0 || /[\s_\-.›(]/.test(haystack[position - 1]) || /[A-Z]/.test(text[position]);
+            score += (position === previous + 1 ? 5 : 1) + (atWordStart ? 3 : 0);
+            previous = position;
+        }
+        return score - haystack.length * 0.1;
+    }
+
+    filter(query) {
+        const needle = query.trim().toLowerCase();
+
+        if (!needle) {
+            // Sections and actions make a useful starting list
+            this.filtered = this.items.filter(item => item.type === 'section' || item.type === 'action');
+        } else {
+            this.filtered = this.items
+                .map(item => {
+                    const labelScore = CommandPalette.scoreMatch(needle, item.label);
+                    const detailScore = CommandPalette.scoreMatch(needle, item.detail || '');
+                    return { item, score: Math.max(labelScore, detailScore >= 0 ? detailScore * 0.5 : -1) };
+                })
+                .filter(result => result.score >= 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, CommandPalette.MAX_RESULTS)
+                .map(result => result.item);
+        }
+
+        this.selectedIndex = 0;
+        this.render();
+    }
+
+    render() {
+        const list = this.getElement().querySelector('.command-palette-list');
+        const escape = (text) => this.docsSystem.escapeHTML(text || '');
+
+        if (!this.filtered.length) {
+            list.innerHTML = '<div class="command-palette-empty">No matching commands</div>';
+            return;
+        }
+
+        list.innerHTML = this.filtered.map((item, index) =>
+            '<div class="command-palette-item' + (index === this.selectedIndex ? ' selected' : '') + '" role="option" data-index="' + index + '" aria-selected="' + (index === this.selectedIndex) + '">' +
+                '<span class="command-palette-type type-' + item.type + '">' + CommandPalette.TYPE_LABELS[item.type] + '</span>' +
+                '<span class="command-palette-label">' + escape(item.label) + '</span>' +
+                '<span class="command-palette-detail">' + escape(item.detail) + '</span>' +
+            '</div>'
+        ).join('');
+    }
+
+    moveSelection(delta) {
+        if (!this.filtered.length) return;
+
+        const count = this.filtered.length;
+        this.selectedIndex = (this.selectedIndex + delta + count) % count;
+
+        this.getElement().querySelectorAll('.command-palette-item').forEach(option => {
+            const isSelected = parseInt(option.dataset.index, 10) === this.selectedIndex;
+            option.classList.toggle('selected', isSelected);
+            option.setAttribute('aria-selected', isSelected.toString());
+            if (isSelected) option.scrollIntoView({ block: 'nearest' });
+        });
+    }
+
+    select(index) {
+        const item = this.filtered[index];
+        if (!item) return;
+
+        this.close();
+        item.run();
+    }
+}
+
+// Enhanced smooth scrolling with mobile optimization
+function initSmoothScrolling() {
     // Enhanced anchor link handling
     document.addEventListener('click', (e) => {
         const link = e.target.closest('a[href^="#"]');
         if (link && link.getAttribute('href') !== '#') {
             e.preventDefault();
+            if (link.getAttribute('href').startsWith('#/')) {
+                if (window.docsSystem && window.docsSystem.docs) {
+                    window.docsSystem.navigate(link.getAttribute('href'));
+                } else {
+                    window.location.hash = link.getAttribute('href');
+                }
+                return;
+            }
+
             const targetId = link.getAttribute('href').slice(1);
             const targetElement = document.getElementById(targetId);
             
@@ -1014,7 +3529,12 @@ function initSmoothScrolling() {
                 });
 
                 // Update URL without triggering navigation
-                history.replaceState(null, null, link.getAttribute('href'));
+                const docsSystem = window.docsSystem;
+                const url = docsSystem && docsSystem.docs ? docsSystem.buildRoute(docsSystem.currentSection, targetId) : link.getAttribute('href');
+                history.replaceState(history.state, '', url);
+            } else if (window.docsSystem && window.docsSystem.tools.has(targetId)) {
+                // Links from the docs into a tool page
+                window.docsSystem.loadSection(targetId);
             }
         }
     });
@@ -1076,13 +3596,17 @@ document.addEventListener('DOMContentLoaded', () => {
     const themeManager = new ThemeManager();
     const mobileMenuManager = new MobileMenuManager();
     const sidebarManager = new SidebarManager();
-    const docsSystem = new DocumentationSystem();
+    // The docs, their tools and the command palette only run on docs.html, which also loads lua.js and tools.js
+    const hasDocs = Boolean(document.getElementById('docsContent'));
+    const docsSystem = hasDocs ? new DocumentationSystem() : null;
+    const commandPalette = hasDocs ? new CommandPalette(docsSystem) : null;
     
     // Make globally accessible for mobile navigation buttons
     window.themeManager = themeManager;
     window.mobileMenuManager = mobileMenuManager;
     window.sidebarManager = sidebarManager;
     window.docsSystem = docsSystem;
+    window.commandPalette = commandPalette;
     
     // Initialize other features
     initSmoothScrolling();
@@ -1113,6 +3637,7 @@ document.addEventListener('DOMContentLoaded', () => {
 // Service Worker registration for offline support
 if ('serviceWorker' in navigator && 'caches' in window) {
     window.addEventListener('load', () => {
+        // Absolute, because 404.html is served at whatever path was missing, including nested ones
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('SW registered: ', registration);
@@ -1121,6 +3646,39 @@ if ('serviceWorker' in navigator && 'caches' in window) {
                 console.log('SW registration failed: ', registrationError);
             });
     });
+
+    // The server moved to a new build and the worker has already cached it
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'docs-updated') {
+            showUpdateToast(event.data.version);
+        }
+    });
+}
+
+function showUpdateToast(version) {
+    if (document.getElementById('updateToast')) return;
+
+    const toast = document.createElement('div');
+    toast.id = 'updateToast';
+    toast.className = 'update-toast';
+    toast.setAttribute('role', 'status');
+    toast.innerHTML = '<span>Updated docs available' + (version ? ' (v' + MarkdownParser.escapeHTML(version) + ')' : '') + '</span>' +
+        '<button type="button" class="update-toast-reload">Reload</button>' +
+        '<button type="button" class="update-toast-close" aria-label="Dismiss">×</button>';
+
+    toast.querySelector('.update-toast-reload').addEventListener('click', () => location.reload());
+    toast.querySelector('.update-toast-close').addEventListener('click', () => toast.remove());
+    document.body.appendChild(toast);
+}
+
+// Save a generated file through a temporary download link
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
 }
 
 // Add utility functions for development and debugging
@@ -1135,16 +3693,52 @@ window.WebhookLibDocs = {
         });
     },
     
-    // Export documentation as HTML
-    exportDocs: () => {
-        const docs = document.getElementById('docsContent').innerHTML;
-        const blob = new Blob([docs], { type: 'text/html' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'webhooklib-docs.html';
-        a.click();
-        URL.revokeObjectURL(url);
+    // Export the whole documentation as one self-contained HTML file
+    exportDocs: async () => {
+        const docsSystem = window.docsSystem;
+        if (!docsSystem || !docsSystem.docs) return;
+
+        const html = await docsSystem.buildExportHTML();
+        downloadBlob(new Blob([html], { type: 'text/html' }), 'webhooklib-docs' + (docsSystem.docs.version ? '-' + docsSystem.docs.version : '') + '.html');
+    },
+
+    // Export every section as a Markdown file, zipped in a webhooklib-docs folder
+    exportMarkdown: () => {
+        const docsSystem = window.docsSystem;
+        if (!docsSystem || !docsSystem.docs) return;
+
+        const files = docsSystem.buildMarkdownBundle().map(file => ({ path: 'webhooklib-docs/' + file.path, content: file.content }));
+        downloadBlob(new Blob([ZipArchive.build(files)], { type: 'application/zip' }), 'webhooklib-docs-markdown.zip');
+    },
+
+    // Plain-text API summary as Lua comments
+    getCheatSheet: () => {
+        const docsSystem = window.docsSystem;
+        return docsSystem && docsSystem.docs ? docsSystem.buildCheatSheet() : '';
+    },
+
+    copyCheatSheet: (button) => {
+        const text = window.WebhookLibDocs.getCheatSheet();
+        if (!text) return;
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(text).then(() => {
+                if (button) showCopyFeedback(button, 'Copied!', true);
+            }).catch(() => {
+                if (button) fallbackCopyTextToClipboard(text, button);
+            });
+        } else if (button) {
+            fallbackCopyTextToClipboard(text, button);
+        }
+    },
+
+    // Print every section; the browser's print dialog also saves as PDF
+    printDocs: () => {
+        const docsSystem = window.docsSystem;
+        if (docsSystem && docsSystem.docs && docsSystem.currentSection !== DocumentationSystem.ALL_SECTIONS) {
+            docsSystem.loadSection(DocumentationSystem.ALL_SECTIONS);
+        }
+        requestAnimationFrame(() => window.print());
     },
     
     // Toggle debug mode
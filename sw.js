@@ -0,0 +1,144 @@
+// Offline support for the WebhookLib docs.
+// Pages and assets are served cache-first, cached under the build named in build.json. Only that
+// small file is re-fetched in the background; when its build changes, the whole site is cached again
+// and open pages are told. Bump the build whenever a deploy changes any of the precached files.
+const BUILD_URL = 'build.json';
+const CACHE_PREFIX = 'webhooklib-docs-build-';
+// Caches from workers that keyed the site on the docs.json version
+const LEGACY_CACHE_PREFIX = 'webhooklib-docs-v';
+const META_CACHE = 'webhooklib-docs-meta';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'docs.html',
+    '404.html',
+    'styles.css',
+    'script.js',
+    'lua.js',
+    'tools.js',
+    'docs.json'
+];
+
+let revalidation = null;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        fetchBuild()
+            .then(build => precache(build).then(() => setCurrentBuild(build.id)))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        getCurrentBuild()
+            .then(buildId => deleteStaleCaches(buildId))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(respond(request));
+
+    if (request.mode === 'navigate' || url.pathname.endsWith('/docs.json')) {
+        event.waitUntil(revalidate());
+    }
+});
+
+function cacheName(buildId) {
+    return CACHE_PREFIX + buildId;
+}
+
+async function getCurrentBuild() {
+    const meta = await caches.open(META_CACHE);
+    const response = await meta.match('build');
+    return response ? response.text() : null;
+}
+
+async function setCurrentBuild(buildId) {
+    const meta = await caches.open(META_CACHE);
+    await meta.put('build', new Response(buildId));
+}
+
+// The build id the server is on, bypassing the HTTP cache
+async function fetchBuildId() {
+    const response = await fetch(BUILD_URL, { cache: 'no-store' });
+    if (!response.ok) throw new Error(BUILD_URL + ' responded with ' + response.status);
+    const manifest = await response.json();
+    if (!manifest.build) throw new Error(BUILD_URL + ' has no build');
+    return String(manifest.build);
+}
+
+// Fetch every precached file, revalidating with the server ("no-cache" still lets unchanged
+// files come back as 304s)
+async function fetchBuild() {
+    const id = await fetchBuildId();
+    const files = await Promise.all(PRECACHE_URLS.map(async (url) => {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(url + ' responded with ' + response.status);
+        return { url, response };
+    }));
+    return { id, files };
+}
+
+async function precache(build) {
+    const cache = await caches.open(cacheName(build.id));
+    await Promise.all(build.files.map(file => cache.put(file.url, file.response)));
+}
+
+async function deleteStaleCaches(currentBuildId) {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => (name.startsWith(CACHE_PREFIX) && name !== cacheName(currentBuildId)) || name.startsWith(LEGACY_CACHE_PREFIX))
+        .map(name => caches.delete(name)));
+}
+
+async function respond(request) {
+    const buildId = await getCurrentBuild();
+    const cache = buildId ? await caches.open(cacheName(buildId)) : null;
+    const cached = cache ? await cache.match(request, { ignoreSearch: true }) : null;
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (cache && response.ok && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Offline and never cached: show the 404 page rather than the browser's error
+        const fallback = request.mode === 'navigate' && cache ? await cache.match('404.html') : null;
+        if (fallback) return fallback;
+        throw error;
+    }
+}
+
+// One check at a time; pages opened while it runs share it
+function revalidate() {
+    if (!revalidation) {
+        revalidation = checkForUpdate()
+            .catch(error => console.warn('Docs revalidation failed:', error))
+            .finally(() => {
+                revalidation = null;
+            });
+    }
+    return revalidation || Promise.resolve();
+}
+
+async function checkForUpdate() {
+    if (await fetchBuildId() === await getCurrentBuild()) return;
+
+    const build = await fetchBuild();
+    const docs = await build.files.find(file => file.url === 'docs.json').response.clone().json();
+    await precache(build);
+    await setCurrentBuild(build.id);
+    await deleteStaleCaches(build.id);
+
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'docs-updated', build: build.id, version: docs.version ? String(docs.version) : '' }));
+}
@@ -0,0 +1,2485 @@
+// The interactive tools listed under Tools in the docs sidebar, registered by DocumentationSystem.
+// Loaded by docs.html after script.js and lua.js.
+
+// SendEmbed builder: a form, a Discord-style preview and the matching Lua call
+class EmbedBuilder {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'embed-builder';
+        this.title = 'Embed Builder';
+        this.description = 'Fill in an embed, see how Discord will show it, and copy the SendEmbed call for your game.';
+        this.container = null;
+        this.embed = EmbedBuilder.defaultEmbed();
+    }
+
+    // Mirrors the SendEmbed example in Basic Messaging
+    static defaultEmbed() {
+        return {
+            title: 'Game Statistics',
+            url: '',
+            description: 'Current server stats',
+            color: '#0099ff',
+            thumbnail: '',
+            footerText: 'Game Statistics',
+            footerIcon: '',
+            timestamp: true,
+            fields: [
+                { name: 'Players Online', value: '15/20', inline: true },
+                { name: 'Server Uptime', value: '2 hours', inline: true }
+            ]
+        };
+    }
+
+    static isHttpUrl(url) {
+        return /^https?:\/\/\S+$/i.test(url);
+    }
+
+    static luaString(value) {
+        return '"' + value
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r/g, '\\r')
+            .replace(/\n/g, '\\n') + '"';
+    }
+
+    // Entries are "key = value" strings; nested tables are built with a deeper depth first
+    static luaTable(entries, depth = 0) {
+        const indent = '    '.repeat(depth + 1);
+        return '{\n' + entries.map(entry => indent + entry).join(',\n') + '\n' + '    '.repeat(depth) + '}';
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="embed-builder">' +
+            '<form class="tool-form embed-builder-form" autocomplete="off">' + this.renderForm() + '</form>' +
+            '<div class="embed-builder-output">' +
+                '<h3>Preview <span class="tool-count" data-count="total"></span></h3><div class="embed-builder-preview"></div>' +
+                '<h3>Lua</h3><div class="embed-builder-code"></div>' +
+            '</div>' +
+            '</div>';
+
+        this.bindEvents();
+        this.update();
+    }
+
+    renderForm() {
+        const embed = this.embed;
+        const escape = MarkdownParser.escapeHTML;
+        const input = (key, label, type = 'text', placeholder = '') => {
+            const count = PayloadConverter.LIMITS[key] ? ' <span class="tool-count" data-count="' + key + '"></span>' : '';
+            const control = type === 'textarea'
+                ? '<textarea class="tool-input" data-key="' + key + '" rows="4" placeholder="' + escape(placeholder) + '">' + escape(embed[key]) + '</textarea>'
+                : '<input class="tool-input" type="' + type + '" data-key="' + key + '" value="' + escape(embed[key]) + '" placeholder="' + escape(placeholder) + '">';
+            return '<label class="tool-field"><span class="tool-label">' + label + count + '</span>' + control + '</label>';
+        };
+
+        return input('title', 'Title') +
+            input('url', 'Title link', 'url', 'https://') +
+            input('description', 'Description', 'textarea', 'Supports Discord markdown') +
+            '<div class="tool-row">' +
+                '<label class="tool-field tool-field-color"><span class="tool-label">Color <code class="tool-count" data-count="color"></code></span>' +
+                    '<input class="tool-input" type="color" data-key="color" value="' + escape(embed.color) + '"></label>' +
+                '<label class="tool-checkbox"><input type="checkbox" data-key="timestamp"' + (embed.timestamp ? ' checked' : '') + '> Timestamp</label>' +
+            '</div>' +
+            input('thumbnail', 'Thumbnail URL', 'url', 'https://') +
+            input('footerText', 'Footer text') +
+            input('footerIcon', 'Footer icon URL', 'url', 'https://') +
+            '<fieldset class="tool-fieldset"><legend>Fields</legend>' +
+                '<div class="embed-field-list">' + this.renderFieldRows() + '</div>' +
+                '<button type="button" class="tool-button" data-action="add-field">Add field</button>' +
+            '</fieldset>';
+    }
+
+    renderFieldRows() {
+        const escape = MarkdownParser.escapeHTML;
+        return this.embed.fields.map((field, index) => {
+            return '<div class="embed-field-row" data-index="' + index + '">' +
+                '<input class="tool-input" type="text" data-field-key="name" value="' + escape(field.name) + '" placeholder="Name" aria-label="Field ' + (index + 1) + ' name">' +
+                '<textarea class="tool-input" data-field-key="value" rows="2" placeholder="Value" aria-label="Field ' + (index + 1) + ' value">' + escape(field.value) + '</textarea>' +
+                '<label class="tool-checkbox"><input type="checkbox" data-field-key="inline"' + (field.inline ? ' checked' : '') + '> Inline</label>' +
+                '<button type="button" class="tool-button tool-button-icon" data-action="remove-field" aria-label="Remove field ' + (index + 1) + '">×</button>' +
+                '<div class="embed-field-counts"><span class="tool-count" data-field-count="name"></span><span class="tool-count" data-field-count="value"></span></div>' +
+                '</div>';
+        }).join('');
+    }
+
+    bindEvents() {
+        const form = this.container.querySelector('.embed-builder-form');
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+
+        form.addEventListener('input', (e) => {
+            this.readInput(e.target);
+            this.update();
+        });
+
+        form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'add-field' && this.embed.fields.length < PayloadConverter.LIMITS.fields) {
+                this.embed.fields.push({ name: '', value: '', inline: false });
+            } else if (button.dataset.action === 'remove-field') {
+                this.embed.fields.splice(parseInt(button.closest('.embed-field-row').dataset.index, 10), 1);
+            }
+
+            form.querySelector('.embed-field-list').innerHTML = this.renderFieldRows();
+            this.update();
+        });
+    }
+
+    readInput(target) {
+        const value = target.type === 'checkbox' ? target.checked : target.value;
+
+        if (target.dataset.key) {
+            this.embed[target.dataset.key] = value;
+        } else if (target.dataset.fieldKey) {
+            const row = target.closest('.embed-field-row');
+            this.embed.fields[parseInt(row.dataset.index, 10)][target.dataset.fieldKey] = value;
+        }
+    }
+
+    update() {
+        if (!this.container) return;
+
+        this.container.querySelector('.embed-builder-preview').innerHTML = this.renderPreview() + this.renderWarnings();
+        this.container.querySelector('.embed-builder-code').innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'lua', text: this.toLua() });
+        this.docsSystem.initCodeCopyButtons();
+
+        const limits = PayloadConverter.LIMITS;
+        const counts = this.countCharacters();
+        const showCount = (counter, label, length, limit) => {
+            counter.textContent = label + length.toLocaleString() + '/' + limit.toLocaleString();
+            counter.classList.toggle('over', length > limit);
+        };
+
+        this.container.querySelectorAll('[data-count]').forEach(counter => {
+            const key = counter.dataset.count;
+            if (key === 'color') {
+                counter.textContent = this.embed.color.replace('#', '0x');
+                return;
+            }
+            showCount(counter, key === 'total' ? 'Total ' : '', counts[key], limits[key]);
+        });
+
+        this.container.querySelectorAll('.embed-field-row').forEach(row => {
+            const field = this.embed.fields[parseInt(row.dataset.index, 10)];
+            row.querySelectorAll('[data-field-count]').forEach(counter => {
+                const key = counter.dataset.fieldCount;
+                showCount(counter, key === 'name' ? 'Name ' : 'Value ', PayloadConverter.textLength(field[key]),
+                    key === 'name' ? limits.fieldName : limits.fieldValue);
+            });
+        });
+
+        const addButton = this.container.querySelector('[data-action="add-field"]');
+        addButton.disabled = this.embed.fields.length >= limits.fields;
+    }
+
+    // Lengths Discord limits, counted as the Payload Converter counts them. The total covers the title,
+    // description, footer and the fields that are sent.
+    countCharacters() {
+        const length = PayloadConverter.textLength;
+        const counts = {
+            title: length(this.embed.title),
+            description: length(this.embed.description),
+            footerText: length(this.embed.footerText)
+        };
+        counts.total = this.getFields().reduce((total, field) => total + length(field.name) + length(field.value),
+            counts.title + counts.description + counts.footerText);
+        return counts;
+    }
+
+    // Fields missing a name or value are left out, matching what Discord would accept
+    getFields() {
+        return this.embed.fields.filter(field => field.name.trim() && field.value.trim());
+    }
+
+    toLua() {
+        const embed = this.embed;
+        const string = EmbedBuilder.luaString;
+        const table = EmbedBuilder.luaTable;
+        const entries = [];
+
+        if (embed.title) entries.push('title = ' + string(embed.title));
+        if (embed.url) entries.push('url = ' + string(embed.url));
+        if (embed.description) entries.push('description = ' + string(embed.description));
+        entries.push('color = ' + embed.color.replace('#', '0x'));
+
+        const fields = this.getFields();
+        if (fields.length) {
+            entries.push('fields = ' + table(fields.map(field => table([
+                'name = ' + string(field.name),
+                'value = ' + string(field.value),
+                ...(field.inline ? ['inline = true'] : [])
+            ], 2)), 1));
+        }
+
+        if (embed.thumbnail) entries.push('thumbnail = ' + table(['url = ' + string(embed.thumbnail)], 1));
+
+        if (embed.footerText || embed.footerIcon) {
+            const footer = [];
+            if (embed.footerText) footer.push('text = ' + string(embed.footerText));
+            if (embed.footerIcon) footer.push('icon_url = ' + string(embed.footerIcon));
+            entries.push('footer = ' + table(footer, 1));
+        }
+
+        if (embed.timestamp) entries.push('timestamp = os.date("!%Y-%m-%dT%H:%M:%SZ")');
+
+        return 'webhook:SendEmbed(' + table(entries) + ')';
+    }
+
+    renderPreview() {
+        const embed = this.embed;
+        const escape = MarkdownParser.escapeHTML;
+        const parser = this.docsSystem.markdownParser;
+        const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        let body = '';
+
+        if (embed.title) {
+            const title = escape(embed.title);
+            body += '<div class="discord-embed-title">' + (EmbedBuilder.isHttpUrl(embed.url)
+                ? '<a href="' + escape(embed.url) + '" target="_blank" rel="noopener noreferrer">' + title + '</a>'
+                : title) + '</div>';
+        }
+
+        if (embed.description) {
+            body += '<div class="discord-embed-description">' + parser.renderInline(embed.description) + '</div>';
+        }
+
+        const fields = this.layoutFields(this.getFields());
+        if (fields.length) {
+            body += '<div class="discord-embed-fields">' + fields.map(({ field, column }) => {
+                return '<div class="discord-embed-field" style="grid-column: ' + column + '">' +
+                    '<div class="discord-embed-field-name">' + parser.renderInline(field.name) + '</div>' +
+                    '<div class="discord-embed-field-value">' + parser.renderInline(field.value) + '</div>' +
+                    '</div>';
+            }).join('') + '</div>';
+        }
+
+        const footerParts = [];
+        if (embed.footerText) footerParts.push(escape(embed.footerText));
+        if (embed.timestamp) footerParts.push('Today at ' + escape(time));
+        if (footerParts.length) {
+            body += '<div class="discord-embed-footer">' +
+                (embed.footerText && EmbedBuilder.isHttpUrl(embed.footerIcon) ? '<img class="discord-embed-footer-icon" src="' + escape(embed.footerIcon) + '" alt="">' : '') +
+                '<span>' + footerParts.join(' • ') + '</span></div>';
+        }
+
+        const thumbnail = EmbedBuilder.isHttpUrl(embed.thumbnail)
+            ? '<img class="discord-embed-thumbnail" src="' + escape(embed.thumbnail) + '" alt="">'
+            : '';
+
+        return '<div class="discord-preview">' +
+            '<div class="discord-avatar" aria-hidden="true">W</div>' +
+            '<div class="discord-message">' +
+                '<div class="discord-message-header"><span class="discord-username">WebhookLib</span><span class="discord-app-tag">APP</span><span class="discord-time">Today at ' + escape(time) + '</span></div>' +
+                '<div class="discord-embed" style="--embed-color: ' + escape(embed.color) + '">' +
+                    '<div class="discord-embed-body">' + body + '</div>' + thumbnail +
+                '</div>' +
+            '</div>' +
+            '</div>';
+    }
+
+    // Discord lays inline fields out up to three per row on a 12-column grid
+    layoutFields(fields) {
+        const placed = [];
+        let row = [];
+        const flush = () => {
+            const span = 12 / (row.length || 1);
+            row.forEach((field, index) => {
+                placed.push({ field, column: (index * span + 1) + ' / ' + ((index + 1) * span + 1) });
+            });
+            row = [];
+        };
+
+        fields.forEach(field => {
+            if (!field.inline) {
+                flush();
+                placed.push({ field, column: '1 / 13' });
+                return;
+            }
+
+            row.push(field);
+            if (row.length === 3) flush();
+        });
+        flush();
+
+        return placed;
+    }
+
+    renderWarnings() {
+        const embed = this.embed;
+        const warnings = [];
+
+        embed.fields.forEach((field, index) => {
+            if (!field.name.trim() || !field.value.trim()) {
+                warnings.push('Field ' + (index + 1) + ' needs both a name and a value, so it is left out.');
+            }
+        });
+
+        [['url', 'Title link'], ['thumbnail', 'Thumbnail URL'], ['footerIcon', 'Footer icon URL']].forEach(([key, label]) => {
+            if (embed[key] && !EmbedBuilder.isHttpUrl(embed[key])) {
+                warnings.push(label + ' must start with http:// or https://.');
+            }
+        });
+
+        const total = this.countCharacters().total;
+        if (total > PayloadConverter.LIMITS.total) {
+            warnings.push(total.toLocaleString() + ' characters in total; Discord allows ' + PayloadConverter.LIMITS.total.toLocaleString() +
+                ' across the title, description, fields and footer.');
+        }
+
+        if (embed.footerIcon && !embed.footerText) {
+            warnings.push('Discord only shows a footer icon when there is footer text.');
+        }
+
+        if (!embed.title && !embed.description && !this.getFields().length && !embed.thumbnail && !embed.footerText) {
+            warnings.push('Discord rejects an embed with no title, description, fields, thumbnail or footer.');
+        }
+
+        if (warnings.length === 0) return '';
+        return '<ul class="tool-warnings">' + warnings.map(warning => '<li>' + MarkdownParser.escapeHTML(warning) + '</li>').join('') + '</ul>';
+    }
+}
+
+// Turns pasted Lua into the webhook JSON WebhookLib sends and checks it against Discord's limits
+class PayloadConverter {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'payload-converter';
+        this.title = 'Payload Converter';
+        this.description = 'Paste an embed table or webhook calls from your game to see the JSON Discord receives and whether it fits the limits. ' +
+            'The code runs in the same simulated server as the docs\' Run buttons.';
+        this.container = null;
+        this.source = PayloadConverter.EXAMPLE;
+    }
+
+    static get EXAMPLE() {
+        return [
+            'local embeds = {',
+            '    {',
+            '        title = "Embed 1",',
+            '        description = "First embed",',
+            '        color = 0xff0000',
+            '    },',
+            '    {',
+            '        title = "Embed 2",',
+            '        description = string.rep("Long text ", 500),',
+            '        color = 0x00ff00',
+            '    }',
+            '}',
+            '',
+            'webhook:SendMultipleEmbeds(embeds)'
+        ].join('\n');
+    }
+
+    // Discord's documented limits; see Content Limits in Basic Messaging
+    static get LIMITS() {
+        return {
+            content: 2000,
+            username: 80,
+            embeds: 10,
+            title: 256,
+            description: 4096,
+            fields: 25,
+            fieldName: 256,
+            fieldValue: 1024,
+            footerText: 2048,
+            authorName: 256,
+            total: 6000
+        };
+    }
+
+    static get EMBED_KEYS() {
+        return new Set(['title', 'type', 'description', 'url', 'timestamp', 'color', 'footer', 'image', 'thumbnail', 'video', 'provider', 'author', 'fields']);
+    }
+
+    // Which argument of each WebhookLib method ends up where in the payload
+    static get METHODS() {
+        return {
+            SendMessage: { content: 0, overrides: 1, thread: 2 },
+            SendMessageInThread: { content: 0, thread: 1, overrides: 2 },
+            SendEmbed: { embed: 0, thread: 1 },
+            SendEmbedInThread: { embed: 0, thread: 1 },
+            SendMultipleEmbeds: { embeds: 0, thread: 1 },
+            // EditMessage takes either one embed table or a list of them
+            EditMessage: { message: 0, content: 1, embedOrList: 2 }
+        };
+    }
+
+    static get ISSUE_LABELS() {
+        return {
+            error: 'Invalid',
+            truncated: 'Truncated',
+            warning: 'Warning'
+        };
+    }
+
+    static textLength(value) {
+        return Array.from(String(value)).length;
+    }
+
+    static isText(value) {
+        return typeof value === 'string';
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static clone(value) {
+        if (Array.isArray(value)) return value.map(item => PayloadConverter.clone(item));
+        if (!PayloadConverter.isObject(value)) return value;
+
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = PayloadConverter.clone(value[key]);
+        });
+        return copy;
+    }
+
+    // Lua tables become arrays when they only have an array part, objects otherwise.
+    // Functions cannot be encoded: they become null in arrays and are left out of objects.
+    static toJSON(value) {
+        if (value instanceof LuaFunction) return null;
+        if (!(value instanceof LuaTable)) return value;
+
+        if (value.hash.size === 0) {
+            return value.array.map(item => PayloadConverter.toJSON(item));
+        }
+
+        const object = {};
+        value.array.forEach((item, index) => {
+            object[index + 1] = PayloadConverter.toJSON(item);
+        });
+        value.hash.forEach((item, key) => {
+            if (item instanceof LuaFunction) return;
+            object[LuaInterpreter.plainString(key)] = PayloadConverter.toJSON(item);
+        });
+        return object;
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="payload-converter">' +
+            '<form class="tool-form" autocomplete="off">' +
+                '<label class="tool-field"><span class="tool-label">Lua</span>' +
+                    '<textarea class="tool-input tool-code-input" rows="14" spellcheck="false" data-key="source">' + MarkdownParser.escapeHTML(this.source) + '</textarea></label>' +
+                '<button type="button" class="tool-button" data-action="reset">Load example</button>' +
+            '</form>' +
+            '<div class="payload-output" aria-live="polite"></div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        const textarea = container.querySelector('[data-key="source"]');
+        const debouncedUpdate = MobileUtils.debounce(() => this.update(), 300);
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+        textarea.addEventListener('input', () => {
+            this.source = textarea.value;
+            debouncedUpdate();
+        });
+        form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.source = PayloadConverter.EXAMPLE;
+            textarea.value = this.source;
+            this.update();
+        });
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const output = this.container.querySelector('.payload-output');
+
+        let converted;
+        try {
+            converted = this.convert(this.source);
+        } catch (error) {
+            output.innerHTML = '<ul class="tool-warnings"><li>' + MarkdownParser.escapeHTML(error.message) + '</li></ul>';
+            return;
+        }
+
+        const results = converted.results;
+        const errors = converted.errors.map(text => '<li>' + MarkdownParser.escapeHTML(text) + '</li>').join('');
+        output.innerHTML = (errors ? '<ul class="tool-warnings">' + errors + '</ul>' : '') +
+            results.map((result, index) => this.renderResult(result, index)).join('') +
+            (results.length || errors ? '' : '<ul class="tool-warnings"><li>Paste an embed table or a call such as webhook:SendEmbed({...}).</li></ul>');
+        output.querySelectorAll('.payload-json').forEach(block => {
+            const result = results[parseInt(block.dataset.result, 10)];
+            block.innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'json', text: '' });
+            block.querySelector('code').innerHTML = this.renderJSON(result.payload, result.marks);
+        });
+        this.docsSystem.initCodeCopyButtons();
+    }
+
+    // Runs the code in the simulated server and returns the result of each request it makes, with any errors.
+    // Code that makes no requests is checked as the table it evaluates to, or else the last table in a top-level local.
+    convert(source) {
+        const run = new SnippetSandbox(this).run(PayloadConverter.returningTables(source));
+        const errors = run.entries.filter(entry => entry.kind === 'error').map(entry => entry.text);
+        // A retried request is logged once per attempt
+        const requests = new Set(run.entries.filter(entry => entry.kind === 'request').map(entry => entry.request));
+        const results = Array.from(requests).map(request => request.result);
+
+        if (results.length === 0) {
+            const table = run.returned.find(value => value instanceof LuaTable);
+            if (table) {
+                const value = PayloadConverter.toJSON(table);
+                if (Array.isArray(value)) {
+                    results.push(this.check('SendMultipleEmbeds', null, this.buildPayload(PayloadConverter.METHODS.SendMultipleEmbeds, [table])));
+                } else if ('content' in value || 'embeds' in value) {
+                    results.push(this.check('Payload table', null, { payload: value }));
+                } else if (Object.keys(value).some(key => PayloadConverter.EMBED_KEYS.has(key))) {
+                    results.push(this.check('SendEmbed', null, this.buildPayload(PayloadConverter.METHODS.SendEmbed, [table])));
+                }
+            }
+        }
+
+        return { results, errors };
+    }
+
+    // The code with its tables handed back: a bare table is returned as it is, and code that does not return
+    // already ends by returning its top-level locals, newest first. Throws a SyntaxError for code that does not parse.
+    static returningTables(source) {
+        let body;
+        try {
+            body = new LuaChunkParser(source).parse();
+        } catch (error) {
+            try {
+                new LuaChunkParser('return ' + source).parse();
+            } catch (retryError) {
+                // Code that starts with "{" can only be a bare table, so the retry's error is the one that explains it
+                throw PayloadConverter.startsWithTable(source) ? retryError : error;
+            }
+            return 'return ' + source;
+        }
+
+        const last = body[body.length - 1];
+        if (last && last.type === 'Return') return source;
+
+        const names = [];
+        body.filter(statement => statement.type === 'Local').forEach(statement => {
+            statement.names.forEach(name => {
+                if (names.includes(name)) names.splice(names.indexOf(name), 1);
+                names.unshift(name);
+            });
+        });
+        return names.length ? source + '\nreturn ' + names.join(', ') : source;
+    }
+
+    static startsWithTable(source) {
+        try {
+            return new LuaChunkParser(source).check('{');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    buildPayload(spec, args) {
+        const arg = name => spec[name] !== undefined && args[spec[name]] !== undefined ? PayloadConverter.toJSON(args[spec[name]]) : null;
+        const payload = {};
+
+        if (arg('content') !== null) payload.content = arg('content');
+
+        const overrides = arg('overrides');
+        if (PayloadConverter.isObject(overrides)) {
+            ['username', 'avatar_url'].forEach(key => {
+                if (overrides[key] !== undefined) payload[key] = overrides[key];
+            });
+        }
+
+        if (arg('embed') !== null) payload.embeds = [arg('embed')];
+        if (arg('embeds') !== null) payload.embeds = arg('embeds');
+
+        const embedOrList = arg('embedOrList');
+        if (embedOrList !== null) payload.embeds = PayloadConverter.isObject(embedOrList) ? [embedOrList] : embedOrList;
+
+        return { payload, threadId: arg('thread'), messageId: arg('message') };
+    }
+
+    check(method, line, request) {
+        const { payload, issues } = this.validate(request.payload);
+        const marks = new Map();
+        issues.forEach(issue => {
+            if (issue.path && !marks.has(issue.path)) marks.set(issue.path, issue);
+        });
+
+        return { method, line, payload, issues, marks, threadId: request.threadId, messageId: request.messageId };
+    }
+
+    // Returns the payload as WebhookLib would send it, plus every limit it runs into
+    validate(original) {
+        const limits = PayloadConverter.LIMITS;
+        const length = PayloadConverter.textLength;
+        const payload = PayloadConverter.clone(original);
+        const issues = [];
+        const add = (level, path, message) => issues.push({ level, path, message });
+
+        // WebhookLib cuts these down to the limit and ends them with "..."
+        const truncate = (target, key, limit, path) => {
+            const value = target[key];
+            if (value === undefined || value === null) return 0;
+
+            if (!PayloadConverter.isText(value)) {
+                if (typeof value !== 'number') add('error', path, 'Must be text, not ' + (Array.isArray(value) ? 'a list' : typeof value) + '.');
+                return length(value);
+            }
+
+            const size = length(value);
+            if (size <= limit) return size;
+
+            target[key] = Array.from(value).slice(0, limit - 3).join('') + '...';
+            add('truncated', path, size.toLocaleString() + ' characters; WebhookLib truncates to ' + limit.toLocaleString() + ' ending in "...".');
+            return limit;
+        };
+
+        const contentLength = truncate(payload, 'content', limits.content, 'content');
+
+        if (payload.username !== undefined) {
+            if (length(payload.username) > limits.username) {
+                add('error', 'username', 'Webhook usernames can be at most ' + limits.username + ' characters.');
+            } else if (/clyde|discord/i.test(String(payload.username))) {
+                add('error', 'username', 'Discord rejects webhook usernames containing "clyde" or "discord".');
+            }
+        }
+
+        let total = 0;
+        const embeds = payload.embeds;
+        if (embeds !== undefined && !Array.isArray(embeds)) {
+            add('error', 'embeds', 'Must be a list of embed tables, e.g. { { title = "..." } }.');
+        } else if (embeds) {
+            if (embeds.length > limits.embeds) {
+                add('error', 'embeds', embeds.length + ' embeds; Discord allows ' + limits.embeds + ' per message.');
+            }
+            embeds.forEach((embed, index) => {
+                total += this.validateEmbed(embed, 'embeds[' + index + ']', truncate, add);
+            });
+            if (total > limits.total) {
+                add('error', 'embeds', total.toLocaleString() + ' characters across all embeds; Discord allows ' + limits.total.toLocaleString() + ' in total.');
+            }
+        }
+
+        if (!contentLength && !(Array.isArray(embeds) && embeds.length > 0)) {
+            add('error', null, 'Discord rejects a message with no content and no embeds.');
+        }
+
+        return { payload, issues, total };
+    }
+
+    validateEmbed(embed, path, truncate, add) {
+        const limits = PayloadConverter.LIMITS;
+        if (!PayloadConverter.isObject(embed)) {
+            add('error', path, 'Each embed must be a table with keys such as title and description.');
+            return 0;
+        }
+
+        Object.keys(embed).forEach(key => {
+            if (!PayloadConverter.EMBED_KEYS.has(key)) add('warning', path + '.' + key, 'Not an embed field; Discord ignores it.');
+        });
+
+        let total = truncate(embed, 'title', limits.title, path + '.title') +
+            truncate(embed, 'description', limits.description, path + '.description');
+
+        if (embed.color !== undefined && !(Number.isInteger(embed.color) && embed.color >= 0 && embed.color <= 0xFFFFFF)) {
+            add('error', path + '.color', 'Must be a whole number from 0x000000 to 0xFFFFFF.');
+        }
+
+        if (typeof embed.timestamp === 'string' && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(embed.timestamp)) {
+            add('error', path + '.timestamp', 'Must be an ISO 8601 time, e.g. os.date("!%Y-%m-%dT%H:%M:%SZ").');
+        }
+
+        ['thumbnail', 'image', 'footer', 'author'].forEach(key => {
+            if (embed[key] !== undefined && !PayloadConverter.isObject(embed[key])) {
+                add('error', path + '.' + key, 'Must be a table, e.g. ' + key + ' = { ' + (key === 'footer' ? 'text' : key === 'author' ? 'name' : 'url') + ' = "..." }.');
+            }
+        });
+
+        if (PayloadConverter.isObject(embed.footer)) total += truncate(embed.footer, 'text', limits.footerText, path + '.footer.text');
+        if (PayloadConverter.isObject(embed.author)) total += truncate(embed.author, 'name', limits.authorName, path + '.author.name');
+
+        if (embed.fields !== undefined) {
+            if (!Array.isArray(embed.fields)) {
+                add('error', path + '.fields', 'Must be a list of { name = ..., value = ... } tables.');
+            } else {
+                if (embed.fields.length > limits.fields) {
+                    add('error', path + '.fields', embed.fields.length + ' fields; Discord allows ' + limits.fields + ' per embed.');
+                }
+
+                embed.fields.forEach((field, index) => {
+                    const fieldPath = path + '.fields[' + index + ']';
+                    if (!PayloadConverter.isObject(field) || !field.name || !field.value) {
+                        add('error', fieldPath, 'Every field needs both a name and a value.');
+                        return;
+                    }
+
+                    const nameLength = PayloadConverter.textLength(field.name);
+                    if (nameLength > limits.fieldName) {
+                        add('error', fieldPath + '.name', nameLength.toLocaleString() + ' characters; Discord allows ' + limits.fieldName + '; keep it within that yourself.');
+                    }
+                    total += nameLength + truncate(field, 'value', limits.fieldValue, fieldPath + '.value');
+                });
+            }
+        }
+
+        return total;
+    }
+
+    renderResult(result, index) {
+        const escape = MarkdownParser.escapeHTML;
+        const location = result.line ? '<span class="payload-line">line ' + result.line + '</span>' : '';
+
+        const levels = new Set(result.issues.map(issue => issue.level));
+        const status = levels.has('error')
+            ? ['error', 'Discord will reject this']
+            : levels.has('truncated') ? ['truncated', 'WebhookLib will truncate'] : ['ok', 'Fits Discord\'s limits'];
+
+        // Results from a simulated run carry the full request; a table checked on its own only shows its shape
+        const thread = result.threadId !== null && result.threadId !== undefined ? '?thread_id=' + escape(String(result.threadId)) : '';
+        let request = result.messageId !== null && result.messageId !== undefined
+            ? 'PATCH /api/webhooks/{id}/{token}/messages/' + escape(String(result.messageId))
+            : 'POST /api/webhooks/{id}/{token}' + thread;
+        if (result.http) request = escape(result.http.method + ' ' + result.http.url);
+
+        const issues = result.issues.length
+            ? '<ul class="payload-issues">' + result.issues.map(issue => {
+                return '<li class="payload-issue payload-issue-' + issue.level + '"><span class="payload-issue-level">' + PayloadConverter.ISSUE_LABELS[issue.level] + '</span>' +
+                    (issue.path ? '<code>' + escape(issue.path) + '</code> ' : '') + escape(issue.message) + '</li>';
+            }).join('') + '</ul>'
+            : '';
+
+        return '<div class="payload-result">' +
+            '<div class="payload-result-header"><strong>' + escape(result.method) + '</strong>' + location +
+                '<span class="payload-status payload-status-' + status[0] + '">' + status[1] + '</span></div>' +
+            '<p class="payload-request"><code>' + request + '</code></p>' +
+            issues +
+            (result.http && result.http.body === null ? '' : '<div class="payload-json" data-result="' + index + '"></div>') +
+            '</div>';
+    }
+
+    // Same layout as JSON.stringify(value, null, 2), highlighted, with flagged values wrapped in <mark>
+    renderJSON(value, marks, path = '', depth = 0) {
+        const escape = MarkdownParser.escapeHTML;
+        const indent = '  '.repeat(depth + 1);
+        const closing = '  '.repeat(depth);
+        let html;
+
+        if (typeof value === 'string') {
+            html = '<span class="string">' + escape(JSON.stringify(value)) + '</span>';
+        } else if (typeof value === 'number') {
+            html = '<span class="number">' + escape(JSON.stringify(value)) + '</span>';
+        } else if (value === null || typeof value === 'boolean') {
+            html = '<span class="keyword">' + String(value) + '</span>';
+        } else if (Array.isArray(value)) {
+            html = value.length === 0 ? '[]' : '[\n' + value.map((item, index) => {
+                return indent + this.renderJSON(item, marks, path + '[' + index + ']', depth + 1);
+            }).join(',\n') + '\n' + closing + ']';
+        } else {
+            const keys = Object.keys(value);
+            html = keys.length === 0 ? '{}' : '{\n' + keys.map(key => {
+                return indent + '<span class="property">' + escape(JSON.stringify(key)) + '</span>: ' +
+                    this.renderJSON(value[key], marks, path ? path + '.' + key : key, depth + 1);
+            }).join(',\n') + '\n' + closing + '}';
+        }
+
+        const mark = marks.get(path);
+        return mark
+            ? '<mark class="payload-mark payload-mark-' + mark.level + '" title="' + escape(mark.message) + '">' + html + '</mark>'
+            : html;
+    }
+}
+
+// Runs webhook calls in a SnippetSandbox and shows each HTTP request WebhookLib would make: method,
+// URL and JSON body. The requests can be replayed against a local server standing in for Discord.
+class PayloadInspector {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'payload-inspector';
+        this.title = 'Payload Inspector';
+        this.description = 'Run webhook calls without touching Discord and see the exact method, URL and JSON body of every request WebhookLib makes.';
+        this.container = null;
+        this.converter = new PayloadConverter(docsSystem);
+        this.source = PayloadInspector.EXAMPLE;
+        this.endpoint = '';
+        this.requests = [];
+        // What the stand-in server answered, by request index, until the snippet changes
+        this.localResponses = [];
+    }
+
+    static get EXAMPLE() {
+        return [
+            'local webhook = WebhookLib.new("https://discord.com/api/webhooks/123456789012345678/your-token", {',
+            '    username = "Game Bot",',
+            '    track_message_ids = true',
+            '})',
+            '',
+            'webhook:SendMessage("Server started", { username = "Status Bot" })',
+            'webhook:SendMessageInThread("Round 1 begins", "987654321098765432")',
+            'webhook:SendEmbed({ title = "Round over", description = "Red team wins", color = 0xff0000 })',
+            '',
+            'local messageId = webhook:GetLatestMessageId()',
+            'webhook:EditMessage(messageId, "Round over (edited)")',
+            'webhook:DeleteMessage(messageId)'
+        ].join('\n');
+    }
+
+    // Only loopback addresses, so a request meant for the stand-in can never reach a real webhook
+    static isLocalHost(hostname) {
+        return hostname === 'localhost' || hostname.endsWith('.localhost') || /^127(?:\.\d{1,3}){3}$/.test(hostname) || hostname === '[::1]';
+    }
+
+    // The request's path and query on the stand-in server, e.g. http://localhost:3000/api/webhooks/1/token?wait=true
+    static localTarget(endpoint, url) {
+        let server;
+        try {
+            server = new URL(endpoint);
+        } catch (error) {
+            throw new Error('Enter the stand-in server as a full URL, e.g. http://localhost:3000');
+        }
+        if (!/^https?:$/.test(server.protocol) || !PayloadInspector.isLocalHost(server.hostname)) {
+            throw new Error('The stand-in server must be on localhost or 127.0.0.1.');
+        }
+
+        let path = '/';
+        let query = '';
+        try {
+            const parsed = new URL(url);
+            path = parsed.pathname;
+            query = parsed.search;
+        } catch (error) {
+            // Placeholders such as "YOUR_WEBHOOK_URL" have no path to keep
+        }
+        return server.origin + server.pathname.replace(/\/+$/, '') + path + query;
+    }
+
+    render(container) {
+        const escape = MarkdownParser.escapeHTML;
+        this.container = container;
+        container.innerHTML = '<div class="payload-inspector">' +
+            '<form class="tool-form" autocomplete="off">' +
+                '<label class="tool-field"><span class="tool-label">Lua</span>' +
+                    '<textarea class="tool-input tool-code-input" rows="14" spellcheck="false" data-key="source">' + escape(this.source) + '</textarea></label>' +
+                '<button type="button" class="tool-button" data-action="reset">Load example</button>' +
+                '<fieldset class="tool-fieldset"><legend>Local stand-in server</legend>' +
+                    '<label class="tool-field"><span class="tool-label">Server URL</span>' +
+                        '<input class="tool-input" type="url" data-key="endpoint" value="' + escape(this.endpoint) + '" placeholder="http://localhost:3000"></label>' +
+                    '<span class="tool-help">Each request is sent here with the same method, path, query and body instead of to Discord. ' +
+                        'The server must allow cross-origin requests from this page.</span>' +
+                    '<button type="button" class="tool-button" data-action="send">Send requests</button>' +
+                    '<span class="tool-error" role="alert"></span>' +
+                '</fieldset>' +
+            '</form>' +
+            '<div class="payload-output" aria-live="polite"></div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        const textarea = container.querySelector('[data-key="source"]');
+        const debouncedUpdate = MobileUtils.debounce(() => this.update(), 300);
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+        textarea.addEventListener('input', () => {
+            this.source = textarea.value;
+            this.localResponses = [];
+            debouncedUpdate();
+        });
+        form.querySelector('[data-key="endpoint"]').addEventListener('input', (e) => {
+            this.endpoint = e.target.value.trim();
+        });
+        form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.source = PayloadInspector.EXAMPLE;
+            this.localResponses = [];
+            textarea.value = this.source;
+            this.update();
+        });
+        form.querySelector('[data-action="send"]').addEventListener('click', () => this.sendToLocal());
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const escape = MarkdownParser.escapeHTML;
+        const output = this.container.querySelector('.payload-output');
+        const result = new SnippetSandbox(this.converter).run(this.source);
+
+        // One card per request; retried attempts only update its simulated response
+        const responses = new Map();
+        result.entries.filter(entry => entry.kind === 'request').forEach(entry => responses.set(entry.request, entry));
+        this.requests = Array.from(responses.keys());
+
+        const errors = result.entries.filter(entry => entry.kind === 'error')
+            .map(entry => '<li>' + escape(entry.text) + '</li>').join('');
+        const cards = this.requests.map((request, index) => {
+            const response = responses.get(request);
+            const attempts = request.attempts > 1 ? ' after ' + request.attempts + ' attempts' : '';
+            const messageId = response.messageId ? '; message id ' + response.messageId : '';
+            const local = this.localResponses[index];
+            return '<div class="inspector-request">' +
+                this.converter.renderResult(request.result, index) +
+                '<p class="inspector-response">Simulated Discord response: <strong>' + response.status + ' ' + SnippetSandbox.STATUS_TEXT[response.status] + '</strong>' +
+                    escape(attempts + messageId) + '</p>' +
+                '<p class="inspector-response inspector-local" data-request="' + index + '"' + (local ? '>' + escape(local) : ' hidden>') + '</p>' +
+                '</div>';
+        }).join('');
+
+        output.innerHTML = (errors ? '<ul class="tool-warnings">' + errors + '</ul>' : '') +
+            (cards || '<ul class="tool-warnings"><li>No requests were made. Create a webhook with WebhookLib.new and call a method such as SendMessage.</li></ul>');
+        output.querySelectorAll('.payload-json').forEach(block => {
+            const request = this.requests[parseInt(block.dataset.result, 10)];
+            block.innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'json', text: '' });
+            block.querySelector('code').innerHTML = this.converter.renderJSON(request.result.payload, request.result.marks);
+        });
+        this.docsSystem.initCodeCopyButtons();
+    }
+
+    // Replays the requests in order against the stand-in server and shows what it answered
+    async sendToLocal() {
+        const error = this.container.querySelector('.tool-fieldset .tool-error');
+        const button = this.container.querySelector('[data-action="send"]');
+        const textarea = this.container.querySelector('[data-key="source"]');
+        const reset = this.container.querySelector('[data-action="reset"]');
+        // Catch up with an edit whose update is still pending, so the replay sends what the editor shows
+        this.update();
+        const requests = this.requests;
+        error.textContent = '';
+
+        let targets;
+        try {
+            targets = requests.map(request => PayloadInspector.localTarget(this.endpoint, request.result.http.url));
+        } catch (e) {
+            error.textContent = e.message;
+            return;
+        }
+        if (!requests.length) {
+            error.textContent = 'There are no requests to send.';
+            return;
+        }
+
+        // Answers are kept so a re-render shows them again, and each row is looked up when it changes because
+        // re-rendering replaces the rows. The snippet is read-only until the replay ends.
+        this.localResponses = [];
+        const show = (index, text) => {
+            this.localResponses[index] = text;
+            const line = this.container.querySelector('.inspector-local[data-request="' + index + '"]');
+            if (!line) return;
+            line.hidden = false;
+            line.textContent = text;
+        };
+
+        button.disabled = true;
+        reset.disabled = true;
+        textarea.readOnly = true;
+        try {
+            for (let index = 0; index < requests.length; index++) {
+                const http = requests[index].result.http;
+                show(index, 'Sending ' + http.method + ' ' + targets[index] + '…');
+
+                try {
+                    const response = await fetch(targets[index], {
+                        method: http.method,
+                        headers: http.body === null ? {} : { 'Content-Type': 'application/json' },
+                        body: http.body === null ? undefined : http.body
+                    });
+                    const text = await response.text();
+                    show(index, 'Local server response: ' + response.status + ' ' + response.statusText +
+                        (text ? ' · ' + (text.length > 300 ? text.slice(0, 300) + '…' : text) : ''));
+                } catch (e) {
+                    show(index, 'Could not reach ' + targets[index] + ': ' + e.message + '. Is the server running and allowing cross-origin requests?');
+                }
+            }
+        } finally {
+            button.disabled = false;
+            reset.disabled = false;
+            textarea.readOnly = false;
+        }
+    }
+}
+
+// Models WebhookLib's queue as documented under Queue System and Error Handling: a burst of messages,
+// the queue checked every 100ms, sends spaced by queue_rate_limit, 429s and failed requests retried at
+// the front of the queue, and failures dropped once max_retries is used up.
+class QueueSimulator {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'queue-simulator';
+        this.title = 'Queue Simulator';
+        this.description = 'Send a burst of messages through a simulated queue to see how queue_rate_limit, max_retries and retry_backoff_base play out against failures and Discord rate limits.';
+        this.container = null;
+        this.values = QueueSimulator.defaultValues();
+        this.seed = 1;
+        this.result = null;
+        this.playhead = 0;
+        this.speed = 4;
+        this.animation = null;
+    }
+
+    static get PARAMETERS() {
+        return [
+            { key: 'messages', label: 'Messages', help: 'How many messages the game sends.', min: 1, max: 200, integer: true },
+            { key: 'spread', label: 'Sent over (s)', help: '0 sends them all at once.', min: 0, max: 600 },
+            { key: 'queue_rate_limit', label: 'queue_rate_limit', help: 'Requests per second. Blank queues without a limit.', min: 0.1, max: 50, optional: true },
+            { key: 'max_retries', label: 'max_retries', help: 'Retries for failed requests.', min: 0, max: 10, integer: true },
+            { key: 'retry_backoff_base', label: 'retry_backoff_base', help: 'First retry delay in seconds; doubles each retry.', min: 0.1, max: 60 },
+            { key: 'failure_rate', label: 'Failures (%)', help: 'Requests failing with a server error (5xx).', min: 0, max: 100 },
+            { key: 'rate_limit_rate', label: 'Extra 429s (%)', help: 'Requests rate limited beyond Discord\'s own limit.', min: 0, max: 100 },
+            { key: 'retry_after', label: 'Retry-After (s)', help: 'Delay the extra 429s ask for.', min: 0.1, max: 300 }
+        ];
+    }
+
+    static defaultValues() {
+        return {
+            messages: '20',
+            spread: '0',
+            queue_rate_limit: '2',
+            max_retries: '3',
+            retry_backoff_base: '1',
+            failure_rate: '10',
+            rate_limit_rate: '0',
+            retry_after: '2'
+        };
+    }
+
+    // The queue is checked every 100ms; each request takes a moment to come back
+    static get TIMING() {
+        return { checkInterval: 0.1, latency: 0.15, maxBackoff: 60, maxRetryAfter: 300 };
+    }
+
+    static get MAX_REQUESTS() { return 2000; }
+
+    static get SPEEDS() {
+        return [1, 4, 10, 30];
+    }
+
+    static get OUTCOME_LABELS() {
+        return { sent: 'Sent', 'rate-limited': '429', failed: 'Failed', dropped: 'Dropped' };
+    }
+
+    // Returns { values } with numbers, or { errors } keyed by parameter
+    static parse(values) {
+        const parsed = {};
+        const errors = {};
+        QueueSimulator.PARAMETERS.forEach(parameter => {
+            const text = String(values[parameter.key]).trim();
+            if (!text && parameter.optional) {
+                parsed[parameter.key] = null;
+                return;
+            }
+            const number = Number(text);
+            if (!text || !isFinite(number)) {
+                errors[parameter.key] = 'Must be a number.';
+            } else if (parameter.integer && !Number.isInteger(number)) {
+                errors[parameter.key] = 'Must be a whole number.';
+            } else if (number < parameter.min || number > parameter.max) {
+                errors[parameter.key] = 'Must be between ' + parameter.min + ' and ' + parameter.max + '.';
+            } else {
+                parsed[parameter.key] = number;
+            }
+        });
+        return Object.keys(errors).length ? { errors } : { values: parsed };
+    }
+
+    // mulberry32, so the same seed gives the same failures
+    static createRandom(seed) {
+        let state = seed | 0;
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let value = Math.imul(state ^ (state >>> 15), state | 1);
+            value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+            return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Runs the queue until every message is delivered or dropped. Times are in seconds from the first message.
+    static simulate(params, seed = 1) {
+        const timing = QueueSimulator.TIMING;
+        const discord = SnippetSandbox.DISCORD_RATE_LIMIT;
+        const random = QueueSimulator.createRandom(seed);
+        const round = time => Math.round(time * 1000) / 1000;
+        const nextCheck = time => round(Math.ceil(round(time / timing.checkInterval)) * timing.checkInterval);
+        const interval = params.queue_rate_limit ? 1 / params.queue_rate_limit : 0;
+
+        const messages = Array.from({ length: params.messages }, (_, index) => ({
+            id: index + 1,
+            arrival: params.messages > 1 ? round(params.spread * index / (params.messages - 1)) : 0,
+            attempts: [],
+            retries: 0,
+            doneAt: null,
+            outcome: null
+        }));
+        const events = [];
+        const queueSamples = [{ time: 0, length: 0 }];
+        const accepted = [];
+        const queue = [];
+        let arrived = 0;
+        let finished = 0;
+        let now = 0;
+        let lastSend = -Infinity;
+        let maxQueue = 0;
+
+        const sample = () => {
+            maxQueue = Math.max(maxQueue, queue.length);
+            const last = queueSamples[queueSamples.length - 1];
+            if (last.time === now) {
+                last.length = queue.length;
+            } else if (last.length !== queue.length) {
+                queueSamples.push({ time: now, length: queue.length });
+            }
+        };
+        const admit = () => {
+            while (arrived < messages.length && messages[arrived].arrival <= now) queue.push(messages[arrived++]);
+            sample();
+        };
+
+        // Stops early when retries never end, e.g. with every request rate limited
+        while (finished < messages.length) {
+            admit();
+            if (!queue.length) {
+                now = nextCheck(messages[arrived].arrival);
+                continue;
+            }
+            if (lastSend + interval > now + 1e-9) {
+                now = nextCheck(lastSend + interval);
+                continue;
+            }
+
+            const message = queue.shift();
+            sample();
+            lastSend = now;
+            const windowStart = now - discord.window;
+            while (accepted.length && accepted[0] <= windowStart) accepted.shift();
+
+            let outcome;
+            let status;
+            let delay = 0;
+            let limitedByDiscord = false;
+            if (accepted.length >= discord.requests) {
+                outcome = 'rate-limited';
+                status = 429;
+                delay = accepted[0] + discord.window - now;
+                limitedByDiscord = true;
+            } else if (random() * 100 < params.rate_limit_rate) {
+                outcome = 'rate-limited';
+                status = 429;
+                delay = params.retry_after;
+            } else if (random() * 100 < params.failure_rate) {
+                outcome = 'failed';
+                status = 503;
+                accepted.push(now);
+            } else {
+                outcome = 'sent';
+                status = 204;
+                accepted.push(now);
+            }
+
+            const done = round(now + timing.latency);
+            message.attempts.push({ time: now, status, outcome });
+
+            if (outcome === 'failed') {
+                if (message.retries < params.max_retries) {
+                    delay = Math.min(params.retry_backoff_base * Math.pow(2, message.retries), timing.maxBackoff);
+                    message.retries++;
+                } else {
+                    outcome = 'dropped';
+                }
+            } else if (outcome === 'rate-limited') {
+                delay = Math.min(delay, timing.maxRetryAfter);
+            }
+
+            if (outcome === 'sent' || outcome === 'dropped') {
+                message.doneAt = done;
+                message.outcome = outcome === 'sent' ? 'delivered' : 'dropped';
+                finished++;
+            } else {
+                // Retries wait at the front of the queue, and the queue waits with them
+                queue.unshift(message);
+            }
+            events.push({ time: now, message: message.id, attempt: message.attempts.length, status, outcome, delay: round(delay), limitedByDiscord });
+            if (events.length >= QueueSimulator.MAX_REQUESTS) break;
+
+            now = nextCheck(done + delay);
+            admit();
+        }
+
+        const delivered = messages.filter(message => message.outcome === 'delivered');
+        return {
+            messages,
+            events,
+            queueSamples,
+            maxQueue,
+            drainTime: Math.max(0, ...messages.map(message => message.doneAt === null ? now : message.doneAt)),
+            delivered: delivered.length,
+            dropped: messages.filter(message => message.outcome === 'dropped').length,
+            unfinished: messages.length - finished,
+            retries: events.filter(event => event.outcome === 'failed').length,
+            rateLimited: events.filter(event => event.outcome === 'rate-limited').length,
+            averageWait: delivered.length ? delivered.reduce((total, message) => total + message.doneAt - message.arrival, 0) / delivered.length : 0
+        };
+    }
+
+    // The queue length at a point in time, from the samples simulate() records
+    static queueLengthAt(samples, time) {
+        let length = 0;
+        for (const sample of samples) {
+            if (sample.time > time) break;
+            length = sample.length;
+        }
+        return length;
+    }
+
+    toLua(params) {
+        const entries = [];
+        if (params.queue_rate_limit) {
+            entries.push('queue_rate_limit = ' + params.queue_rate_limit);
+        } else {
+            entries.push('queue_enabled = true');
+        }
+        entries.push('max_retries = ' + params.max_retries);
+        entries.push('retry_backoff_base = ' + params.retry_backoff_base);
+        return 'local webhook = WebhookLib.new("YOUR_URL", ' + EmbedBuilder.luaTable(entries) + ')';
+    }
+
+    render(container) {
+        const escape = MarkdownParser.escapeHTML;
+        this.container = container;
+        container.innerHTML = '<div class="queue-simulator">' +
+            '<form class="tool-form" autocomplete="off"><div class="queue-sim-fields">' +
+                QueueSimulator.PARAMETERS.map(parameter => {
+                    return '<label class="tool-field" data-parameter="' + parameter.key + '"><span class="tool-label">' + escape(parameter.label) + '</span>' +
+                        '<input class="tool-input" type="number" step="any" data-key="' + parameter.key + '" value="' + escape(this.values[parameter.key]) + '"' +
+                            (parameter.optional ? ' placeholder="none"' : '') + '>' +
+                        '<span class="tool-help">' + escape(parameter.help) + '</span><span class="tool-error" role="alert"></span></label>';
+                }).join('') +
+                '</div><div class="tool-row">' +
+                    '<button type="button" class="tool-button" data-action="reroll">New random failures</button>' +
+                    '<button type="button" class="tool-button" data-action="reset">Reset</button>' +
+                '</div>' +
+            '</form>' +
+            '<div class="queue-sim-output" aria-live="polite"></div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        const debouncedUpdate = MobileUtils.debounce(() => this.update(), 300);
+        form.addEventListener('submit', (e) => e.preventDefault());
+        form.addEventListener('input', (e) => {
+            const key = e.target.dataset.key;
+            if (!key) return;
+            this.values[key] = e.target.value;
+            debouncedUpdate();
+        });
+        form.querySelector('[data-action="reroll"]').addEventListener('click', () => {
+            this.seed++;
+            this.update();
+        });
+        form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.values = QueueSimulator.defaultValues();
+            this.seed = 1;
+            this.render(container);
+        });
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const output = this.container.querySelector('.queue-sim-output');
+        const parsed = QueueSimulator.parse(this.values);
+
+        QueueSimulator.PARAMETERS.forEach(parameter => {
+            const field = this.container.querySelector('[data-parameter="' + parameter.key + '"]');
+            const error = parsed.errors && parsed.errors[parameter.key] || '';
+            field.querySelector('.tool-error').textContent = error;
+            field.querySelector('input').setAttribute('aria-invalid', error ? 'true' : 'false');
+        });
+
+        this.stop();
+        if (parsed.errors) {
+            this.result = null;
+            output.innerHTML = '<ul class="tool-warnings"><li>Fix the highlighted fields to run the simulation.</li></ul>';
+            return;
+        }
+
+        this.params = parsed.values;
+        this.result = QueueSimulator.simulate(parsed.values, this.seed);
+        this.playhead = 0;
+        output.innerHTML = this.renderSummary() + this.renderPlayer() + this.renderLog() +
+            '<h3>Config</h3><div class="queue-sim-config"></div>' +
+            '<button type="button" class="tool-button" data-action="open-config">Open in Config Generator</button>';
+
+        output.querySelector('.queue-sim-config').innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'lua', text: this.toLua(parsed.values) });
+        output.querySelector('[data-action="play"]').addEventListener('click', () => (this.animation ? this.stop() : this.play()));
+        output.querySelector('[data-action="speed"]').addEventListener('change', (e) => {
+            this.speed = Number(e.target.value);
+        });
+        output.querySelector('.queue-sim-scrubber').addEventListener('input', (e) => {
+            this.stop();
+            this.seek(Number(e.target.value));
+        });
+        output.querySelector('[data-action="open-config"]').addEventListener('click', () => this.openInConfigGenerator());
+        this.docsSystem.initCodeCopyButtons();
+        this.seek(0);
+    }
+
+    renderSummary() {
+        const result = this.result;
+        const stats = [
+            ['Delivered', result.delivered + ' of ' + result.messages.length],
+            ['Dropped', String(result.dropped)],
+            ['Drain time', result.drainTime.toFixed(1) + 's'],
+            ['Average wait', result.averageWait.toFixed(1) + 's'],
+            ['Retries after failures', String(result.retries)],
+            ['429 responses', String(result.rateLimited)],
+            ['Longest queue', String(result.maxQueue)]
+        ];
+        const notes = [];
+        if (result.dropped) {
+            notes.push(result.dropped + ' message' + (result.dropped === 1 ? ' was' : 's were') + ' dropped after ' + this.params.max_retries + ' retries. Raise max_retries or retry_backoff_base to ride out longer outages.');
+        }
+        if (result.unfinished) {
+            notes.push('Stopped after ' + QueueSimulator.MAX_REQUESTS + ' requests with ' + result.unfinished + ' messages still queued; 429s are retried until they succeed.');
+        }
+        if (result.events.some(event => event.limitedByDiscord)) {
+            notes.push('The queue sends faster than Discord allows (' + SnippetSandbox.DISCORD_RATE_LIMIT.requests + ' requests per ' + SnippetSandbox.DISCORD_RATE_LIMIT.window + ' seconds), so it waits out 429s. A queue_rate_limit of 2 avoids them.');
+        }
+
+        return '<dl class="queue-sim-stats">' + stats.map(([label, value]) => '<div><dt>' + label + '</dt><dd>' + value + '</dd></div>').join('') + '</dl>' +
+            (notes.length ? '<ul class="tool-notes">' + notes.map(note => '<li class="tool-note-warning">' + MarkdownParser.escapeHTML(note) + '</li>').join('') + '</ul>' : '');
+    }
+
+    // One row per message: a line from arrival to delivery, with a mark for every attempt
+    renderPlayer() {
+        const result = this.result;
+        const width = 600;
+        const rowHeight = 6;
+        const top = 4;
+        const height = top * 2 + result.messages.length * rowHeight;
+        const end = Math.max(result.drainTime, 1);
+        const x = time => (time / end * (width - 10) + 5).toFixed(1);
+
+        const rows = result.messages.map((message, index) => {
+            const y = top + index * rowHeight + rowHeight / 2;
+            const line = '<line class="queue-sim-wait" x1="' + x(message.arrival) + '" x2="' + x(message.doneAt === null ? end : message.doneAt) + '" y1="' + y + '" y2="' + y + '"></line>';
+            const marks = message.attempts.map((attempt, attemptIndex) => {
+                const last = attemptIndex === message.attempts.length - 1;
+                const outcome = last && message.outcome === 'dropped' ? 'dropped' : attempt.outcome;
+                return '<circle class="queue-sim-mark queue-sim-' + outcome + '" cx="' + x(attempt.time) + '" cy="' + y + '" r="2.2"><title>Message ' + message.id +
+                    ', attempt ' + (attemptIndex + 1) + ' at ' + attempt.time.toFixed(2) + 's: ' + attempt.status + '</title></circle>';
+            }).join('');
+            return line + marks;
+        }).join('');
+
+        const legend = Object.keys(QueueSimulator.OUTCOME_LABELS).map(outcome => {
+            return '<span class="queue-sim-legend-item"><span class="queue-sim-swatch queue-sim-' + outcome + '"></span>' + QueueSimulator.OUTCOME_LABELS[outcome] + '</span>';
+        }).join('');
+
+        return '<div class="queue-sim-player">' +
+            '<div class="tool-row queue-sim-controls">' +
+                '<button type="button" class="tool-button" data-action="play">Play</button>' +
+                '<label class="queue-sim-speed">Speed <select class="tool-input" data-action="speed">' +
+                    QueueSimulator.SPEEDS.map(speed => '<option value="' + speed + '"' + (speed === this.speed ? ' selected' : '') + '>' + speed + '×</option>').join('') +
+                '</select></label>' +
+                '<input type="range" class="queue-sim-scrubber" min="0" max="' + end + '" step="0.05" value="0" aria-label="Simulation time">' +
+            '</div>' +
+            '<p class="queue-sim-status"></p>' +
+            '<div class="queue-sim-queue" aria-hidden="true"></div>' +
+            '<svg class="queue-sim-chart" viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none" style="height: ' + Math.max(height, 60) + 'px" role="img" ' +
+                'aria-label="Send timeline: one row per message from when it was queued to when it was delivered or dropped">' +
+                rows + '<line class="queue-sim-playhead" x1="0" x2="0" y1="0" y2="' + height + '"></line></svg>' +
+            '<div class="queue-sim-legend">' + legend + '<span class="queue-sim-legend-item">Line: time in queue</span></div>' +
+            '</div>';
+    }
+
+    renderLog() {
+        const labels = QueueSimulator.OUTCOME_LABELS;
+        const items = this.result.events.map(event => {
+            let text = 'Message ' + event.message + (event.attempt > 1 ? ' (attempt ' + event.attempt + ')' : '') + ': ' + event.status;
+            if (event.outcome === 'rate-limited') text += ', waiting ' + event.delay + 's and retrying first';
+            if (event.outcome === 'failed') text += ', backing off ' + event.delay + 's and retrying first';
+            if (event.outcome === 'dropped') text += ', out of retries';
+            return '<li class="queue-sim-event queue-sim-event-' + event.outcome + '"><span class="queue-sim-time">' + event.time.toFixed(2) + 's</span>' +
+                '<span class="queue-sim-outcome">' + labels[event.outcome] + '</span>' + MarkdownParser.escapeHTML(text) + '</li>';
+        }).join('');
+        return '<details class="queue-sim-log"><summary>Send log (' + this.result.events.length + ' requests)</summary><ol>' + items + '</ol></details>';
+    }
+
+    // Moves the playhead and shows the queue as it was at that moment
+    seek(time) {
+        const output = this.container && this.container.querySelector('.queue-sim-output');
+        if (!output || !this.result) return;
+        const result = this.result;
+        const end = Math.max(result.drainTime, 1);
+        this.playhead = Math.min(Math.max(time, 0), end);
+
+        const waiting = QueueSimulator.queueLengthAt(result.queueSamples, this.playhead);
+        const delivered = result.messages.filter(message => message.outcome === 'delivered' && message.doneAt <= this.playhead).length;
+        const dropped = result.messages.filter(message => message.outcome === 'dropped' && message.doneAt <= this.playhead).length;
+        const retrying = result.events.filter(event => event.time <= this.playhead && event.time + event.delay > this.playhead &&
+            (event.outcome === 'failed' || event.outcome === 'rate-limited')).length;
+
+        output.querySelector('.queue-sim-status').textContent = this.playhead.toFixed(1) + 's · ' + waiting + ' queued · ' + delivered + ' delivered' +
+            (dropped ? ' · ' + dropped + ' dropped' : '') + (retrying ? ' · waiting to retry' : '');
+        const shown = Math.min(waiting, 40);
+        output.querySelector('.queue-sim-queue').innerHTML = '<span class="queue-sim-slot"></span>'.repeat(shown) +
+            (waiting > shown ? '<span class="queue-sim-more">+' + (waiting - shown) + '</span>' : '');
+
+        const position = this.playhead / end * 590 + 5;
+        const playhead = output.querySelector('.queue-sim-playhead');
+        playhead.setAttribute('x1', position.toFixed(1));
+        playhead.setAttribute('x2', position.toFixed(1));
+        output.querySelector('.queue-sim-scrubber').value = this.playhead;
+    }
+
+    play() {
+        if (!this.result) return;
+        const end = Math.max(this.result.drainTime, 1);
+        if (this.playhead >= end) this.seek(0);
+
+        let last = performance.now();
+        const button = this.container.querySelector('[data-action="play"]');
+        button.textContent = 'Pause';
+        const frame = (now) => {
+            // The tool page may have been left mid-animation
+            if (!this.container.isConnected) {
+                this.animation = null;
+                return;
+            }
+            this.seek(this.playhead + (now - last) / 1000 * this.speed);
+            last = now;
+            if (this.playhead >= end) {
+                this.stop();
+                return;
+            }
+            this.animation = requestAnimationFrame(frame);
+        };
+        this.animation = requestAnimationFrame(frame);
+    }
+
+    stop() {
+        if (this.animation) cancelAnimationFrame(this.animation);
+        this.animation = null;
+        const button = this.container && this.container.querySelector('[data-action="play"]');
+        if (button) button.textContent = 'Play';
+    }
+
+    openInConfigGenerator() {
+        const generator = this.docsSystem.tools.get('config-generator');
+        if (!generator) return;
+        generator.values = Object.assign(ConfigGenerator.defaultValues(), {
+            queue_enabled: !this.params.queue_rate_limit,
+            queue_rate_limit: this.params.queue_rate_limit ? String(this.params.queue_rate_limit) : '',
+            max_retries: String(this.params.max_retries),
+            retry_backoff_base: String(this.params.retry_backoff_base)
+        });
+        this.docsSystem.loadSection(generator.id);
+    }
+}
+
+// Form for the WebhookLib.new options table, with validation and notes on how options interact
+class ConfigGenerator {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'config-generator';
+        this.title = 'Config Generator';
+        this.description = 'Pick the WebhookLib.new options you need and copy the constructor call. Options left blank use WebhookLib\'s defaults.';
+        this.container = null;
+        this.values = ConfigGenerator.defaultValues();
+    }
+
+    // Options as documented under Configuration, grouped the same way
+    static get OPTIONS() {
+        return [
+            { key: 'username', group: 'General', type: 'text', label: 'Username', help: 'Default name shown on messages.', maxLength: 80 },
+            { key: 'avatar_url', group: 'General', type: 'url', label: 'Avatar URL', help: 'Default avatar image.' },
+            { key: 'default_color', group: 'General', type: 'color', label: 'Default color', help: 'Embed color when an embed sets none, e.g. 0x0099ff.' },
+            { key: 'debug', group: 'General', type: 'boolean', label: 'Debug logging', help: 'Print what WebhookLib sends and why requests fail.' },
+            { key: 'queue_enabled', group: 'Queue', type: 'boolean', label: 'Enable queue', help: 'Send requests one at a time in order.' },
+            { key: 'queue_rate_limit', group: 'Queue', type: 'number', label: 'Rate limit', help: 'Requests per second; 2 is recommended.', positive: true },
+            { key: 'max_retries', group: 'Queue', type: 'number', label: 'Max retries', help: 'Retry attempts for failed requests (default 3).', integer: true, min: 0, placeholder: '3' },
+            { key: 'retry_backoff_base', group: 'Queue', type: 'number', label: 'Retry backoff base', help: 'Base delay in seconds for exponential backoff.', positive: true },
+            { key: 'track_message_ids', group: 'Message tracking', type: 'boolean', label: 'Track message IDs', help: 'Store IDs so messages can be edited or deleted later.' },
+            { key: 'max_stored_messages', group: 'Message tracking', type: 'number', label: 'Max stored messages', help: 'How many message IDs to keep.', integer: true, min: 1 },
+            { key: 'filter_profanity', group: 'Content filtering', type: 'boolean', label: 'Filter profanity', help: 'Censor profanity before sending.' },
+            { key: 'banned_words', group: 'Content filtering', type: 'list', label: 'Banned words', help: 'Extra words to filter, separated by commas.' },
+            { key: 'datastore_name', group: 'DataStore', type: 'text', label: 'DataStore name', help: 'DataStore used for join counts.', maxLength: 50 },
+            { key: 'cache_ttl_avatar', group: 'DataStore', type: 'number', label: 'Avatar cache TTL', help: 'Seconds to cache player avatars.', integer: true, min: 0 }
+        ];
+    }
+
+    static defaultValues() {
+        const values = { url: '' };
+        ConfigGenerator.OPTIONS.forEach(option => {
+            values[option.key] = option.type === 'boolean' ? false : '';
+        });
+        return values;
+    }
+
+    // Returns { value } for a usable option, { error } for an invalid one, or {} when left blank
+    static parseOption(option, raw) {
+        if (option.type === 'boolean') return raw ? { value: true } : {};
+
+        const text = String(raw).trim();
+        if (!text) return {};
+
+        switch (option.type) {
+            case 'text':
+                if (option.maxLength && Array.from(text).length > option.maxLength) {
+                    return { error: 'At most ' + option.maxLength + ' characters.' };
+                }
+                if (option.key === 'username' && /clyde|discord/i.test(text)) {
+                    return { error: 'Discord rejects usernames containing "clyde" or "discord".' };
+                }
+                return { value: text };
+            case 'url':
+                return EmbedBuilder.isHttpUrl(text) ? { value: text } : { error: 'Must start with http:// or https://.' };
+            case 'color': {
+                const match = text.match(/^(?:0x|#)([\da-f]+)$/i);
+                const color = match ? parseInt(match[1], 16) : (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+                if (isNaN(color)) return { error: 'Use a hex color such as 0x0099ff.' };
+                if (color > 0xFFFFFF) return { error: 'Must be between 0x000000 and 0xFFFFFF.' };
+                return { value: color };
+            }
+            case 'number': {
+                const number = Number(text);
+                if (!isFinite(number)) return { error: 'Must be a number.' };
+                if (option.integer && !Number.isInteger(number)) return { error: 'Must be a whole number.' };
+                if (option.positive && number <= 0) return { error: 'Must be greater than 0.' };
+                if (option.min !== undefined && number < option.min) return { error: 'Must be at least ' + option.min + '.' };
+                return { value: number };
+            }
+            case 'list': {
+                const items = text.split(/[,\n]/).map(item => item.trim()).filter(Boolean);
+                return items.length ? { value: items } : {};
+            }
+        }
+        return {};
+    }
+
+    static formatValue(option, value) {
+        if (option.type === 'color') return '0x' + value.toString(16).padStart(6, '0');
+        if (option.type === 'list') return '{' + value.map(item => EmbedBuilder.luaString(item)).join(', ') + '}';
+        if (typeof value === 'string') return EmbedBuilder.luaString(value);
+        return String(value);
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="config-generator">' +
+            '<form class="tool-form" autocomplete="off">' + this.renderForm() + '</form>' +
+            '<div class="config-output">' +
+                '<h3>Lua</h3><div class="config-notes"></div><div class="config-code"></div>' +
+            '</div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        form.addEventListener('submit', (e) => e.preventDefault());
+        form.addEventListener('input', (e) => {
+            const key = e.target.dataset.key;
+            if (!key) return;
+            this.values[key] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            this.update();
+        });
+        form.querySelector('[data-action="reset"]').addEventListener('click', () => {
+            this.values = ConfigGenerator.defaultValues();
+            this.render(container);
+        });
+
+        this.update();
+    }
+
+    renderForm() {
+        const escape = MarkdownParser.escapeHTML;
+        const groups = new Map();
+        ConfigGenerator.OPTIONS.forEach(option => {
+            if (!groups.has(option.group)) groups.set(option.group, []);
+            groups.get(option.group).push(option);
+        });
+
+        const url = '<label class="tool-field"><span class="tool-label">Webhook URL</span>' +
+            '<input class="tool-input" type="url" data-key="url" value="' + escape(this.values.url) + '" placeholder="YOUR_URL"></label>';
+
+        const fieldsets = Array.from(groups.entries()).map(([group, options]) => {
+            return '<fieldset class="tool-fieldset"><legend>' + escape(group) + '</legend>' + options.map(option => {
+                const value = this.values[option.key];
+                const help = '<span class="tool-help">' + escape(option.help) + '</span>';
+                const name = '<code>' + option.key + '</code>';
+
+                if (option.type === 'boolean') {
+                    return '<div class="tool-field" data-option="' + option.key + '">' +
+                        '<label class="tool-checkbox"><input type="checkbox" data-key="' + option.key + '"' + (value ? ' checked' : '') + '> ' + escape(option.label) + ' ' + name + '</label>' +
+                        help + '<span class="tool-error" role="alert"></span></div>';
+                }
+
+                const control = option.type === 'list'
+                    ? '<textarea class="tool-input" data-key="' + option.key + '" rows="2">' + escape(value) + '</textarea>'
+                    : '<input class="tool-input" type="' + (option.type === 'url' ? 'url' : 'text') + '" data-key="' + option.key + '" value="' + escape(value) + '"' +
+                        (option.placeholder ? ' placeholder="' + escape(option.placeholder) + '"' : '') +
+                        (option.type === 'number' ? ' inputmode="decimal"' : '') + '>';
+
+                return '<label class="tool-field" data-option="' + option.key + '">' +
+                    '<span class="tool-label">' + escape(option.label) + ' ' + name + (option.type === 'color' ? '<span class="config-swatch"></span>' : '') + '</span>' +
+                    control + help + '<span class="tool-error" role="alert"></span></label>';
+            }).join('') + '</fieldset>';
+        }).join('');
+
+        return url + fieldsets + '<button type="button" class="tool-button" data-action="reset">Reset</button>';
+    }
+
+    // Parsed values for every option, keyed by option name
+    parseValues() {
+        const parsed = {};
+        ConfigGenerator.OPTIONS.forEach(option => {
+            parsed[option.key] = ConfigGenerator.parseOption(option, this.values[option.key]);
+        });
+        return parsed;
+    }
+
+    // How options affect each other, as shown under the generated code
+    getNotes(parsed) {
+        const notes = [];
+        const has = key => parsed[key].value !== undefined;
+
+        if (has('queue_rate_limit')) {
+            notes.push({ level: 'info', text: 'queue_rate_limit turns the queue on by itself, so queue_enabled is left out.' });
+            if (parsed.queue_rate_limit.value > 5) {
+                notes.push({ level: 'warning', text: 'More than 5 requests per second will run into Discord rate limits; 2 is recommended.' });
+            }
+        } else if (has('queue_enabled')) {
+            notes.push({ level: 'info', text: 'The queue sends in order but without a rate limit. Set queue_rate_limit (2 is recommended) to avoid 429 responses.' });
+        }
+
+        if (parsed.max_retries.value === 0 && has('retry_backoff_base')) {
+            notes.push({ level: 'warning', text: 'retry_backoff_base has no effect while max_retries is 0.' });
+        }
+
+        if (has('max_stored_messages') && !has('track_message_ids')) {
+            notes.push({ level: 'warning', text: 'max_stored_messages only applies when track_message_ids is on.' });
+        }
+
+        if (has('banned_words') && !has('filter_profanity')) {
+            notes.push({ level: 'warning', text: 'banned_words extends the profanity filter, which is off. Turn on filter_profanity to use them.' });
+        }
+
+        if (has('debug')) {
+            notes.push({ level: 'info', text: 'Debug logging is verbose; turn it off for production servers.' });
+        }
+
+        return notes;
+    }
+
+    toLua(parsed) {
+        const url = EmbedBuilder.luaString(this.values.url.trim() || 'YOUR_URL');
+        const entries = ConfigGenerator.OPTIONS
+            .filter(option => parsed[option.key].value !== undefined)
+            .filter(option => !(option.key === 'queue_enabled' && parsed.queue_rate_limit.value !== undefined))
+            .map(option => option.key + ' = ' + ConfigGenerator.formatValue(option, parsed[option.key].value));
+
+        return 'local webhook = WebhookLib.new(' + url + (entries.length ? ', ' + EmbedBuilder.luaTable(entries) : '') + ')';
+    }
+
+    update() {
+        if (!this.container) return;
+        const parsed = this.parseValues();
+
+        ConfigGenerator.OPTIONS.forEach(option => {
+            const field = this.container.querySelector('[data-option="' + option.key + '"]');
+            const input = field.querySelector('[data-key]');
+            const error = parsed[option.key].error || '';
+            field.querySelector('.tool-error').textContent = error;
+            input.setAttribute('aria-invalid', error ? 'true' : 'false');
+
+            if (option.type === 'color') {
+                const swatch = field.querySelector('.config-swatch');
+                const color = parsed[option.key].value;
+                swatch.style.backgroundColor = color !== undefined ? '#' + color.toString(16).padStart(6, '0') : '';
+                swatch.hidden = color === undefined;
+            }
+        });
+
+        // queue_rate_limit implies the queue; reflect that on the checkbox
+        const queueToggle = this.container.querySelector('[data-key="queue_enabled"]');
+        const impliedQueue = parsed.queue_rate_limit.value !== undefined;
+        queueToggle.disabled = impliedQueue;
+        queueToggle.checked = impliedQueue || this.values.queue_enabled;
+
+        const errors = ConfigGenerator.OPTIONS.filter(option => parsed[option.key].error);
+        const notes = this.getNotes(parsed);
+        if (errors.length) {
+            notes.unshift({ level: 'warning', text: 'Invalid options are left out: ' + errors.map(option => option.key).join(', ') + '.' });
+        }
+
+        const url = this.values.url.trim();
+        if (url && !EmbedBuilder.isHttpUrl(url)) {
+            notes.unshift({ level: 'warning', text: 'The webhook URL should start with https://.' });
+        }
+
+        this.container.querySelector('.config-notes').innerHTML = notes.length
+            ? '<ul class="tool-notes">' + notes.map(note => '<li class="tool-note-' + note.level + '">' + MarkdownParser.escapeHTML(note.text) + '</li>').join('') + '</ul>'
+            : '';
+        this.container.querySelector('.config-code').innerHTML = this.docsSystem.markdownParser.renderCode({ info: 'lua', text: this.toLua(parsed) });
+        this.docsSystem.initCodeCopyButtons();
+    }
+}
+
+// Checks pasted webhook URLs entirely in the page. Nothing is fetched or stored: the token is a password
+// for the channel, so it should never leave the browser just to be validated.
+class WebhookUrlChecker {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'url-checker';
+        this.title = 'Webhook URL Checker';
+        this.description = 'Paste a webhook URL, or code that contains one, to check its shape, get the proxy URL Roblox needs and a masked copy for bug reports. Nothing you paste is sent anywhere.';
+        this.container = null;
+        this.source = '';
+    }
+
+    // The proxy recommended under Discord Webhook Setup
+    static get PROXY_HOST() {
+        return 'webhook.lewisakura.moe';
+    }
+
+    static get HOSTS() {
+        return {
+            'discord.com': 'discord',
+            'ptb.discord.com': 'discord',
+            'canary.discord.com': 'discord',
+            'discordapp.com': 'legacy',
+            'ptb.discordapp.com': 'legacy',
+            'canary.discordapp.com': 'legacy',
+            'webhook.lewisakura.moe': 'proxy'
+        };
+    }
+
+    // Anything shaped like host/api/webhooks/..., with or without a scheme, up to the end of a string or word
+    static get URL_PATTERN() {
+        return /(?:https?:\/\/)?[\w-]+(?:\.[\w-]+)+(?::\d+)?\/api\/(?:v\d+\/)?webhooks\/[^\s"'`<>()[\]{}\\]*/gi;
+    }
+
+    // Code that runs on players' devices, where every player can read the URL
+    static get CLIENT_MARKERS() {
+        return /\b(?:LocalScript|LocalPlayer|StarterPlayerScripts|StarterCharacterScripts|StarterGui|StarterPack)\b/;
+    }
+
+    static find(text) {
+        const found = [];
+        const pattern = WebhookUrlChecker.URL_PATTERN;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            // Sentence punctuation after a URL in prose is not part of it
+            const url = match[0].replace(/[.,;:!?]+$/, '');
+            found.push({ url, index: match.index });
+        }
+        return found;
+    }
+
+    // Splits a URL into its parts and lists what is wrong with it; valid is false when WebhookLib cannot use it
+    static parse(url) {
+        const match = url.match(/^(?:(https?):\/\/)?([^/:]+)(?::\d+)?\/api\/(?:v(\d+)\/)?webhooks\/([^/?#]*)\/?([^/?#]*)([^?#]*)(\?[^#]*)?/i);
+        const parsed = {
+            url,
+            scheme: match[1] ? match[1].toLowerCase() : '',
+            host: match[2].toLowerCase(),
+            id: match[4],
+            token: match[5],
+            extra: match[6].replace(/\/+$/, ''),
+            query: match[7] || '',
+            checks: []
+        };
+        parsed.kind = WebhookUrlChecker.HOSTS[parsed.host] || 'unknown';
+        parsed.tokenIndex = parsed.token ? url.indexOf(parsed.token, url.toLowerCase().indexOf('/webhooks/') + 10) : -1;
+        const check = (level, text) => parsed.checks.push({ level, text });
+
+        if (!parsed.scheme) {
+            check('warning', 'The URL has no scheme. Start it with https://.');
+        } else if (parsed.scheme === 'http') {
+            check('error', 'Webhook URLs must use https://, not http://.');
+        }
+
+        if (parsed.kind === 'discord') {
+            check('info', 'This is a Discord URL. Roblox blocks requests to Discord, so use the proxy URL below in your script.');
+        } else if (parsed.kind === 'legacy') {
+            check('warning', parsed.host + ' is Discord\'s old domain. It still works outside Roblox, but Roblox blocks it too, so use the proxy URL below.');
+        } else if (parsed.kind === 'proxy') {
+            check('info', 'This already uses the ' + WebhookUrlChecker.PROXY_HOST + ' proxy, so it works from Roblox as it is.');
+        } else {
+            check('warning', parsed.host + ' is not Discord or a known proxy. If it is your own proxy, it must forward /api/webhooks/{id}/{token} to Discord unchanged.');
+        }
+        if (match[3] && Number(match[3]) < 6) {
+            check('error', 'API version v' + match[3] + ' is no longer supported by Discord. Remove /v' + match[3] + ' from the URL.');
+        }
+
+        if (!parsed.id) {
+            check('error', 'The webhook id is missing. Copy the whole URL with Copy Webhook URL in Discord.');
+        } else if (!/^\d+$/.test(parsed.id)) {
+            check('error', 'The webhook id should contain only digits, but it is "' + parsed.id + '".');
+        } else if (parsed.id.length < 17 || parsed.id.length > 20) {
+            check('error', 'Webhook ids are 17 to 20 digits long, but this one has ' + parsed.id.length + '. The URL may be cut off.');
+        } else {
+            check('info', 'Webhook id ' + parsed.id + ' was created on ' + WebhookUrlChecker.snowflakeDate(parsed.id) + '.');
+        }
+
+        parsed.placeholder = /your|token|x{4,}|^\.+$|…/i.test(parsed.token);
+        if (!parsed.token) {
+            check('error', 'The token after the id is missing. Without it Discord answers 401 Unauthorized.');
+        } else if (parsed.placeholder) {
+            check('warning', 'The token "' + parsed.token + '" looks like a placeholder. Replace it with the token from your own webhook URL.');
+        } else if (/[^\w-]/.test(parsed.token)) {
+            check('error', 'The token contains characters Discord tokens never have. Check for extra text or escaped characters copied with it.');
+        } else if (parsed.token.length !== 68) {
+            check('warning', 'Discord webhook tokens are 68 characters long, but this one has ' + parsed.token.length + '. It may be cut off or have extra text attached.');
+        }
+
+        if (/^\/(?:slack|github)$/i.test(parsed.extra)) {
+            check('error', 'The ' + parsed.extra + ' ending expects ' + (parsed.extra.slice(1).toLowerCase() === 'slack' ? 'Slack' : 'GitHub') + '-formatted payloads. Remove it so WebhookLib\'s messages are accepted.');
+        } else if (/^\/messages\//i.test(parsed.extra)) {
+            check('error', 'This URL points at a single message. Use the base URL ending in the token; WebhookLib adds /messages/{id} itself.');
+        } else if (/^\/queue$/i.test(parsed.extra) && parsed.kind === 'proxy') {
+            check('info', 'The /queue ending makes the proxy queue requests for you. WebhookLib\'s own queue does the same, so you can leave one of them out.');
+        } else if (parsed.extra) {
+            check('error', 'Remove "' + parsed.extra + '" after the token.');
+        }
+        if (/[?&](?:wait|thread_id)=/i.test(parsed.query)) {
+            check('warning', 'WebhookLib adds wait and thread_id to requests itself. Remove "' + parsed.query + '" so they are not sent twice.');
+        }
+
+        parsed.valid = !parsed.checks.some(item => item.level === 'error');
+        parsed.secret = Boolean(parsed.token) && !parsed.placeholder;
+        return parsed;
+    }
+
+    // Discord ids are snowflakes: the top bits are milliseconds since 2015-01-01
+    static snowflakeDate(id) {
+        const milliseconds = Number(BigInt(id) >> BigInt(22)) + 1420070400000;
+        return new Date(milliseconds).toISOString().slice(0, 10);
+    }
+
+    static proxyUrl(parsed) {
+        return 'https://' + WebhookUrlChecker.PROXY_HOST + '/api/webhooks/' + parsed.id + '/' + parsed.token;
+    }
+
+    // Keeps the first four characters so two masked URLs can still be told apart
+    static maskToken(token) {
+        return token.length > 8 ? token.slice(0, 4) + '*'.repeat(token.length - 4) : '*'.repeat(token.length);
+    }
+
+    static maskUrl(parsed) {
+        if (parsed.tokenIndex === -1) return parsed.url;
+        return parsed.url.slice(0, parsed.tokenIndex) + WebhookUrlChecker.maskToken(parsed.token) +
+            parsed.url.slice(parsed.tokenIndex + parsed.token.length);
+    }
+
+    static maskText(text) {
+        let masked = '';
+        let position = 0;
+        WebhookUrlChecker.find(text).forEach(item => {
+            const parsed = WebhookUrlChecker.parse(item.url);
+            masked += text.slice(position, item.index) + (parsed.secret ? WebhookUrlChecker.maskUrl(parsed) : item.url);
+            position = item.index + item.url.length;
+        });
+        return masked + text.slice(position);
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="url-checker">' +
+            '<form class="tool-form" autocomplete="off">' +
+                '<label class="tool-field"><span class="tool-label">Webhook URL or code</span>' +
+                    '<textarea class="tool-input tool-code-input" rows="4" spellcheck="false" data-key="source" ' +
+                        'placeholder="https://discord.com/api/webhooks/123456789012345678/…">' + MarkdownParser.escapeHTML(this.source) + '</textarea></label>' +
+                '<span class="tool-help">Checked in your browser only. The URL is not sent anywhere or saved.</span>' +
+            '</form>' +
+            '<div class="url-check-output" aria-live="polite"></div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        const textarea = container.querySelector('[data-key="source"]');
+        const debouncedUpdate = MobileUtils.debounce(() => this.update(), 300);
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+        textarea.addEventListener('input', () => {
+            this.source = textarea.value;
+            debouncedUpdate();
+        });
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const escape = MarkdownParser.escapeHTML;
+        const parser = this.docsSystem.markdownParser;
+        const output = this.container.querySelector('.url-check-output');
+        const text = this.source.trim();
+
+        if (!text) {
+            output.innerHTML = '';
+            return;
+        }
+
+        const found = WebhookUrlChecker.find(text);
+        if (!found.length) {
+            const hint = /discord(?:app)?\.com\/channels\//i.test(text)
+                ? 'That is a link to a channel or message, not a webhook. In Discord open Server Settings > Integrations > Webhooks and use Copy Webhook URL.'
+                : 'No webhook URL found. Webhook URLs look like https://discord.com/api/webhooks/{id}/{token}.';
+            output.innerHTML = '<ul class="tool-warnings"><li>' + escape(hint) + '</li></ul>';
+            return;
+        }
+
+        const results = found.map(item => WebhookUrlChecker.parse(item.url));
+        const secrets = results.filter(parsed => parsed.secret);
+        const snippet = found.length > 1 || text !== found[0].url;
+        let html = '';
+
+        if (secrets.length && snippet) {
+            html += '<div class="url-check-alert" role="alert">' +
+                '<strong>This text contains ' + (secrets.length > 1 ? secrets.length + ' webhook tokens' : 'a webhook token') + '.</strong> ' +
+                'Anyone who reads it can post to your channel. Share the masked copy below instead, and if this text has already been posted ' +
+                'anywhere public, delete the webhook in Discord and create a new one.' +
+                '</div>';
+        }
+        if (secrets.length && WebhookUrlChecker.CLIENT_MARKERS.test(text)) {
+            html += '<div class="url-check-alert" role="alert">' +
+                '<strong>This looks like client-side code.</strong> Every player can read the LocalScripts that run on their device, ' +
+                'so the webhook URL is exposed to anyone who joins your game. Keep WebhookLib in ServerScriptService and regenerate this webhook.' +
+                '</div>';
+        }
+
+        html += results.map((parsed, index) => {
+            const notes = parsed.checks.map(item => '<li class="tool-note-' + item.level + '">' + escape(item.text) + '</li>').join('');
+            return '<div class="url-check-result">' +
+                (results.length > 1 ? '<h3>URL ' + (index + 1) + '</h3>' : '') +
+                '<ul class="tool-notes">' + notes + '</ul>' +
+                (parsed.valid && parsed.id && parsed.token
+                    ? '<h4>Proxy URL for Roblox</h4>' + parser.renderCode({ info: 'text', text: WebhookUrlChecker.proxyUrl(parsed) })
+                    : '') +
+                (parsed.secret
+                    ? '<h4>Masked for bug reports</h4>' + parser.renderCode({ info: 'text', text: WebhookUrlChecker.maskUrl(parsed) })
+                    : '') +
+                '</div>';
+        }).join('');
+
+        if (secrets.length && snippet) {
+            html += '<h3>Shareable copy</h3>' + parser.renderCode({ info: 'text', text: WebhookUrlChecker.maskText(text) });
+        }
+
+        output.innerHTML = html;
+        this.docsSystem.initCodeCopyButtons();
+    }
+}
+
+// Walks the decision tree under "troubleshooter" in docs.json: question nodes list answers pointing at
+// other nodes, fix nodes name the section, subsection and the bold heading of the fix to open.
+class TroubleshootingWizard {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'troubleshooting-wizard';
+        this.title = 'Troubleshooting Wizard';
+        this.description = 'Answer a few questions about what you are seeing and go straight to the fix in the Troubleshooting docs.';
+        this.container = null;
+        // Questions answered so far: [{ nodeId, answer }]
+        this.trail = [];
+    }
+
+    get tree() {
+        return this.docsSystem.docs ? this.docsSystem.docs.troubleshooter : null;
+    }
+
+    get currentNodeId() {
+        return this.trail.length ? this.trail[this.trail.length - 1].answer.next : this.tree.start;
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="troubleshooting-wizard" aria-live="polite"></div>';
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const escape = MarkdownParser.escapeHTML;
+        const wizard = this.container.querySelector('.troubleshooting-wizard');
+        const tree = this.tree;
+
+        if (!tree) {
+            wizard.innerHTML = '<ul class="tool-warnings"><li>This version of the documentation has no troubleshooting wizard. Switch to the latest version to use it.</li></ul>';
+            return;
+        }
+
+        // Coming back from a fix leaves the fix as the current node, so step back to the question that led there
+        while (this.trail.length && !(tree.nodes[this.currentNodeId] || {}).question) this.trail.pop();
+        const node = tree.nodes[this.currentNodeId];
+
+        const steps = this.trail.map((step, index) => '<li><button type="button" class="wizard-step" data-step="' + index + '">' +
+            '<span class="wizard-step-question">' + escape(tree.nodes[step.nodeId].question) + '</span> ' +
+            '<span class="wizard-step-answer">' + escape(step.answer.label) + '</span></button></li>').join('');
+        const answers = node.answers.map((answer, index) => '<li><button type="button" class="wizard-answer" data-answer="' + index + '">' +
+            escape(answer.label) + '</button></li>').join('');
+
+        wizard.innerHTML = (steps ? '<ol class="wizard-trail" aria-label="Your answers">' + steps + '</ol>' : '') +
+            '<fieldset class="tool-fieldset wizard-question">' +
+                '<legend>' + escape(node.question) + '</legend>' +
+                (node.help ? '<p class="tool-help">' + escape(node.help) + '</p>' : '') +
+                '<ul class="wizard-answers">' + answers + '</ul>' +
+            '</fieldset>' +
+            (steps ? '<div class="tool-row">' +
+                '<button type="button" class="tool-button" data-action="back">Back</button>' +
+                '<button type="button" class="tool-button" data-action="restart">Start over</button>' +
+            '</div>' : '');
+
+        wizard.querySelectorAll('.wizard-answer').forEach(button => {
+            button.addEventListener('click', () => this.choose(node.answers[parseInt(button.dataset.answer, 10)]));
+        });
+        // Clicking an earlier answer goes back to that question
+        wizard.querySelectorAll('.wizard-step').forEach(button => {
+            button.addEventListener('click', () => {
+                this.trail = this.trail.slice(0, parseInt(button.dataset.step, 10));
+                this.update();
+            });
+        });
+        if (steps) {
+            wizard.querySelector('[data-action="back"]').addEventListener('click', () => {
+                this.trail.pop();
+                this.update();
+            });
+            wizard.querySelector('[data-action="restart"]').addEventListener('click', () => this.restart());
+        }
+
+        const first = wizard.querySelector('.wizard-answer');
+        if (first && steps) first.focus();
+    }
+
+    choose(answer) {
+        const next = this.tree.nodes[answer.next];
+        if (!next) {
+            console.error('Troubleshooter answer points at a missing node:', answer.next);
+            return;
+        }
+
+        this.trail.push({ nodeId: this.currentNodeId, answer });
+        if (next.question) {
+            this.update();
+        } else {
+            this.showFix(next);
+        }
+    }
+
+    restart() {
+        this.trail = [];
+        this.docsSystem.loadSection(this.id);
+    }
+
+    // Opens the subsection, then wraps the fix (its bold heading up to the next rule) in a highlighted box
+    showFix(fix) {
+        const escape = MarkdownParser.escapeHTML;
+        this.docsSystem.loadSection(fix.section, fix.subsection);
+
+        const subsection = document.getElementById(fix.subsection);
+        if (!subsection) return;
+        const content = subsection.querySelector('.subsection-content');
+        const start = fix.highlight ? Array.from(content.children).find(element => {
+            return element.textContent.trim().startsWith(fix.highlight);
+        }) : null;
+
+        const box = document.createElement('div');
+        box.className = 'wizard-fix';
+        box.id = 'troubleshooting-fix';
+        box.innerHTML = '<div class="wizard-fix-bar">' +
+            '<p><strong>Troubleshooting Wizard:</strong> ' + escape(fix.summary) + '</p>' +
+            '<div class="tool-row">' +
+                '<button type="button" class="tool-button" data-action="back">Back to questions</button>' +
+                '<button type="button" class="tool-button" data-action="restart">Start over</button>' +
+            '</div></div>';
+
+        if (start) {
+            const parent = start.parentNode;
+            parent.insertBefore(box, start);
+            let element = start;
+            while (element && element.tagName !== 'HR') {
+                const next = element.nextElementSibling;
+                box.appendChild(element);
+                element = next;
+            }
+        } else {
+            // The whole subsection is the fix, or the heading was renamed since the tree was written
+            content.parentNode.insertBefore(box, content);
+            box.appendChild(content);
+        }
+
+        box.querySelector('[data-action="back"]').addEventListener('click', () => this.docsSystem.loadSection(this.id));
+        box.querySelector('[data-action="restart"]').addEventListener('click', () => this.restart());
+        requestAnimationFrame(() => this.docsSystem.scrollToAnchor(box.id));
+    }
+}
+
+// Reads WebhookLib's debug = true output as copied from the Roblox Output window. Requests are matched to
+// responses the way the queue sends them: oldest first, with rate-limited and failed requests retried first.
+class DebugLogAnalyzer {
+    constructor(docsSystem) {
+        this.docsSystem = docsSystem;
+        this.id = 'log-analyzer';
+        this.title = 'Debug Log Analyzer';
+        this.description = 'Paste WebhookLib\'s debug output to see each request\'s attempts, how many succeeded, were retried or failed, and where to read about the errors it shows.';
+        this.container = null;
+        this.source = '';
+    }
+
+    static get EXAMPLE() {
+        return [
+            '14:32:05.101  [WebhookLib] WebhookLib initialized successfully  -  Server - WebhookLib:88',
+            '14:32:05.101  [WebhookLib] Queue system: ENABLED  -  Server - WebhookLib:89',
+            '14:32:05.102  [WebhookLib] Rate limit: 5 requests/second  -  Server - WebhookLib:90',
+            '14:32:05.102  [WebhookLib] DataStore: AVAILABLE  -  Server - WebhookLib:91',
+            '14:32:05.340  [WebhookLib] Queued text message: Server started  -  Server - WebhookLib:214',
+            '14:32:05.341  [WebhookLib] Queued embed message: Round 1  -  Server - WebhookLib:214',
+            '14:32:05.342  [WebhookLib] Queued text message: Player1 joined  -  Server - WebhookLib:214',
+            '14:32:05.402  [WebhookLib] HTTP response status: 200  -  Server - WebhookLib:301',
+            '14:32:05.402  [WebhookLib] Request completed successfully  -  Server - WebhookLib:318',
+            '14:32:05.403  [WebhookLib] Message ID received: 1234567890123456789  -  Server - WebhookLib:322',
+            '14:32:05.611  [WebhookLib] HTTP response status: 429  -  Server - WebhookLib:301',
+            '14:32:05.611  [WebhookLib] Discord rate limit detected, retrying after 1.5 seconds  -  Server - WebhookLib:306',
+            '14:32:07.150  [WebhookLib] HTTP response status: 200  -  Server - WebhookLib:301',
+            '14:32:07.150  [WebhookLib] Request completed successfully  -  Server - WebhookLib:318',
+            '14:32:07.362  [WebhookLib] HTTP response status: 502  -  Server - WebhookLib:301',
+            '14:32:07.362  [WebhookLib] Request failed: HTTP 502 (Bad Gateway)  -  Server - WebhookLib:311',
+            '14:32:09.380  [WebhookLib] HTTP response status: 200  -  Server - WebhookLib:301',
+            '14:32:09.380  [WebhookLib] Request completed successfully  -  Server - WebhookLib:318',
+            '14:32:12.004  [WebhookLib] Queued edit message: 1234567890123456700  -  Server - WebhookLib:214',
+            '14:32:12.215  [WebhookLib] HTTP response status: 404  -  Server - WebhookLib:301',
+            '14:32:12.215  [WebhookLib] Request failed: Unknown Message 1234567890123456700  -  Server - WebhookLib:311',
+            '14:32:15.530  [WebhookLib] Queued text message: Player2 joined  -  Server - WebhookLib:214',
+            '14:32:15.741  [WebhookLib] HTTP response status: 403  -  Server - WebhookLib:301',
+            '14:32:15.741  [WebhookLib] Request failed: HTTP 403 (Forbidden)  -  Server - WebhookLib:311'
+        ].join('\n');
+    }
+
+    static get OUTCOME_LABELS() {
+        return { sent: 'Sent', 'rate-limited': '429', retried: 'Retried', failed: 'Failed', pending: 'Unfinished' };
+    }
+
+    // Timeline rows; the request list below it still shows every request
+    static get MAX_ROWS() {
+        return 200;
+    }
+
+    // First match wins, so the more specific patterns come first. Each links to the subsection that explains the fix.
+    static get ERROR_PATTERNS() {
+        return [
+            { pattern: /HTTP requests are (?:disabled|not enabled)/i, label: 'HTTP requests are disabled', section: 'troubleshooting', subsection: 'setup-issues' },
+            { pattern: /DataStore: UNAVAILABLE/i, label: 'DataStore unavailable', section: 'troubleshooting', subsection: 'setup-issues' },
+            { pattern: /Invalid webhook URL/i, label: 'Invalid webhook URL', section: 'troubleshooting', subsection: 'setup-issues' },
+            { pattern: /Unknown Message/i, label: 'Edit or delete of an unknown message', section: 'troubleshooting', subsection: 'message-tracking-issues' },
+            { pattern: /\b401\b|Unauthorized/i, label: 'HTTP 401 (Unauthorized)', section: 'troubleshooting', subsection: 'connection-issues' },
+            { pattern: /\b403\b|Forbidden|Missing Permissions/i, label: 'HTTP 403 (Forbidden)', section: 'troubleshooting', subsection: 'connection-issues' },
+            { pattern: /\b404\b|Not Found|Unknown Webhook/i, label: 'HTTP 404 (Not Found)', section: 'troubleshooting', subsection: 'connection-issues' },
+            { pattern: /\b400\b|Bad Request|Cannot send an empty message/i, label: 'HTTP 400 (Bad Request)', section: 'troubleshooting', subsection: 'message-issues' },
+            { pattern: /\b429\b|rate limit/i, label: 'Rate limited by Discord', section: 'troubleshooting', subsection: 'message-issues' },
+            { pattern: /\b5\d\d\b|HttpError|Timedout|ConnectFail|DnsResolve/i, label: 'Server or network error', section: 'troubleshooting', subsection: 'message-issues' }
+        ];
+    }
+
+    // Studio prints "14:32:05.101  text  -  Server - Script:12" with timestamps and context turned on
+    static parseLine(raw, number) {
+        let text = raw.trim();
+        let time = null;
+        const stamp = text.match(/^(\d{1,2}):(\d{2}):(\d{2})(?:\.(\d+))?\s+(?:-\s+)?/);
+        if (stamp) {
+            time = Number(stamp[1]) * 3600 + Number(stamp[2]) * 60 + Number(stamp[3]) + (stamp[4] ? Number('0.' + stamp[4]) : 0);
+            text = text.slice(stamp[0].length);
+        }
+        text = text.replace(/\s+-\s+(?:Server|Client|Studio|Edit)(?:\s+-\s+\S.*)?$/, '');
+
+        const prefix = text.indexOf('[WebhookLib]');
+        return {
+            number,
+            time,
+            webhookLib: prefix !== -1,
+            text: prefix === -1 ? text : text.slice(prefix + 12).trim()
+        };
+    }
+
+    static matchError(text) {
+        return DebugLogAnalyzer.ERROR_PATTERNS.find(item => item.pattern.test(text)) || null;
+    }
+
+    static analyze(source) {
+        const lines = source.split(/\r?\n/).map((raw, index) => DebugLogAnalyzer.parseLine(raw, index + 1)).filter(line => line.text);
+        const result = { lines: lines.length, webhookLibLines: 0, requests: [], rateLimited: 0, config: [], issues: new Map(), start: null, end: 0,
+            timed: lines.every(line => !line.webhookLib || line.time !== null) };
+        const open = [];
+        let current = null;
+        // A 2xx status is followed by "Request completed successfully" for the same request
+        let completed = null;
+        // An error status waits one line, in case "Request failed: ..." names a more specific cause
+        let failure = null;
+        let dayOffset = 0;
+        let previousTime = null;
+
+        const newRequest = (description, line) => {
+            const request = { id: result.requests.length + 1, description, start: line.at, end: null, firstLine: line.number, attempts: [], outcome: null, error: null, messageId: null };
+            result.requests.push(request);
+            return request;
+        };
+        const respondingRequest = (line) => {
+            const request = open[0] || newRequest(null, line);
+            if (open.indexOf(request) === -1) open.unshift(request);
+            current = request;
+            return request;
+        };
+        const close = (request, outcome, line) => {
+            request.outcome = outcome;
+            request.end = line.at;
+            const index = open.indexOf(request);
+            if (index !== -1) open.splice(index, 1);
+        };
+        const addIssue = (match, line) => {
+            if (!match) return;
+            const issue = result.issues.get(match) || { match, count: 0, firstLine: line.number, example: line.text };
+            issue.count++;
+            result.issues.set(match, issue);
+        };
+
+        lines.forEach(line => {
+            if (!line.webhookLib) {
+                // Roblox's own errors about HttpService still point at a cause
+                if (/error|fail|HTTP\s+\d{3}|HttpError|not enabled/i.test(line.text)) addIssue(DebugLogAnalyzer.matchError(line.text), line);
+                return;
+            }
+            result.webhookLibLines++;
+
+            // Seconds since the first timestamp, carrying over midnight; log order when any line has no timestamp
+            if (result.timed) {
+                if (previousTime !== null && line.time + dayOffset < previousTime - 43200) dayOffset += 86400;
+                previousTime = line.time + dayOffset;
+                line.at = previousTime;
+            } else {
+                line.at = line.number;
+            }
+            if (result.start === null) result.start = line.at;
+            result.end = line.at;
+
+            const text = line.text;
+            let match;
+            if (failure) {
+                match = text.match(/^Request failed: (.+)$/);
+                addIssue((match && DebugLogAnalyzer.matchError(match[1])) || failure.match, failure.line);
+                failure = null;
+            }
+
+            if ((match = text.match(/^Queued (.+)$/))) {
+                open.push(newRequest(match[1], line));
+                completed = null;
+            } else if ((match = text.match(/^HTTP response status: (\d{3})/))) {
+                const status = Number(match[1]);
+                const request = respondingRequest(line);
+                request.attempts.push({ status, at: line.at, line: line.number });
+                completed = null;
+
+                if (status === 429) {
+                    result.rateLimited++;
+                } else if (status < 300) {
+                    close(request, 'sent', line);
+                    completed = request;
+                } else if (status < 500) {
+                    // Client errors are not retried
+                    close(request, 'failed', line);
+                }
+                if (status >= 300) failure = { match: DebugLogAnalyzer.matchError('HTTP ' + status), line };
+            } else if ((match = text.match(/^(?:Discord rate limit detected, retrying after|Rate limiting: waiting) ([\d.]+) seconds/))) {
+                const last = current && current.attempts[current.attempts.length - 1];
+                if (last && last.status === 429 && last.retryAfter === undefined) {
+                    last.retryAfter = Number(match[1]);
+                } else {
+                    // Logged without a status line before it
+                    respondingRequest(line).attempts.push({ status: 429, at: line.at, line: line.number, retryAfter: Number(match[1]) });
+                    result.rateLimited++;
+                    addIssue(DebugLogAnalyzer.matchError('429'), line);
+                }
+            } else if ((match = text.match(/^Request failed: (.+)$/))) {
+                if (current) current.error = match[1];
+            } else if (/^Request completed successfully/.test(text)) {
+                if (completed) {
+                    completed = null;
+                } else {
+                    const request = respondingRequest(line);
+                    request.attempts.push({ status: null, at: line.at, line: line.number });
+                    close(request, 'sent', line);
+                }
+            } else if ((match = text.match(/^Message ID received: (\S+)/))) {
+                if (current) current.messageId = match[1];
+            } else if ((match = text.match(/^WebhookLib is shut down; dropped (.+)$/))) {
+                close(newRequest(match[1], line), 'failed', line);
+            } else if (/^(?:WebhookLib initialized|Queue system:|Rate limit:|DataStore:|Message tracking:|Debug mode:)/.test(text)) {
+                result.config.push(text);
+                if (/UNAVAILABLE/.test(text)) addIssue(DebugLogAnalyzer.matchError(text), line);
+            } else if (/error|fail/i.test(text)) {
+                addIssue(DebugLogAnalyzer.matchError(text), line);
+            }
+        });
+        if (failure) addIssue(failure.match, failure.line);
+
+        open.forEach(request => {
+            request.outcome = 'pending';
+        });
+        if (result.start === null) result.start = 0;
+        result.sent = result.requests.filter(request => request.outcome === 'sent').length;
+        result.failed = result.requests.filter(request => request.outcome === 'failed').length;
+        result.pending = open.length;
+        result.retried = result.requests.filter(request => request.attempts.length > 1).length;
+        return result;
+    }
+
+    render(container) {
+        this.container = container;
+        container.innerHTML = '<div class="log-analyzer">' +
+            '<form class="tool-form" autocomplete="off">' +
+                '<label class="tool-field"><span class="tool-label">Output</span>' +
+                    '<textarea class="tool-input tool-code-input" rows="12" spellcheck="false" data-key="source" ' +
+                        'placeholder="[WebhookLib] WebhookLib initialized successfully">' + MarkdownParser.escapeHTML(this.source) + '</textarea></label>' +
+                '<span class="tool-help">Create the webhook with debug = true, then copy the lines from the Output window. ' +
+                    'Turn on timestamps in the Output window to see real timings on the chart.</span>' +
+                '<button type="button" class="tool-button" data-action="example">Load example</button>' +
+            '</form>' +
+            '<div class="log-analyzer-output" aria-live="polite"></div>' +
+            '</div>';
+
+        const form = container.querySelector('form');
+        const textarea = container.querySelector('[data-key="source"]');
+        const debouncedUpdate = MobileUtils.debounce(() => this.update(), 300);
+
+        form.addEventListener('submit', (e) => e.preventDefault());
+        textarea.addEventListener('input', () => {
+            this.source = textarea.value;
+            debouncedUpdate();
+        });
+        form.querySelector('[data-action="example"]').addEventListener('click', () => {
+            this.source = DebugLogAnalyzer.EXAMPLE;
+            textarea.value = this.source;
+            this.update();
+        });
+
+        this.update();
+    }
+
+    update() {
+        if (!this.container) return;
+        const output = this.container.querySelector('.log-analyzer-output');
+
+        if (!this.source.trim()) {
+            output.innerHTML = '';
+            return;
+        }
+
+        const result = DebugLogAnalyzer.analyze(this.source);
+        if (!result.webhookLibLines && !result.issues.size) {
+            output.innerHTML = '<ul class="tool-warnings"><li>No [WebhookLib] lines found. Set debug = true in WebhookLib.new, or call webhook:EnableDebug(true), and copy the output again.</li></ul>';
+            return;
+        }
+
+        output.innerHTML = this.renderSummary(result) + this.renderIssues(result) +
+            (result.requests.length ? this.renderTimeline(result) + this.renderRequests(result) : '');
+    }
+
+    renderSummary(result) {
+        const escape = MarkdownParser.escapeHTML;
+        const stats = [
+            ['Requests', String(result.requests.length)],
+            ['Sent', String(result.sent)],
+            ['Retried', String(result.retried)],
+            ['Failed', String(result.failed)],
+            ['429 responses', String(result.rateLimited)],
+            ['Unfinished', String(result.pending)]
+        ];
+        const notes = result.config.map(text => ({ level: 'info', text }));
+        if (result.rateLimited && !result.config.some(text => /^Rate limit:/.test(text))) {
+            notes.push({ level: 'warning', text: 'Discord rate limited ' + result.rateLimited + ' request' + (result.rateLimited === 1 ? '' : 's') + '. Set queue_rate_limit = 2 so the queue stays under the limit.' });
+        }
+        if (result.pending) {
+            notes.push({ level: 'warning', text: result.pending + (result.pending === 1 ? ' request has no final response in this log. It' : ' requests have no final response in this log. They') + ' may still be queued, or the log was cut off.' });
+        }
+        if (!result.timed) {
+            notes.push({ level: 'info', text: 'Some lines have no timestamps, so the timeline shows log lines instead of seconds.' });
+        }
+
+        return '<dl class="log-analyzer-stats">' + stats.map(([label, value]) => '<div><dt>' + label + '</dt><dd>' + value + '</dd></div>').join('') + '</dl>' +
+            (notes.length ? '<ul class="tool-notes">' + notes.map(note => '<li class="tool-note-' + note.level + '">' + escape(note.text) + '</li>').join('') + '</ul>' : '');
+    }
+
+    // Each recognized error once, linked to where the docs explain it
+    renderIssues(result) {
+        if (!result.issues.size) return '';
+        const escape = MarkdownParser.escapeHTML;
+        const docs = this.docsSystem.docs;
+
+        const items = Array.from(result.issues.values()).map(issue => {
+            const section = docs.sections.find(s => s.id === issue.match.section);
+            const subsection = section && (section.subsections || []).find(s => this.docsSystem.createSubsectionId(s.title) === issue.match.subsection);
+            const link = subsection
+                ? ' <a href="' + this.docsSystem.buildRoute(section.id, issue.match.subsection) + '">' + escape(section.title + ' › ' + subsection.title) + '</a>'
+                : '';
+            return '<li class="tool-note-error"><strong>' + escape(issue.match.label) + '</strong> · ' + issue.count + '×, first on line ' + issue.firstLine + '.' + link +
+                '<code class="log-analyzer-example">' + escape(issue.example) + '</code></li>';
+        }).join('');
+        return '<h3>Errors</h3><ul class="tool-notes log-analyzer-issues">' + items + '</ul>';
+    }
+
+    // One row per request from when it was queued to its final response, with a mark for every attempt
+    renderTimeline(result) {
+        const labels = DebugLogAnalyzer.OUTCOME_LABELS;
+        const requests = result.requests.slice(0, DebugLogAnalyzer.MAX_ROWS);
+        const width = 600;
+        const rowHeight = 8;
+        const top = 4;
+        const height = top * 2 + requests.length * rowHeight;
+        const span = Math.max(result.end - result.start, result.timed ? 1 : 10);
+        const x = at => ((at - result.start) / span * (width - 10) + 5).toFixed(1);
+        const unit = at => result.timed ? (at - result.start).toFixed(2) + 's' : 'line ' + at;
+
+        const rows = requests.map((request, index) => {
+            const y = top + index * rowHeight + rowHeight / 2;
+            const line = '<line class="log-analyzer-wait" x1="' + x(request.start) + '" x2="' + x(request.end === null ? result.end : request.end) + '" y1="' + y + '" y2="' + y + '"></line>';
+            const marks = request.attempts.map((attempt, attemptIndex) => {
+                const outcome = DebugLogAnalyzer.attemptOutcome(request, attemptIndex);
+                return '<circle class="log-analyzer-mark log-analyzer-' + outcome + '" cx="' + x(attempt.at) + '" cy="' + y + '" r="2.6"><title>Request ' + request.id +
+                    ', attempt ' + (attemptIndex + 1) + ' at ' + unit(attempt.at) + ': ' + (attempt.status === null ? 'completed' : attempt.status) + '</title></circle>';
+            }).join('');
+            return line + marks;
+        }).join('');
+
+        const legend = Object.keys(labels).filter(outcome => outcome !== 'pending').map(outcome => {
+            return '<span class="log-analyzer-legend-item"><span class="log-analyzer-swatch log-analyzer-' + outcome + '"></span>' + labels[outcome] + '</span>';
+        }).join('');
+        const more = result.requests.length > requests.length
+            ? '<p class="tool-help">Showing the first ' + requests.length + ' of ' + result.requests.length + ' requests.</p>'
+            : '';
+
+        return '<h3>Timeline</h3>' +
+            '<svg class="log-analyzer-chart" viewBox="0 0 ' + width + ' ' + height + '" preserveAspectRatio="none" style="height: ' + Math.max(height, 60) + 'px" role="img" ' +
+                'aria-label="Request timeline: one row per request from when it was queued to its final response">' + rows + '</svg>' +
+            '<div class="log-analyzer-legend">' + legend + '<span class="log-analyzer-legend-item">Line: time until the final response</span></div>' + more;
+    }
+
+    static attemptOutcome(request, index) {
+        const status = request.attempts[index].status;
+        if (status === 429) return 'rate-limited';
+        if (status === null || status < 300) return 'sent';
+        if (index === request.attempts.length - 1 && request.outcome !== 'pending') return 'failed';
+        return 'retried';
+    }
+
+    renderRequests(result) {
+        const escape = MarkdownParser.escapeHTML;
+        const labels = DebugLogAnalyzer.OUTCOME_LABELS;
+        const items = result.requests.map(request => {
+            const attempts = request.attempts.map(attempt => attempt.status === null ? 'completed' : String(attempt.status) +
+                (attempt.retryAfter !== undefined ? ' (waited ' + attempt.retryAfter + 's)' : '')).join(' → ');
+            const details = [
+                request.description || 'Request without a Queued line',
+                attempts || 'no response',
+                request.error ? request.error : '',
+                request.messageId ? 'message id ' + request.messageId : ''
+            ].filter(Boolean).join(' · ');
+            return '<li class="log-analyzer-request log-analyzer-request-' + request.outcome + '">' +
+                '<span class="log-analyzer-line">Line ' + request.firstLine + '</span>' +
+                '<span class="log-analyzer-outcome">' + labels[request.outcome] + '</span>' + escape(details) + '</li>';
+        }).join('');
+        return '<details class="log-analyzer-log"><summary>Requests (' + result.requests.length + ')</summary><ol>' + items + '</ol></details>';
+    }
+}